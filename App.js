@@ -3,6 +3,13 @@ import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import AppNavigator from './src/navigation/AppNavigator';
 import { supabase } from './src/services/supabaseService';
+import { onKeyPairChange, lockUserKeyPair } from './src/services/keyService';
+import { startReplicaRepair } from './src/services/replicationService';
+import { startDealTracking, proposeFileDeals } from './src/services/dealService';
+import { startUploadQueue } from './src/services/uploadQueueService';
+import { startAuditOutbox } from './src/services/ledgerService';
+import { startChainOutbox } from './src/services/blockchainService';
+import { wipeScratch, wipeLocalData } from './src/services/localDataService';
 import { View, Text, ActivityIndicator, StyleSheet, Alert } from 'react-native';
 import * as Updates from 'expo-updates';
 
@@ -10,6 +17,7 @@ export default function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [isReady, setIsReady] = useState(false);
+  const [unlockedUserId, setUnlockedUserId] = useState(null);
 
   // Function to check for app updates
   async function checkForUpdates() {
@@ -36,26 +44,94 @@ export default function App() {
     // Check for user session
     checkUser();
     
+    // Decrypted files left behind by a previous run
+    wipeScratch();
+    
     // Check for updates when app starts (only in production)
     if (!__DEV__) {
       checkForUpdates();
     }
     
+    // Track whether the user's private key is unlocked on this device
+    const unsubscribeKeys = onKeyPairChange(setUnlockedUserId);
+    
     // Set up auth state change listener
     const { data: authListener } = supabase.auth.onAuthStateChange(
       async (event, session) => {
         setUser(session?.user ?? null);
         setIsLoading(false);
+        
+        if (!session) {
+          lockUserKeyPair();
+        }
+        
+        // Leave nothing of the user's behind on the device but their queued
+        // uploads, which carry on when they sign in again
+        if (event === 'SIGNED_OUT') {
+          wipeLocalData({ keepQueuedUploads: true }).catch((error) => {
+            console.error('Error wiping local data on sign-out:', error);
+          });
+        }
       }
     );
 
     return () => {
+      unsubscribeKeys();
       if (authListener?.unsubscribe) {
         authListener.unsubscribe();
       }
     };
   }, []);
 
+  // Keep the unlocked user's files replicated while the app runs
+  useEffect(() => {
+    if (!unlockedUserId) return;
+    return startReplicaRepair(unlockedUserId);
+  }, [unlockedUserId]);
+
+  // Send queued uploads, retrying them when the device is back online
+  useEffect(() => {
+    if (!unlockedUserId) return;
+    return startUploadQueue(unlockedUserId);
+  }, [unlockedUserId]);
+
+  // Append audit events that could not be written when they happened
+  useEffect(() => {
+    if (!unlockedUserId) return;
+    return startAuditOutbox(unlockedUserId);
+  }, [unlockedUserId]);
+
+  // Send registry writes that failed when they happened
+  useEffect(() => {
+    if (!unlockedUserId) return;
+    return startChainOutbox(unlockedUserId);
+  }, [unlockedUserId]);
+
+  // Warn the owner before a file's Filecoin deals run out
+  useEffect(() => {
+    if (!unlockedUserId) return;
+    return startDealTracking(unlockedUserId, (files) => {
+      const lines = files.map(file =>
+        `${file.file_name}: around ${file.expiresAt.toLocaleDateString()}`
+      );
+      Alert.alert(
+        'Filecoin Deals Expiring',
+        `These files will stop being stored on Filecoin:\n\n${lines.join('\n')}`,
+        [
+          { text: 'Later', style: 'cancel' },
+          {
+            text: 'Renew',
+            onPress: async () => {
+              for (const file of files) {
+                await proposeFileDeals(file.id, file.ipfs_cid);
+              }
+            }
+          }
+        ]
+      );
+    });
+  }, [unlockedUserId]);
+
   const checkUser = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
@@ -79,7 +155,7 @@ export default function App() {
 
   return (
     <SafeAreaProvider>
-      <AppNavigator user={user} />
+      <AppNavigator user={user} keyUnlocked={!!user && unlockedUserId === user.id} />
       <StatusBar style="auto" />
     </SafeAreaProvider>
   );
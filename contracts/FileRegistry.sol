@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+/// @title FileRegistry
+/// @notice Public record of stored files: where the (encrypted) content lives,
+/// what it hashes to, who owns it and who was given access. File contents and
+/// keys never touch the chain. Also timestamps the blocks of the app's audit
+/// ledger, so an inclusion proof shows an event was recorded by a given time.
+contract FileRegistry {
+    struct FileRecord {
+        address owner;
+        string cid;
+        bytes32 contentHash;
+        uint64 registeredAt;
+        uint64 updatedAt;
+    }
+
+    /// @dev Files are keyed by keccak256 of the application's file ID
+    mapping(bytes32 => FileRecord) private files;
+    mapping(bytes32 => mapping(address => bool)) private grants;
+
+    struct BlockAnchor {
+        bytes32 merkleRoot;
+        uint64 anchoredAt;
+        address anchoredBy;
+    }
+
+    /// @dev Ledger blocks are keyed by their block hash
+    mapping(bytes32 => BlockAnchor) private anchors;
+
+    event FileRegistered(bytes32 indexed fileId, address indexed owner, string cid, bytes32 contentHash);
+    event FileContentUpdated(bytes32 indexed fileId, string cid, bytes32 contentHash);
+    event OwnershipTransferred(bytes32 indexed fileId, address indexed previousOwner, address indexed newOwner);
+    event AccessGranted(bytes32 indexed fileId, address indexed grantee);
+    event AccessRevoked(bytes32 indexed fileId, address indexed grantee);
+    event FileDeregistered(bytes32 indexed fileId, address indexed owner);
+    event BlockAnchored(bytes32 indexed blockHash, bytes32 merkleRoot, address indexed anchoredBy);
+
+    error FileAlreadyRegistered(bytes32 fileId);
+    error FileNotRegistered(bytes32 fileId);
+    error NotFileOwner(bytes32 fileId, address caller);
+    error InvalidAddress();
+    error BlockAlreadyAnchored(bytes32 blockHash);
+
+    modifier onlyFileOwner(bytes32 fileId) {
+        address owner = files[fileId].owner;
+        if (owner == address(0)) revert FileNotRegistered(fileId);
+        if (owner != msg.sender) revert NotFileOwner(fileId, msg.sender);
+        _;
+    }
+
+    /// @notice Register a file with the caller as its owner
+    function registerFile(bytes32 fileId, string calldata cid, bytes32 contentHash) external {
+        if (files[fileId].owner != address(0)) revert FileAlreadyRegistered(fileId);
+
+        files[fileId] = FileRecord({
+            owner: msg.sender,
+            cid: cid,
+            contentHash: contentHash,
+            registeredAt: uint64(block.timestamp),
+            updatedAt: uint64(block.timestamp)
+        });
+
+        emit FileRegistered(fileId, msg.sender, cid, contentHash);
+    }
+
+    /// @notice Point a file at new content, e.g. after its key was rotated
+    function updateContent(bytes32 fileId, string calldata cid, bytes32 contentHash) external onlyFileOwner(fileId) {
+        FileRecord storage record = files[fileId];
+        record.cid = cid;
+        record.contentHash = contentHash;
+        record.updatedAt = uint64(block.timestamp);
+
+        emit FileContentUpdated(fileId, cid, contentHash);
+    }
+
+    /// @notice Hand a file over to another account
+    function transferOwnership(bytes32 fileId, address newOwner) external onlyFileOwner(fileId) {
+        if (newOwner == address(0)) revert InvalidAddress();
+
+        files[fileId].owner = newOwner;
+        files[fileId].updatedAt = uint64(block.timestamp);
+
+        emit OwnershipTransferred(fileId, msg.sender, newOwner);
+    }
+
+    /// @notice Record that an account was given access to a file
+    function grantAccess(bytes32 fileId, address grantee) external onlyFileOwner(fileId) {
+        if (grantee == address(0)) revert InvalidAddress();
+
+        grants[fileId][grantee] = true;
+        emit AccessGranted(fileId, grantee);
+    }
+
+    /// @notice Record that an account's access to a file was revoked
+    function revokeAccess(bytes32 fileId, address grantee) external onlyFileOwner(fileId) {
+        grants[fileId][grantee] = false;
+        emit AccessRevoked(fileId, grantee);
+    }
+
+    /// @notice Remove a deleted file from the registry; its events remain
+    function deregisterFile(bytes32 fileId) external onlyFileOwner(fileId) {
+        delete files[fileId];
+        emit FileDeregistered(fileId, msg.sender);
+    }
+
+    /// @notice Timestamp a sealed ledger block; the first anchor of a block stands
+    function anchorBlock(bytes32 blockHash, bytes32 merkleRoot) external {
+        if (anchors[blockHash].anchoredAt != 0) revert BlockAlreadyAnchored(blockHash);
+
+        anchors[blockHash] = BlockAnchor({
+            merkleRoot: merkleRoot,
+            anchoredAt: uint64(block.timestamp),
+            anchoredBy: msg.sender
+        });
+
+        emit BlockAnchored(blockHash, merkleRoot, msg.sender);
+    }
+
+    /// @notice Look up the anchor of a ledger block; anchoredAt is 0 if it has none
+    function getBlockAnchor(bytes32 blockHash)
+        external
+        view
+        returns (bytes32 merkleRoot, uint64 anchoredAt, address anchoredBy)
+    {
+        BlockAnchor storage anchor = anchors[blockHash];
+        return (anchor.merkleRoot, anchor.anchoredAt, anchor.anchoredBy);
+    }
+
+    /// @notice Look up a file record
+    function getFile(bytes32 fileId)
+        external
+        view
+        returns (address owner, string memory cid, bytes32 contentHash, uint64 registeredAt, uint64 updatedAt)
+    {
+        FileRecord storage record = files[fileId];
+        if (record.owner == address(0)) revert FileNotRegistered(fileId);
+        return (record.owner, record.cid, record.contentHash, record.registeredAt, record.updatedAt);
+    }
+
+    /// @notice Check whether an account currently holds a grant for a file
+    function hasAccess(bytes32 fileId, address account) external view returns (bool) {
+        return files[fileId].owner == account || grants[fileId][account];
+    }
+}
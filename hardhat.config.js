@@ -0,0 +1,12 @@
+// Hardhat setup for the FileRegistry contract. Start a local chain with
+// `npm run chain` and deploy with `npm run deploy:registry`.
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+  solidity: '0.8.24',
+  networks: {
+    localhost: {
+      url: process.env.CHAIN_RPC_URL || 'http://127.0.0.1:8545',
+    },
+  },
+};
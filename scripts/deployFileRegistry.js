@@ -0,0 +1,27 @@
+// Deploy FileRegistry to the configured network (a local Hardhat or Anvil
+// node by default) using the node's first unlocked account.
+const hre = require('hardhat');
+const { JsonRpcProvider, ContractFactory } = require('ethers');
+
+async function main() {
+  await hre.run('compile');
+  const artifact = await hre.artifacts.readArtifact('FileRegistry');
+
+  const provider = new JsonRpcProvider(hre.network.config.url);
+  const deployer = await provider.getSigner(0);
+
+  const factory = new ContractFactory(artifact.abi, artifact.bytecode, deployer);
+  const registry = await factory.deploy();
+  await registry.waitForDeployment();
+
+  const address = await registry.getAddress();
+  console.log(`FileRegistry deployed to ${address}`);
+  console.log('Add to your environment:');
+  console.log(`  EXPO_PUBLIC_CHAIN_RPC_URL=${hre.network.config.url}`);
+  console.log(`  EXPO_PUBLIC_FILE_REGISTRY_ADDRESS=${address}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
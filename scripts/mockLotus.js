@@ -0,0 +1,224 @@
+// Mock Lotus JSON-RPC node for developing Filecoin deal tracking without a
+// real node or FIL. It implements the handful of methods the app uses and
+// moves every deal through its lifecycle as the mock chain advances:
+// proposed, published, active, then expired at its end epoch.
+//
+// Miners whose address contains "reject" reject every proposal; miners
+// containing "slash" are slashed shortly after their deals go active.
+//
+//   MOCK_LOTUS_PORT           port to listen on (default 1234)
+//   MOCK_LOTUS_EPOCH_SECONDS  seconds per mock epoch (default 1, real chain: 30)
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_LOTUS_PORT, 10) || 1234;
+const EPOCH_SECONDS = parseFloat(process.env.MOCK_LOTUS_EPOCH_SECONDS) || 1;
+
+// Epochs after the proposal at which a deal moves on
+const PUBLISH_DELAY = 3;
+const ACTIVATION_DELAY = 10;
+const SLASH_DELAY = 5;
+
+// storagemarket.StorageDealStatus values
+const DEAL_STATES = {
+  PROPOSAL_REJECTED: 2,
+  ACTIVE: 7,
+  EXPIRED: 8,
+  SLASHED: 9,
+  VALIDATING: 14,
+  AWAITING_PRE_COMMIT: 29,
+};
+
+const WALLET = 't3mockclientwalletaddress';
+const startedAt = Date.now();
+const deals = new Map(); // proposal CID -> deal
+let nextDealId = 1000;
+
+const chainHeight = () => Math.floor((Date.now() - startedAt) / 1000 / EPOCH_SECONDS);
+
+// A made-up but well-formed CIDv1 (dag-cbor, sha2-256) in base32
+const fakeCid = () => {
+  const bytes = Buffer.concat([Buffer.from([0x01, 0x71, 0x12, 0x20]), crypto.randomBytes(32)]);
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  let out = 'b';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+};
+
+class RpcError extends Error {
+  constructor(message, code = 1) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Where a deal is at a given height
+const dealView = (deal, height) => {
+  if (deal.rejected) {
+    return { state: DEAL_STATES.PROPOSAL_REJECTED, dealId: 0, message: 'deal rejected: mock miner refuses deals' };
+  }
+  if (height < deal.proposedAt + PUBLISH_DELAY) {
+    return { state: DEAL_STATES.VALIDATING, dealId: 0, message: '' };
+  }
+  if (deal.slashes && height >= deal.startEpoch + SLASH_DELAY) {
+    return { state: DEAL_STATES.SLASHED, dealId: deal.dealId, message: '' };
+  }
+  if (height >= deal.endEpoch) {
+    return { state: DEAL_STATES.EXPIRED, dealId: deal.dealId, message: '' };
+  }
+  if (height >= deal.startEpoch) {
+    return { state: DEAL_STATES.ACTIVE, dealId: deal.dealId, message: '' };
+  }
+  return { state: DEAL_STATES.AWAITING_PRE_COMMIT, dealId: deal.dealId, message: '' };
+};
+
+const findDeal = (proposal) => {
+  const deal = deals.get(proposal && proposal['/']);
+  if (!deal) throw new RpcError('datastore: key not found');
+  return deal;
+};
+
+const methods = {
+  'Filecoin.ChainHead': () => {
+    const height = chainHeight();
+    return { Cids: [{ '/': fakeCid() }], Blocks: [], Height: height };
+  },
+
+  'Filecoin.WalletDefaultAddress': () => WALLET,
+
+  // The mock pretends it can fetch any content
+  'Filecoin.ClientHasLocal': () => true,
+
+  'Filecoin.ClientStartDeal': ([params]) => {
+    if (!params?.Data?.Root?.['/']) throw new RpcError('missing Data.Root');
+    if (!params.Miner) throw new RpcError('missing Miner');
+    if (!(params.MinBlocksDuration > 0)) throw new RpcError('MinBlocksDuration must be positive');
+
+    const height = chainHeight();
+    const startEpoch = params.DealStartEpoch > 0 ? params.DealStartEpoch : height + ACTIVATION_DELAY;
+    const proposalCid = fakeCid();
+    deals.set(proposalCid, {
+      proposalCid,
+      root: params.Data.Root['/'],
+      miner: params.Miner,
+      wallet: params.Wallet || WALLET,
+      pricePerEpoch: params.EpochPrice || '0',
+      duration: params.MinBlocksDuration,
+      proposedAt: height,
+      startEpoch,
+      endEpoch: startEpoch + params.MinBlocksDuration,
+      dealId: nextDealId++,
+      rejected: params.Miner.includes('reject'),
+      slashes: params.Miner.includes('slash'),
+    });
+
+    console.log(`Deal ${proposalCid} proposed to ${params.Miner} for ${params.Data.Root['/']}`);
+    return { '/': proposalCid };
+  },
+
+  'Filecoin.ClientGetDealInfo': ([proposal]) => {
+    const deal = findDeal(proposal);
+    const view = dealView(deal, chainHeight());
+    return {
+      ProposalCid: { '/': deal.proposalCid },
+      State: view.state,
+      Message: view.message,
+      Provider: deal.miner,
+      DataRef: { TransferType: 'graphsync', Root: { '/': deal.root } },
+      PieceCID: null,
+      Size: 0,
+      PricePerEpoch: deal.pricePerEpoch,
+      Duration: deal.duration,
+      DealID: view.dealId,
+      CreationTime: new Date(startedAt + deal.proposedAt * EPOCH_SECONDS * 1000).toISOString(),
+      Verified: false,
+    };
+  },
+
+  'Filecoin.ClientListDeals': () => {
+    return [...deals.values()].map(deal => methods['Filecoin.ClientGetDealInfo']([{ '/': deal.proposalCid }]));
+  },
+
+  'Filecoin.StateMarketStorageDeal': ([dealId]) => {
+    const height = chainHeight();
+    const deal = [...deals.values()].find(candidate => candidate.dealId === dealId);
+    const view = deal && dealView(deal, height);
+
+    // Like the market actor, forget deals that were never published or have ended
+    if (!deal || view.dealId === 0 || view.state === DEAL_STATES.EXPIRED || view.state === DEAL_STATES.SLASHED) {
+      throw new RpcError(`deal ${dealId} not found`);
+    }
+
+    return {
+      Proposal: {
+        PieceCID: null,
+        PieceSize: 0,
+        VerifiedDeal: false,
+        Client: deal.wallet,
+        Provider: deal.miner,
+        Label: deal.root,
+        StartEpoch: deal.startEpoch,
+        EndEpoch: deal.endEpoch,
+        StoragePricePerEpoch: deal.pricePerEpoch,
+        ProviderCollateral: '0',
+        ClientCollateral: '0',
+      },
+      State: {
+        SectorStartEpoch: view.state === DEAL_STATES.ACTIVE ? deal.startEpoch : -1,
+        LastUpdatedEpoch: height,
+        SlashEpoch: -1,
+      },
+    };
+  },
+};
+
+const handleCall = (call) => {
+  const method = methods[call.method];
+  if (!method) {
+    return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: `method '${call.method}' not found` } };
+  }
+  try {
+    return { jsonrpc: '2.0', id: call.id, result: method(call.params || []) };
+  } catch (error) {
+    return { jsonrpc: '2.0', id: call.id, error: { code: error.code || 1, message: error.message } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    let reply;
+    try {
+      const call = JSON.parse(body);
+      reply = Array.isArray(call) ? call.map(handleCall) : handleCall(call);
+    } catch (error) {
+      reply = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'parse error' } };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Lotus node listening on http://127.0.0.1:${PORT}/rpc/v0 (${EPOCH_SECONDS}s epochs)`);
+  console.log('Add to your environment:');
+  console.log(`  EXPO_PUBLIC_LOTUS_API_URL=http://127.0.0.1:${PORT}/rpc/v0`);
+  console.log('  EXPO_PUBLIC_FILECOIN_MINERS=f01000,f01001');
+  console.log('  EXPO_PUBLIC_FILECOIN_DEAL_DURATION=600 (short deals to see them expire)');
+});
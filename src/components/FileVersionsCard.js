@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import {
+  getFileVersions,
+  uploadFileVersion,
+  restoreFileVersion,
+  downloadFileToUri
+} from '../services/fileService';
+import { getScratchUri, wipeScratch } from '../services/localDataService';
+import { getFileSize, formatDate } from '../utils/helpers';
+import { MAX_FILE_SIZE } from '../utils/constants';
+
+const FileVersionsCard = ({ file, onChanged }) => {
+  const [versions, setVersions] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [busyVersion, setBusyVersion] = useState(null);
+
+  useEffect(() => {
+    loadVersions();
+  }, [file.ipfs_cid]);
+
+  const loadVersions = async () => {
+    try {
+      setVersions(await getFileVersions(file.id));
+    } catch (error) {
+      console.error('Error loading file versions:', error);
+    }
+  };
+
+  const handleUpload = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: '*/*',
+        copyToCacheDirectory: true,
+      });
+
+      if (result.canceled) {
+        return;
+      }
+
+      const pickedFile = result.assets[0];
+      if (pickedFile.size > MAX_FILE_SIZE) {
+        Alert.alert('Error', `File size should not exceed ${getFileSize(MAX_FILE_SIZE)}`);
+        return;
+      }
+
+      setUploadProgress(0);
+      const updatedFile = await uploadFileVersion({
+        fileId: file.id,
+        fileUri: pickedFile.uri,
+        fileType: pickedFile.mimeType,
+        fileSize: pickedFile.size,
+        onProgress: setUploadProgress
+      });
+      onChanged(updatedFile);
+    } catch (error) {
+      console.error('Version upload error:', error);
+      Alert.alert('Upload Failed', error.message || 'Failed to upload new version');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleDownload = async (version) => {
+    let fileUri = null;
+    try {
+      setBusyVersion(version.version);
+
+      // Decrypt into the scratch area, which is wiped once sharing is done
+      fileUri = await getScratchUri(file.file_name);
+      await downloadFileToUri(file.id, fileUri, () => {}, { version: version.version });
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(fileUri);
+      } else {
+        Alert.alert('Error', 'Sharing is not available on this device');
+      }
+    } catch (error) {
+      console.error('Version download error:', error);
+      Alert.alert('Download Failed', error.message || 'Failed to download version');
+    } finally {
+      if (fileUri) await wipeScratch(fileUri);
+      setBusyVersion(null);
+    }
+  };
+
+  const handleRestore = (version) => {
+    Alert.alert(
+      'Restore Version',
+      `Make version ${version.version} the current version? The current version stays in the history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            try {
+              setBusyVersion(version.version);
+              onChanged(await restoreFileVersion(file.id, version.version));
+            } catch (error) {
+              console.error('Version restore error:', error);
+              Alert.alert('Restore Failed', error.message || 'Failed to restore version');
+            } finally {
+              setBusyVersion(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const describeVersion = (version) => {
+    const uploader = version.uploader?.username || version.uploader?.full_name;
+    return [
+      getFileSize(version.file_size),
+      formatDate(version.created_at),
+      uploader && `by ${uploader}`
+    ].filter(Boolean).join(' · ');
+  };
+
+  const busy = uploadProgress !== null || busyVersion !== null;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Versions</Text>
+
+      {versions.map((version, index) => {
+        const current = index === 0;
+        return (
+          <View key={version.version} style={styles.versionRow}>
+            <Ionicons
+              name={current ? 'checkmark-circle' : 'time-outline'}
+              size={18}
+              color={current ? '#059669' : '#666'}
+            />
+            <View style={styles.versionInfo}>
+              <Text style={styles.versionName}>
+                {current ? `Version ${version.version} (current)` : `Version ${version.version}`}
+              </Text>
+              <Text style={styles.metaText}>{describeVersion(version)}</Text>
+              {!!version.restored_from && (
+                <Text style={styles.metaText}>{`Restored from version ${version.restored_from}`}</Text>
+              )}
+            </View>
+            {!current && (busyVersion === version.version ? (
+              <ActivityIndicator size="small" color="#2563eb" />
+            ) : (
+              <View style={styles.versionActions}>
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => handleDownload(version)}
+                  disabled={busy}
+                >
+                  <Ionicons name="cloud-download-outline" size={20} color="#2563eb" />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => handleRestore(version)}
+                  disabled={busy}
+                >
+                  <Ionicons name="arrow-undo-outline" size={20} color="#2563eb" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        );
+      })}
+
+      <TouchableOpacity
+        style={styles.uploadButton}
+        onPress={handleUpload}
+        disabled={busy}
+      >
+        {uploadProgress !== null ? (
+          <View style={styles.uploadProgress}>
+            <ActivityIndicator size="small" color="#2563eb" />
+            <Text style={[styles.uploadButtonText, styles.progressText]}>
+              {`Uploading... ${Math.round(uploadProgress)}%`}
+            </Text>
+          </View>
+        ) : (
+          <Text style={styles.uploadButtonText}>Upload New Version</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  versionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  versionInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  versionName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  versionActions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    padding: 6,
+  },
+  uploadButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    alignItems: 'center',
+  },
+  uploadProgress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  uploadButtonText: {
+    color: '#2563eb',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  progressText: {
+    marginLeft: 8,
+  },
+});
+
+export default FileVersionsCard;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getPinStatuses,
+  refreshPinStatuses,
+  getPinHealth,
+  PENDING_PIN_STATUSES
+} from '../services/pinningService';
+import { formatDate } from '../utils/helpers';
+
+// How often to poll the services while pins are still in progress
+const POLL_INTERVAL = 10000; // 10 seconds
+
+const STATUS_ICONS = {
+  pinned: { name: 'checkmark-circle', color: '#059669' },
+  queued: { name: 'time-outline', color: '#d97706' },
+  pinning: { name: 'sync-outline', color: '#2563eb' },
+  failed: { name: 'close-circle', color: '#dc2626' },
+};
+
+const HEALTH_LABELS = {
+  healthy: { text: 'Pinned on all services', color: '#059669' },
+  pending: { text: 'Pinning in progress', color: '#d97706' },
+  degraded: { text: 'Some services failed', color: '#d97706' },
+  failed: { text: 'Not pinned', color: '#dc2626' },
+  none: { text: 'Not pinned yet', color: '#666' },
+};
+
+const PinHealthCard = ({ file }) => {
+  const [statuses, setStatuses] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const pollTimer = useRef(null);
+
+  useEffect(() => {
+    loadStatuses();
+    return () => clearTimeout(pollTimer.current);
+  }, []);
+
+  const schedulePoll = (rows) => {
+    clearTimeout(pollTimer.current);
+    if (rows.some(row => PENDING_PIN_STATUSES.includes(row.status))) {
+      pollTimer.current = setTimeout(handleRefresh, POLL_INTERVAL);
+    }
+  };
+
+  const loadStatuses = async () => {
+    try {
+      const rows = await getPinStatuses(file.id, file.ipfs_cid);
+      setStatuses(rows);
+      schedulePoll(rows);
+    } catch (error) {
+      console.error('Error loading pin statuses:', error);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      const rows = await refreshPinStatuses(file.id, file.ipfs_cid);
+      setStatuses(rows);
+      schedulePoll(rows);
+    } catch (error) {
+      console.error('Error refreshing pin statuses:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const health = HEALTH_LABELS[getPinHealth(statuses)];
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.titleRow}>
+        <Text style={styles.sectionTitle}>Pinning</Text>
+        {refreshing ? (
+          <ActivityIndicator size="small" color="#2563eb" />
+        ) : (
+          <TouchableOpacity onPress={handleRefresh}>
+            <Ionicons name="refresh-outline" size={20} color="#2563eb" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <Text style={[styles.health, { color: health.color }]}>{health.text}</Text>
+
+      {statuses.map((row) => {
+        const icon = STATUS_ICONS[row.status] || STATUS_ICONS.failed;
+        return (
+          <View key={row.service} style={styles.statusRow}>
+            <Ionicons name={icon.name} size={18} color={icon.color} />
+            <View style={styles.statusInfo}>
+              <Text style={styles.serviceName}>{row.service}</Text>
+              {!!row.info?.error && (
+                <Text style={styles.errorText} numberOfLines={2}>{row.info.error}</Text>
+              )}
+            </View>
+            <View style={styles.statusMeta}>
+              <Text style={styles.statusText}>{row.status}</Text>
+              <Text style={styles.checkedText}>{formatDate(row.checked_at)}</Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+  },
+  health: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  statusInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  serviceName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#dc2626',
+    marginTop: 2,
+  },
+  statusMeta: {
+    alignItems: 'flex-end',
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  checkedText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+});
+
+export default PinHealthCard;
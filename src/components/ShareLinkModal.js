@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+  Share,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { createShareLink, fetchShareLinks, revokeShareLink } from '../services/shareLinkService';
+import { formatDate } from '../utils/helpers';
+
+const ShareLinkModal = ({ visible, file, onClose }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('7');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [links, setLinks] = useState([]);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      loadLinks();
+    }
+  }, [visible, file?.id]);
+
+  const loadLinks = async () => {
+    try {
+      const allLinks = await fetchShareLinks(file.id);
+      setLinks(allLinks.filter(link => !link.revoked_at));
+    } catch (error) {
+      console.error('Error loading share links:', error);
+    }
+  };
+
+  const reset = () => {
+    setPassphrase('');
+    setExpiresInDays('7');
+    setMaxDownloads('');
+  };
+
+  const handleCreate = async () => {
+    const days = parseInt(expiresInDays, 10);
+    const downloads = parseInt(maxDownloads, 10);
+
+    try {
+      setCreating(true);
+
+      const { url } = await createShareLink(file.id, {
+        passphrase,
+        expiresAt: days > 0
+          ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+        maxDownloads: downloads > 0 ? downloads : null,
+      });
+
+      reset();
+      onClose();
+
+      await Share.share({
+        title: file.file_name,
+        message: passphrase
+          ? `Download ${file.file_name}: ${url}\n(The passphrase will be sent separately.)`
+          : `Download ${file.file_name}: ${url}`,
+      });
+    } catch (error) {
+      console.error('Create share link error:', error);
+      Alert.alert('Error', error.message || 'Failed to create share link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = (link) => {
+    Alert.alert(
+      'Revoke Link',
+      'Anyone with this link will no longer be able to download the file.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setRevokingId(link.id);
+              await revokeShareLink(link.id);
+              setLinks(current => current.filter(item => item.id !== link.id));
+            } catch (error) {
+              console.error('Revoke share link error:', error);
+              Alert.alert('Error', error.message || 'Failed to revoke share link');
+            } finally {
+              setRevokingId(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const describeLink = (link) => {
+    const expired = link.expires_at && new Date(link.expires_at) < new Date();
+    return [
+      link.has_passphrase ? 'Passphrase' : 'No passphrase',
+      link.max_downloads
+        ? `${link.download_count}/${link.max_downloads} downloads`
+        : `${link.download_count} downloads`,
+      link.expires_at && (expired ? 'Expired' : `Expires ${formatDate(link.expires_at)}`)
+    ].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.titleRow}>
+            <Text style={styles.title}>Create Share Link</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Passphrase (optional)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Required to open the link"
+            value={passphrase}
+            onChangeText={setPassphrase}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+
+          <Text style={styles.label}>Expires after (days)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Leave empty for no expiry"
+            value={expiresInDays}
+            onChangeText={setExpiresInDays}
+            keyboardType="number-pad"
+          />
+
+          <Text style={styles.label}>Maximum downloads</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Leave empty for unlimited"
+            value={maxDownloads}
+            onChangeText={setMaxDownloads}
+            keyboardType="number-pad"
+          />
+
+          <TouchableOpacity style={styles.createButton} onPress={handleCreate} disabled={creating}>
+            {creating ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Create and Share Link</Text>
+            )}
+          </TouchableOpacity>
+
+          {links.length > 0 && (
+            <View style={styles.linksSection}>
+              <Text style={styles.label}>Active Links</Text>
+              {links.map(link => (
+                <View key={link.id} style={styles.linkRow}>
+                  <View style={styles.linkInfo}>
+                    <Text style={styles.linkTitle}>{`Created ${formatDate(link.created_at)}`}</Text>
+                    <Text style={styles.linkMeta}>{describeLink(link)}</Text>
+                  </View>
+                  {revokingId === link.id ? (
+                    <ActivityIndicator size="small" color="#dc2626" />
+                  ) : (
+                    <TouchableOpacity
+                      style={styles.revokeButton}
+                      onPress={() => handleRevoke(link)}
+                      disabled={revokingId !== null}
+                    >
+                      <Ionicons name="trash-outline" size={20} color="#dc2626" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  createButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linksSection: {
+    marginTop: 20,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  linkInfo: {
+    flex: 1,
+  },
+  linkTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  linkMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  revokeButton: {
+    padding: 6,
+  },
+});
+
+export default ShareLinkModal;
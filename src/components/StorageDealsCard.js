@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getFileDeals,
+  refreshFileDeals,
+  proposeFileDeals,
+  getChainHeight,
+  epochToDate,
+  DEAL_EXPIRY_WARNING
+} from '../services/dealService';
+
+const STATUS_ICONS = {
+  proposed: { name: 'time-outline', color: '#d97706' },
+  published: { name: 'sync-outline', color: '#2563eb' },
+  active: { name: 'checkmark-circle', color: '#059669' },
+  expired: { name: 'hourglass-outline', color: '#666' },
+  slashed: { name: 'warning-outline', color: '#dc2626' },
+  failed: { name: 'close-circle', color: '#dc2626' },
+};
+
+const LIVE_STATUSES = ['proposed', 'published', 'active'];
+
+const StorageDealsCard = ({ file, isOwner }) => {
+  const [deals, setDeals] = useState([]);
+  const [height, setHeight] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [proposing, setProposing] = useState(false);
+
+  useEffect(() => {
+    loadDeals();
+  }, []);
+
+  const loadDeals = async () => {
+    try {
+      setDeals(await getFileDeals(file.id, file.ipfs_cid));
+      setHeight(await getChainHeight());
+    } catch (error) {
+      console.error('Error loading storage deals:', error);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      const currentHeight = await getChainHeight();
+      setHeight(currentHeight);
+      setDeals(await refreshFileDeals(file.id, file.ipfs_cid, currentHeight));
+    } catch (error) {
+      console.error('Error refreshing storage deals:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handlePropose = async () => {
+    try {
+      setProposing(true);
+      await proposeFileDeals(file.id, file.ipfs_cid);
+      setDeals(await getFileDeals(file.id, file.ipfs_cid));
+    } finally {
+      setProposing(false);
+    }
+  };
+
+  const describeEnd = (deal) => {
+    if (deal.end_epoch == null || height == null) return null;
+    const date = epochToDate(deal.end_epoch, height).toLocaleDateString();
+    return deal.end_epoch > height ? `Ends ~${date}` : `Ended ~${date}`;
+  };
+
+  const live = deals.filter(deal => LIVE_STATUSES.includes(deal.status));
+  const lastEpoch = Math.max(...live.map(deal => deal.end_epoch ?? -1));
+  const expiringSoon = height != null && lastEpoch > -1 && lastEpoch - height <= DEAL_EXPIRY_WARNING;
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.titleRow}>
+        <Text style={styles.sectionTitle}>Filecoin Deals</Text>
+        {refreshing ? (
+          <ActivityIndicator size="small" color="#2563eb" />
+        ) : (
+          <TouchableOpacity onPress={handleRefresh}>
+            <Ionicons name="refresh-outline" size={20} color="#2563eb" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {deals.length === 0 && <Text style={styles.emptyText}>No deals yet</Text>}
+
+      {expiringSoon && (
+        <Text style={styles.warningText}>
+          {`Storage on Filecoin ends around ${epochToDate(lastEpoch, height).toLocaleDateString()}`}
+        </Text>
+      )}
+
+      {deals.map((deal) => {
+        const icon = STATUS_ICONS[deal.status] || STATUS_ICONS.failed;
+        const end = describeEnd(deal);
+        return (
+          <View key={deal.id} style={styles.dealRow}>
+            <Ionicons name={icon.name} size={18} color={icon.color} />
+            <View style={styles.dealInfo}>
+              <Text style={styles.minerName}>{deal.miner}</Text>
+              {!!deal.deal_id && <Text style={styles.metaText}>{`Deal ${deal.deal_id}`}</Text>}
+              {!!deal.info?.error && (
+                <Text style={styles.errorText} numberOfLines={2}>{deal.info.error}</Text>
+              )}
+            </View>
+            <View style={styles.dealMeta}>
+              <Text style={styles.statusText}>{deal.status}</Text>
+              {!!end && <Text style={styles.metaText}>{end}</Text>}
+            </View>
+          </View>
+        );
+      })}
+
+      {isOwner && (live.length === 0 || expiringSoon) && (
+        <TouchableOpacity
+          style={styles.proposeButton}
+          onPress={handlePropose}
+          disabled={proposing}
+        >
+          {proposing ? (
+            <ActivityIndicator size="small" color="#2563eb" />
+          ) : (
+            <Text style={styles.proposeButtonText}>
+              {live.length === 0 ? 'Propose Deals' : 'Renew Deals'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#666',
+    marginBottom: 8,
+  },
+  warningText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#d97706',
+    marginBottom: 8,
+  },
+  dealRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  dealInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  minerName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#dc2626',
+    marginTop: 2,
+  },
+  dealMeta: {
+    alignItems: 'flex-end',
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  proposeButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    alignItems: 'center',
+  },
+  proposeButtonText: {
+    color: '#2563eb',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default StorageDealsCard;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transferFileOwnership } from '../services/fileService';
+
+const TransferOwnershipModal = ({ visible, file, onClose, onTransferred }) => {
+  const [username, setUsername] = useState('');
+  const [transferring, setTransferring] = useState(false);
+
+  const handleTransfer = () => {
+    if (!username.trim()) {
+      Alert.alert('Error', 'Please enter the username of the new owner');
+      return;
+    }
+
+    Alert.alert(
+      'Confirm Transfer',
+      `Transfer ${file.file_name} to ${username.trim()}? You will lose access to this file unless they share it back.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Transfer', style: 'destructive', onPress: confirmTransfer }
+      ]
+    );
+  };
+
+  const confirmTransfer = async () => {
+    try {
+      setTransferring(true);
+      await transferFileOwnership(file.id, username);
+
+      setUsername('');
+      onClose();
+      onTransferred();
+    } catch (error) {
+      console.error('Transfer error:', error);
+      Alert.alert('Transfer Failed', error.message || 'Failed to transfer file');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.titleRow}>
+            <Text style={styles.title}>Transfer Ownership</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>New owner</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Username"
+            value={username}
+            onChangeText={setUsername}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+
+          <TouchableOpacity style={styles.transferButton} onPress={handleTransfer} disabled={transferring}>
+            {transferring ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Transfer File</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  transferButton: {
+    backgroundColor: '#d97706',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default TransferOwnershipModal;
@@ -2,6 +2,7 @@ import React from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 
 // Screens
@@ -11,6 +12,12 @@ import HomeScreen from '../screens/HomeScreen';
 import FileUploadScreen from '../screens/FileUploadScreen';
 import FileDetailsScreen from '../screens/FileDetailsScreen';
 import MyFilesScreen from '../screens/MyFilesScreen';
+import UnlockKeyScreen from '../screens/UnlockKeyScreen';
+import ShareLinkScreen from '../screens/ShareLinkScreen';
+import FileVerificationScreen from '../screens/FileVerificationScreen';
+import GatewaySettingsScreen from '../screens/GatewaySettingsScreen';
+import UploadsScreen from '../screens/UploadsScreen';
+import { SHARE_LINK_PREFIX } from '../utils/constants';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -20,6 +27,21 @@ function AuthStack() {
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
+      <Stack.Screen 
+        name="ShareLink" 
+        component={ShareLinkScreen} 
+        options={{ headerShown: true, title: 'Shared File' }}
+      />
+    </Stack.Navigator>
+  );
+}
+
+function UnlockStack({ user }) {
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="Unlock">
+        {(props) => <UnlockKeyScreen {...props} user={user} />}
+      </Stack.Screen>
     </Stack.Navigator>
   );
 }
@@ -30,13 +52,65 @@ function HomeStack() {
       <Stack.Screen 
         name="HomeScreen" 
         component={HomeScreen} 
-        options={{ title: 'Home' }}
+        options={({ navigation }) => ({
+          title: 'Home',
+          headerRight: () => (
+            <TouchableOpacity
+              style={{ marginRight: 16 }}
+              onPress={() => navigation.navigate('GatewaySettings')}
+            >
+              <Ionicons name="settings-outline" size={22} color="#2563eb" />
+            </TouchableOpacity>
+          ),
+        })}
       />
       <Stack.Screen 
         name="FileDetails" 
         component={FileDetailsScreen} 
         options={{ title: 'File Details' }}
       />
+      <Stack.Screen 
+        name="VerifyFile" 
+        component={FileVerificationScreen} 
+        options={{ title: 'Verify Integrity' }}
+      />
+      <Stack.Screen 
+        name="ShareLink" 
+        component={ShareLinkScreen} 
+        options={{ title: 'Shared File' }}
+      />
+      <Stack.Screen 
+        name="GatewaySettings" 
+        component={GatewaySettingsScreen} 
+        options={{ title: 'Settings' }}
+      />
+    </Stack.Navigator>
+  );
+}
+
+function UploadStack() {
+  return (
+    <Stack.Navigator>
+      <Stack.Screen 
+        name="UploadScreen" 
+        component={FileUploadScreen} 
+        options={({ navigation }) => ({
+          title: 'Upload File',
+          headerRight: () => (
+            <TouchableOpacity
+              style={{ marginRight: 16 }}
+              onPress={() => navigation.navigate('Uploads')}
+            >
+              <Ionicons name="list-outline" size={24} color="#2563eb" />
+            </TouchableOpacity>
+          ),
+        })}
+      />
+      <Stack.Screen 
+        name="Uploads" 
+        component={UploadsScreen} 
+        options={{ title: 'Uploads' }}
+      />
     </Stack.Navigator>
   );
 }
@@ -54,6 +128,11 @@ function MyFilesStack() {
         component={FileDetailsScreen} 
         options={{ title: 'File Details' }}
       />
+      <Stack.Screen 
+        name="VerifyFile" 
+        component={FileVerificationScreen} 
+        options={{ title: 'Verify Integrity' }}
+      />
     </Stack.Navigator>
   );
 }
@@ -86,8 +165,8 @@ function MainTabs() {
       />
       <Tab.Screen 
         name="Upload" 
-        component={FileUploadScreen} 
-        options={{ title: 'Upload File' }}
+        component={UploadStack} 
+        options={{ headerShown: false }}
       />
       <Tab.Screen 
         name="MyFiles" 
@@ -98,10 +177,28 @@ function MainTabs() {
   );
 }
 
-export default function AppNavigator({ user }) {
+// Share links open the ShareLink screen of whichever navigator is mounted
+const SHARE_LINK_PATH = 'share/:token';
+const authLinking = {
+  prefixes: [SHARE_LINK_PREFIX.replace('share/', '')],
+  config: { screens: { ShareLink: SHARE_LINK_PATH } },
+};
+const mainLinking = {
+  prefixes: authLinking.prefixes,
+  config: { screens: { Home: { screens: { ShareLink: SHARE_LINK_PATH } } } },
+};
+
+export default function AppNavigator({ user, keyUnlocked }) {
+  let content = <AuthStack />;
+  let linking = authLinking;
+  if (user) {
+    content = keyUnlocked ? <MainTabs /> : <UnlockStack user={user} />;
+    linking = keyUnlocked ? mainLinking : undefined;
+  }
+
   return (
-    <NavigationContainer>
-      {user ? <MainTabs /> : <AuthStack />}
+    <NavigationContainer linking={linking}>
+      {content}
     </NavigationContainer>
   );
 }
@@ -10,24 +10,48 @@ import {
   ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
-import { downloadFile, deleteFile } from '../services/fileService';
+import { downloadFileToUri, deleteFile } from '../services/fileService';
+import { getScratchUri, wipeScratch } from '../services/localDataService';
 import { getFileTypeIcon, getFileSize, formatDate } from '../utils/helpers';
 import LoadingIndicator from '../components/LoadingIndicator';
+import ShareLinkModal from '../components/ShareLinkModal';
+import TransferOwnershipModal from '../components/TransferOwnershipModal';
+import PinHealthCard from '../components/PinHealthCard';
+import StorageDealsCard from '../components/StorageDealsCard';
+import FileVersionsCard from '../components/FileVersionsCard';
+import { isPinningEnabled } from '../services/pinningService';
+import { getFileReplicas } from '../services/replicationService';
+import { isDealsEnabled } from '../services/dealService';
 import { supabase } from '../services/supabaseService';
 
 const FileDetailsScreen = ({ route, navigation }) => {
-  const { file } = route.params;
+  const [file, setFile] = useState(route.params.file);
   const [loading, setLoading] = useState(false);
   const [downloadProgress, setDownloadProgress] = useState(0);
   const [downloadingFile, setDownloadingFile] = useState(false);
   const [isOwner, setIsOwner] = useState(false);
+  const [shareLinkVisible, setShareLinkVisible] = useState(false);
+  const [transferVisible, setTransferVisible] = useState(false);
+  const [replicas, setReplicas] = useState([]);
 
   useEffect(() => {
     checkOwnership();
   }, []);
 
+  useEffect(() => {
+    loadReplicas();
+  }, [file.ipfs_cid]);
+
+  const loadReplicas = async () => {
+    try {
+      const rows = await getFileReplicas(file.id);
+      setReplicas(rows.filter(row => row.cid === file.ipfs_cid));
+    } catch (error) {
+      console.error('Error loading replicas:', error);
+    }
+  };
+
   const checkOwnership = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
@@ -38,20 +62,17 @@ const FileDetailsScreen = ({ route, navigation }) => {
   };
 
   const handleDownload = async () => {
+    let fileUri = null;
     try {
       setDownloadingFile(true);
       setDownloadProgress(0);
 
-      const fileData = await downloadFile(file.id, (progress) => {
+      // Decrypt into the scratch area, which is wiped once sharing is done
+      fileUri = await getScratchUri(file.file_name);
+      await downloadFileToUri(file.id, fileUri, (progress) => {
         setDownloadProgress(progress);
       });
 
-      // Create a temporary file
-      const fileUri = `${FileSystem.cacheDirectory}${file.file_name}`;
-      await FileSystem.writeAsStringAsync(fileUri, fileData, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
       if (await Sharing.isAvailableAsync()) {
         await Sharing.shareAsync(fileUri);
       } else {
@@ -61,6 +82,7 @@ const FileDetailsScreen = ({ route, navigation }) => {
       console.error('Download error:', error);
       Alert.alert('Download Failed', error.message || 'Failed to download file');
     } finally {
+      if (fileUri) await wipeScratch(fileUri);
       setDownloadingFile(false);
     }
   };
@@ -90,6 +112,16 @@ const FileDetailsScreen = ({ route, navigation }) => {
     }
   };
 
+  // A new or restored version changes the file's content
+  const handleVersionChanged = (updatedFile) => {
+    setFile(current => ({ ...current, ...updatedFile }));
+  };
+
+  const handleTransferred = () => {
+    Alert.alert('Success', 'File transferred successfully');
+    navigation.goBack();
+  };
+
   const handleShare = async () => {
     try {
       const result = await Share.share({
@@ -121,6 +153,15 @@ const FileDetailsScreen = ({ route, navigation }) => {
         </View>
       </View>
       
+      {!!file.missing_since && (
+        <View style={styles.missingBanner}>
+          <Ionicons name="warning-outline" size={20} color="#dc2626" />
+          <Text style={styles.missingText}>
+            {`No storage backend has had this file's content since ${formatDate(file.missing_since)}`}
+          </Text>
+        </View>
+      )}
+      
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Description</Text>
         <Text style={styles.description}>
@@ -152,7 +193,24 @@ const FileDetailsScreen = ({ route, navigation }) => {
           <Text style={styles.detailLabel}>Uploaded by</Text>
           <Text style={styles.detailValue}>{file.user_email || 'Unknown'}</Text>
         </View>
+        {replicas.length > 0 && (
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Replicas</Text>
+            <View style={styles.replicaContainer}>
+              <Text style={styles.detailValue}>
+                {`${replicas.filter(row => row.status === 'stored').length} of ${file.replication_factor || replicas.length}`}
+              </Text>
+              <Text style={styles.replicaBackends} numberOfLines={1}>
+                {replicas.map(row => row.status === 'stored' ? row.backend : `${row.backend} (missing)`).join(', ')}
+              </Text>
+            </View>
+          </View>
+        )}
       </View>
+
+      {isOwner && <FileVersionsCard file={file} onChanged={handleVersionChanged} />}
+      {isPinningEnabled() && <PinHealthCard key={file.ipfs_cid} file={file} />}
+      {isDealsEnabled() && <StorageDealsCard key={file.ipfs_cid} file={file} isOwner={isOwner} />}
       
       <View style={styles.actionContainer}>
         {downloadingFile ? (
@@ -169,11 +227,33 @@ const FileDetailsScreen = ({ route, navigation }) => {
           </TouchableOpacity>
         )}
 
+        <TouchableOpacity
+          style={styles.verifyButton}
+          onPress={() => navigation.navigate('VerifyFile', { file })}
+        >
+          <Ionicons name="shield-checkmark-outline" size={20} color="#fff" />
+          <Text style={styles.buttonText}>Verify Integrity</Text>
+        </TouchableOpacity>
+
         <TouchableOpacity style={styles.shareButton} onPress={handleShare}>
           <Ionicons name="share-outline" size={20} color="#fff" />
           <Text style={styles.buttonText}>Share</Text>
         </TouchableOpacity>
 
+        {isOwner && (
+          <TouchableOpacity style={styles.linkButton} onPress={() => setShareLinkVisible(true)}>
+            <Ionicons name="link-outline" size={20} color="#fff" />
+            <Text style={styles.buttonText}>Create Share Link</Text>
+          </TouchableOpacity>
+        )}
+
+        {isOwner && (
+          <TouchableOpacity style={styles.transferButton} onPress={() => setTransferVisible(true)}>
+            <Ionicons name="swap-horizontal-outline" size={20} color="#fff" />
+            <Text style={styles.buttonText}>Transfer Ownership</Text>
+          </TouchableOpacity>
+        )}
+
         {isOwner && (
           <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
             <Ionicons name="trash-outline" size={20} color="#fff" />
@@ -181,6 +261,19 @@ const FileDetailsScreen = ({ route, navigation }) => {
           </TouchableOpacity>
         )}
       </View>
+
+      <ShareLinkModal
+        visible={shareLinkVisible}
+        file={file}
+        onClose={() => setShareLinkVisible(false)}
+      />
+
+      <TransferOwnershipModal
+        visible={transferVisible}
+        file={file}
+        onClose={() => setTransferVisible(false)}
+        onTransferred={handleTransferred}
+      />
     </ScrollView>
   );
 };
@@ -228,6 +321,20 @@ const styles = StyleSheet.create({
     fontSize: 15,
     color: '#666',
   },
+  missingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fee2e2',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  missingText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#991b1b',
+  },
   section: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -266,6 +373,16 @@ const styles = StyleSheet.create({
     color: '#333',
     fontWeight: '500',
   },
+  replicaContainer: {
+    alignItems: 'flex-end',
+    flexShrink: 1,
+    marginLeft: 16,
+  },
+  replicaBackends: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+  },
   visibilityContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -285,6 +402,15 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     marginBottom: 12,
   },
+  verifyButton: {
+    backgroundColor: '#0891b2',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
   shareButton: {
     backgroundColor: '#059669',
     borderRadius: 8,
@@ -294,6 +420,24 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     marginBottom: 12,
   },
+  linkButton: {
+    backgroundColor: '#7c3aed',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  transferButton: {
+    backgroundColor: '#d97706',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
   deleteButton: {
     backgroundColor: '#dc2626',
     borderRadius: 8,
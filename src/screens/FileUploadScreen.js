@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -11,12 +11,14 @@ import {
   Platform
 } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
-import * as FileSystem from 'expo-file-system';
 import { Ionicons } from '@expo/vector-icons';
-import { uploadFile } from '../services/fileService';
+import { queueUpload } from '../services/fileService';
+import { getUploadQueue, processUploadQueue, onUploadQueueChange } from '../services/uploadQueueService';
 import { getFileTypeIcon, getFileSize } from '../utils/helpers';
 import LoadingIndicator from '../components/LoadingIndicator';
 import { supabase } from '../services/supabaseService';
+import { getDefaultReplicationFactor, getMaxReplicationFactor } from '../services/replicationService';
+import { MAX_FILE_SIZE } from '../utils/constants';
 
 const FileUploadScreen = ({ navigation }) => {
   const [file, setFile] = useState(null);
@@ -24,6 +26,51 @@ const FileUploadScreen = ({ navigation }) => {
   const [isPublic, setIsPublic] = useState(false);
   const [loading, setLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [defaultReplicas, setDefaultReplicas] = useState(1);
+  const [replicas, setReplicas] = useState(1);
+  const [pendingUploads, setPendingUploads] = useState(0);
+  
+  const maxReplicas = getMaxReplicationFactor();
+
+  useEffect(() => {
+    loadReplicationFactor();
+    loadPendingUploads();
+    
+    const unsubscribeFocus = navigation.addListener('focus', () => {
+      loadPendingUploads();
+    });
+    const unsubscribeQueue = onUploadQueueChange(loadPendingUploads);
+
+    return () => {
+      unsubscribeFocus();
+      unsubscribeQueue();
+    };
+  }, [navigation]);
+
+  const loadReplicationFactor = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const factor = Math.min(await getDefaultReplicationFactor(user.id), maxReplicas);
+      setDefaultReplicas(factor);
+      setReplicas(factor);
+    } catch (error) {
+      console.error('Error loading replication factor:', error);
+    }
+  };
+
+  const loadPendingUploads = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) return;
+
+      const { pending } = await getUploadQueue(session.user.id);
+      setPendingUploads(pending.length);
+    } catch (error) {
+      console.error('Error loading pending uploads:', error);
+    }
+  };
 
   const pickDocument = async () => {
     try {
@@ -38,9 +85,9 @@ const FileUploadScreen = ({ navigation }) => {
       
       const pickedFile = result.assets[0];
       
-      // Check file size (limit to 25MB for example)
-      if (pickedFile.size > 25 * 1024 * 1024) {
-        Alert.alert('Error', 'File size should not exceed 25MB');
+      // Check file size
+      if (pickedFile.size > MAX_FILE_SIZE) {
+        Alert.alert('Error', `File size should not exceed ${getFileSize(MAX_FILE_SIZE)}`);
         return;
       }
 
@@ -61,43 +108,42 @@ const FileUploadScreen = ({ navigation }) => {
       setLoading(true);
       setUploadProgress(0);
 
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser();
+      // The session is kept on the device, so this works offline
+      const { data: { session } } = await supabase.auth.getSession();
+      const user = session?.user;
       if (!user) {
         throw new Error('User not authenticated');
       }
 
-      const fileData = await FileSystem.readAsStringAsync(file.uri, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
-      await uploadFile({
-        file: fileData,
+      // Encrypt now and let the upload queue send the file, straight away
+      // if the device is online and as soon as it is back otherwise
+      await queueUpload({
+        fileUri: file.uri,
         fileName: file.name,
         fileType: file.mimeType,
         fileSize: file.size,
         description,
         isPublic,
         userId: user.id,
+        replicationFactor: replicas,
         onProgress: (progress) => {
           setUploadProgress(progress);
         }
       });
 
-      Alert.alert(
-        'Success', 
-        'File uploaded successfully',
-        [{ text: 'OK', onPress: () => {
-          // Reset form and navigate to My Files
-          setFile(null);
-          setDescription('');
-          setIsPublic(false);
-          navigation.navigate('MyFiles');
-        }}]
-      );
+      processUploadQueue(user.id).catch((error) => {
+        console.error('Error processing upload queue:', error);
+      });
+
+      // Reset form and show the queue
+      setFile(null);
+      setDescription('');
+      setIsPublic(false);
+      setReplicas(defaultReplicas);
+      navigation.navigate('Uploads');
     } catch (error) {
       console.error('Upload error:', error);
-      Alert.alert('Upload Failed', error.message || 'Failed to upload file. Please try again.');
+      Alert.alert('Upload Failed', error.message || 'Failed to encrypt file. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -106,7 +152,7 @@ const FileUploadScreen = ({ navigation }) => {
   if (loading) {
     return (
       <LoadingIndicator 
-        message={`Uploading file... ${Math.round(uploadProgress)}%`}
+        message={`Encrypting file... ${Math.round(uploadProgress)}%`}
         progress={uploadProgress / 100} 
       />
     );
@@ -114,6 +160,16 @@ const FileUploadScreen = ({ navigation }) => {
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {pendingUploads > 0 && (
+        <TouchableOpacity style={styles.queueContainer} onPress={() => navigation.navigate('Uploads')}>
+          <Ionicons name="time-outline" size={24} color="#2563eb" />
+          <Text style={styles.queueText}>
+            {pendingUploads === 1 ? '1 upload waiting' : `${pendingUploads} uploads waiting`}
+          </Text>
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        </TouchableOpacity>
+      )}
+
       <View style={styles.uploadContainer}>
         <TouchableOpacity style={styles.uploadButton} onPress={pickDocument}>
           <Ionicons name="cloud-upload-outline" size={48} color="#2563eb" />
@@ -166,6 +222,41 @@ const FileUploadScreen = ({ navigation }) => {
             : 'Private files are only visible to you'}
         </Text>
 
+        {maxReplicas > 1 && (
+          <>
+            <View style={styles.switchContainer}>
+              <Text style={styles.label}>Replicas</Text>
+              <View style={styles.stepper}>
+                <TouchableOpacity
+                  onPress={() => setReplicas(replicas - 1)}
+                  disabled={replicas <= 1}
+                >
+                  <Ionicons
+                    name="remove-circle-outline"
+                    size={28}
+                    color={replicas <= 1 ? '#d1d5db' : '#2563eb'}
+                  />
+                </TouchableOpacity>
+                <Text style={styles.stepperValue}>{replicas}</Text>
+                <TouchableOpacity
+                  onPress={() => setReplicas(replicas + 1)}
+                  disabled={replicas >= maxReplicas}
+                >
+                  <Ionicons
+                    name="add-circle-outline"
+                    size={28}
+                    color={replicas >= maxReplicas ? '#d1d5db' : '#2563eb'}
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <Text style={styles.infoText}>
+              {`Stored with ${replicas} of ${maxReplicas} storage providers`}
+            </Text>
+          </>
+        )}
+
         <TouchableOpacity 
           style={[
             styles.submitButton, 
@@ -189,6 +280,26 @@ const styles = StyleSheet.create({
   content: {
     padding: 16,
   },
+  queueContainer: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  queueText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
   uploadContainer: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -285,6 +396,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 8,
   },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    minWidth: 32,
+    textAlign: 'center',
+  },
   infoText: {
     fontSize: 14,
     color: '#666',
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { verifyFileIntegrity } from '../services/fileService';
+import { formatDate } from '../utils/helpers';
+
+const STATUS_ICONS = {
+  pass: { name: 'checkmark-circle', color: '#059669' },
+  fail: { name: 'close-circle', color: '#dc2626' },
+  skipped: { name: 'remove-circle-outline', color: '#999' },
+};
+
+const FileVerificationScreen = ({ route }) => {
+  const { file } = route.params;
+  const [verifying, setVerifying] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [report, setReport] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    runVerification();
+  }, []);
+
+  const runVerification = async () => {
+    try {
+      setVerifying(true);
+      setProgress(0);
+      setReport(null);
+      setErrorMessage('');
+
+      setReport(await verifyFileIntegrity(file.id, (value) => setProgress(value)));
+    } catch (error) {
+      console.error('Verification error:', error);
+      setErrorMessage(error.message || 'Failed to verify file');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.section}>
+        <Text style={styles.fileName}>{file.file_name}</Text>
+
+        {verifying && (
+          <View style={styles.progress}>
+            <ActivityIndicator size="small" color="#2563eb" />
+            <Text style={styles.progressText}>Verifying... {Math.round(progress)}%</Text>
+          </View>
+        )}
+
+        {!!errorMessage && (
+          <View style={[styles.banner, styles.failBanner]}>
+            <Ionicons name="alert-circle" size={24} color="#dc2626" />
+            <Text style={[styles.bannerText, styles.failText]}>{errorMessage}</Text>
+          </View>
+        )}
+
+        {report && (
+          <View style={[styles.banner, report.passed ? styles.passBanner : styles.failBanner]}>
+            <Ionicons
+              name={report.passed ? 'shield-checkmark' : 'warning'}
+              size={24}
+              color={report.passed ? '#059669' : '#dc2626'}
+            />
+            <Text style={[styles.bannerText, report.passed ? styles.passText : styles.failText]}>
+              {report.passed ? 'Integrity verified' : 'Verification failed'}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {report && (
+        <>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Upload</Text>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Uploaded on</Text>
+              <Text style={styles.detailValue}>{formatDate(report.uploadedAt)}</Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Uploaded by</Text>
+              <Text style={styles.detailValue}>{report.uploader}</Text>
+            </View>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Checks</Text>
+            {report.checks.map((item) => (
+              <View key={item.label} style={styles.checkRow}>
+                <Ionicons
+                  name={STATUS_ICONS[item.status].name}
+                  size={20}
+                  color={STATUS_ICONS[item.status].color}
+                />
+                <View style={styles.checkInfo}>
+                  <Text style={styles.checkLabel}>{item.label}</Text>
+                  {!!item.detail && (
+                    <Text style={styles.checkDetail} numberOfLines={2}>{item.detail}</Text>
+                  )}
+                </View>
+              </View>
+            ))}
+          </View>
+        </>
+      )}
+
+      {!verifying && (
+        <TouchableOpacity style={styles.retryButton} onPress={runVerification}>
+          <Ionicons name="refresh-outline" size={20} color="#fff" />
+          <Text style={styles.buttonText}>Verify Again</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  fileName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  progress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  progressText: {
+    marginLeft: 8,
+    fontSize: 15,
+    color: '#2563eb',
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 16,
+  },
+  passBanner: {
+    backgroundColor: '#ecfdf5',
+  },
+  failBanner: {
+    backgroundColor: '#fef2f2',
+  },
+  bannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  passText: {
+    color: '#059669',
+  },
+  failText: {
+    color: '#dc2626',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  detailLabel: {
+    fontSize: 15,
+    color: '#666',
+  },
+  detailValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  checkInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  checkLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
+  checkDetail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  retryButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
+
+export default FileVerificationScreen;
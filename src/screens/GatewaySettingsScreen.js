@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  RefreshControl,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getGatewayHealth,
+  addCustomGateway,
+  removeCustomGateway,
+  setGatewayPinned,
+  resetGatewayHealth,
+  findFastestGateway
+} from '../services/gatewayService';
+import { wipeLocalData } from '../services/localDataService';
+import { reconcileStorage, isStorageAdmin } from '../services/reconciliationService';
+import { supabase } from '../services/supabaseService';
+
+const CIRCUIT_LABELS = {
+  closed: { text: 'Healthy', color: '#059669' },
+  'half-open': { text: 'Retrying', color: '#d97706' },
+  open: { text: 'Paused', color: '#dc2626' },
+};
+
+const GatewaySettingsScreen = ({ navigation }) => {
+  const [gateways, setGateways] = useState([]);
+  const [newGateway, setNewGateway] = useState('');
+  const [refreshing, setRefreshing] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [wiping, setWiping] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [storageReport, setStorageReport] = useState(null);
+  const [storageAdmin, setStorageAdmin] = useState(false);
+
+  useEffect(() => {
+    loadGateways();
+
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadGateways();
+    });
+
+    return unsubscribe;
+  }, [navigation]);
+
+  useEffect(() => {
+    isStorageAdmin()
+      .then(setStorageAdmin)
+      .catch(error => console.error('Error checking storage role:', error));
+  }, []);
+
+  const loadGateways = async () => {
+    try {
+      setGateways(await getGatewayHealth());
+    } catch (error) {
+      console.error('Error loading gateways:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadGateways();
+  };
+
+  const handleAdd = async () => {
+    try {
+      await addCustomGateway(newGateway);
+      setNewGateway('');
+      await loadGateways();
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleRemove = (gateway) => {
+    Alert.alert(
+      'Remove Gateway',
+      `Stop using ${gateway}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeCustomGateway(gateway);
+              await loadGateways();
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleTogglePin = async (item) => {
+    await setGatewayPinned(item.gateway, !item.pinned);
+    await loadGateways();
+  };
+
+  const handleReset = async (gateway) => {
+    await resetGatewayHealth(gateway);
+    await loadGateways();
+  };
+
+  const handleTest = async () => {
+    try {
+      setTesting(true);
+      await findFastestGateway();
+      await loadGateways();
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleWipe = () => {
+    Alert.alert(
+      'Wipe Local Data',
+      'Delete cached downloads, queued uploads and the device key from this device? Your files in storage are not affected.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Wipe',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setWiping(true);
+              await wipeLocalData();
+              Alert.alert('Success', 'Local data wiped');
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            } finally {
+              setWiping(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const runReconciliation = async (dryRun) => {
+    try {
+      setChecking(true);
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('User not authenticated');
+
+      setStorageReport(await reconcileStorage(session.user.id, { dryRun }));
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleCleanUp = () => {
+    Alert.alert(
+      'Clean Up Storage',
+      `Unpin pinned items no file has referred to for a week, and flag files whose content is missing?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clean Up', style: 'destructive', onPress: () => runReconciliation(false) }
+      ]
+    );
+  };
+
+  const describeStorageReport = (report) => {
+    if (report.dryRun) {
+      return `${report.orphans.length} orphaned pins, ${report.missing.length} of your files missing`;
+    }
+    return `Unpinned ${report.unpinned.length} (${report.unpinFailed.length} failed, ${report.waiting.length} not orphaned long enough), flagged ${report.missing.length} missing files`;
+  };
+
+  const describeLatency = (item) => {
+    if (item.p50 == null) return 'No downloads yet';
+    return `p50 ${item.p50} ms · p90 ${item.p90} ms`;
+  };
+
+  const describeSuccess = (item) => {
+    if (item.successRate == null) return null;
+    return `${Math.round(item.successRate * 100)}% of ${item.requests} requests succeeded`;
+  };
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Add Gateway</Text>
+        <View style={styles.addRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="https://gateway.example.com/ipfs"
+            value={newGateway}
+            onChangeText={setNewGateway}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <TouchableOpacity
+            style={[styles.addButton, !newGateway.trim() && styles.disabledButton]}
+            onPress={handleAdd}
+            disabled={!newGateway.trim()}
+          >
+            <Ionicons name="add" size={22} color="#fff" />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hintText}>
+          Pinned gateways are always asked first. A gateway that fails several times in a row is paused for a while.
+        </Text>
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.titleRow}>
+          <Text style={styles.sectionTitle}>Gateways</Text>
+          {testing ? (
+            <ActivityIndicator size="small" color="#2563eb" />
+          ) : (
+            <TouchableOpacity onPress={handleTest}>
+              <Text style={styles.linkText}>Test all</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {gateways.map((item) => {
+          const circuit = CIRCUIT_LABELS[item.circuit];
+          const lastFailure = item.recentFailures[item.recentFailures.length - 1];
+          const success = describeSuccess(item);
+          return (
+            <View key={item.gateway} style={styles.gatewayRow}>
+              <View style={styles.gatewayInfo}>
+                <Text style={styles.gatewayName} numberOfLines={1}>{item.gateway}</Text>
+                <Text style={[styles.statusText, { color: circuit.color }]}>
+                  {item.circuit === 'open'
+                    ? `${circuit.text} until ${new Date(item.circuitOpenUntil).toLocaleTimeString()}`
+                    : circuit.text}
+                </Text>
+                <Text style={styles.metaText}>{describeLatency(item)}</Text>
+                {!!success && <Text style={styles.metaText}>{success}</Text>}
+                {!!lastFailure?.error && (
+                  <Text style={styles.errorText} numberOfLines={2}>
+                    {`${new Date(lastFailure.at).toLocaleString()}: ${lastFailure.error}`}
+                  </Text>
+                )}
+              </View>
+              <View style={styles.actions}>
+                <TouchableOpacity style={styles.actionButton} onPress={() => handleTogglePin(item)}>
+                  <Ionicons
+                    name={item.pinned ? 'pin' : 'pin-outline'}
+                    size={20}
+                    color={item.pinned ? '#2563eb' : '#666'}
+                  />
+                </TouchableOpacity>
+                {item.circuit !== 'closed' && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleReset(item.gateway)}>
+                    <Ionicons name="refresh-outline" size={20} color="#666" />
+                  </TouchableOpacity>
+                )}
+                {item.custom && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleRemove(item.gateway)}>
+                    <Ionicons name="trash-outline" size={20} color="#dc2626" />
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.titleRow}>
+          <Text style={styles.sectionTitle}>Storage Check</Text>
+          {checking ? (
+            <ActivityIndicator size="small" color="#2563eb" />
+          ) : (
+            <TouchableOpacity onPress={() => runReconciliation(true)}>
+              <Text style={styles.linkText}>Check</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={styles.hintText}>
+          Compares what the storage backends have pinned with your files. Checking only reports: pins of other users' files show up as orphaned, so only a storage administrator can clean up.
+        </Text>
+        {!!storageReport && (
+          <>
+            <Text style={styles.reportText}>{describeStorageReport(storageReport)}</Text>
+            {storageReport.backends.filter(backend => backend.error).map(backend => (
+              <Text key={backend.name} style={styles.errorText}>
+                {`${backend.name}: ${backend.error}`}
+              </Text>
+            ))}
+            {storageReport.missing.map(file => (
+              <Text key={file.fileId} style={styles.metaText} numberOfLines={1}>
+                {`Missing: ${file.fileName}`}
+              </Text>
+            ))}
+            {storageAdmin && storageReport.dryRun && (storageReport.orphans.length > 0 || storageReport.missing.length > 0) && (
+              <TouchableOpacity style={styles.cleanUpButton} onPress={handleCleanUp} disabled={checking}>
+                <Text style={styles.cleanUpButtonText}>Clean Up</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Local Data</Text>
+        <Text style={styles.hintText}>
+          Downloads are cached on this device, encrypted with a key kept in the device keystore. Everything is wiped when you sign out.
+        </Text>
+        <TouchableOpacity style={styles.wipeButton} onPress={handleWipe} disabled={wiping}>
+          {wiping ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="trash-outline" size={20} color="#fff" />
+              <Text style={styles.wipeButtonText}>Wipe Local Data</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  addButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 11,
+    marginLeft: 8,
+  },
+  disabledButton: {
+    backgroundColor: '#93c5fd',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+  linkText: {
+    color: '#2563eb',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  gatewayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  gatewayInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  gatewayName: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  statusText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginTop: 2,
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#dc2626',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  reportText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+    marginTop: 12,
+  },
+  cleanUpButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dc2626',
+    alignItems: 'center',
+  },
+  cleanUpButtonText: {
+    color: '#dc2626',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  wipeButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#dc2626',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  wipeButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  actionButton: {
+    padding: 6,
+  },
+});
+
+export default GatewaySettingsScreen;
@@ -35,6 +35,8 @@ const LoginScreen = ({ navigation }) => {
       });
 
       if (error) throw error;
+
+      // The encryption keys are unlocked next, with their own passphrase
     } catch (error) {
       Alert.alert('Login failed', error.message);
       console.error('Login error:', error.message);
@@ -104,6 +106,13 @@ const LoginScreen = ({ navigation }) => {
                 <Text style={styles.linkText}>Register</Text>
               </TouchableOpacity>
             </View>
+
+            <TouchableOpacity 
+              style={styles.footer}
+              onPress={() => navigation.navigate('ShareLink')}
+            >
+              <Text style={styles.linkText}>Open a share link</Text>
+            </TouchableOpacity>
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
@@ -47,6 +47,8 @@ const RegisterScreen = ({ navigation }) => {
       });
 
       if (error) throw error;
+
+      // The key pair is created on first sign-in, under a passphrase of its own
       
       Alert.alert(
         'Registration successful', 
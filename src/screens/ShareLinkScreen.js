@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Sharing from 'expo-sharing';
+import { getShareLinkInfo, downloadSharedFile, parseShareLink } from '../services/shareLinkService';
+import { getScratchUri, wipeScratch } from '../services/localDataService';
+import { getFileTypeIcon, getFileSize, formatDate } from '../utils/helpers';
+
+const ShareLinkScreen = ({ route }) => {
+  const [link, setLink] = useState(route.params?.token || '');
+  const [passphrase, setPassphrase] = useState('');
+  const [info, setInfo] = useState(null);
+  const [resolving, setResolving] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [downloadProgress, setDownloadProgress] = useState(0);
+
+  useEffect(() => {
+    if (route.params?.token) {
+      setLink(route.params.token);
+      resolveLink(route.params.token);
+    }
+  }, [route.params?.token]);
+
+  const resolveLink = async (value = link) => {
+    const token = parseShareLink(value);
+    if (!token) {
+      Alert.alert('Error', 'Please enter a share link');
+      return;
+    }
+
+    try {
+      setResolving(true);
+      setInfo(null);
+      setInfo(await getShareLinkInfo(token));
+    } catch (error) {
+      console.error('Resolve link error:', error);
+      Alert.alert('Invalid Link', error.message || 'Failed to open share link');
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    if (info.hasPassphrase && !passphrase) {
+      Alert.alert('Error', 'Please enter the passphrase for this link');
+      return;
+    }
+
+    let fileUri = null;
+    try {
+      setDownloading(true);
+      setDownloadProgress(0);
+
+      // Decrypt into the scratch area, which is wiped once sharing is done
+      fileUri = await getScratchUri(info.fileName);
+      await downloadSharedFile(
+        parseShareLink(link),
+        fileUri,
+        passphrase,
+        (progress) => setDownloadProgress(progress)
+      );
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(fileUri);
+      } else {
+        Alert.alert('Error', 'Sharing is not available on this device');
+      }
+
+      // Refresh remaining downloads
+      setInfo(await getShareLinkInfo(parseShareLink(link)).catch(() => null));
+    } catch (error) {
+      console.error('Shared download error:', error);
+      Alert.alert('Download Failed', error.message || 'Failed to download file');
+    } finally {
+      if (fileUri) await wipeScratch(fileUri);
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Share Link</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Paste a share link"
+          value={link}
+          onChangeText={setLink}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TouchableOpacity style={styles.openButton} onPress={() => resolveLink()}>
+          {resolving ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="link-outline" size={20} color="#fff" />
+              <Text style={styles.buttonText}>Open Link</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {info && (
+        <View style={styles.section}>
+          <View style={styles.header}>
+            <View style={styles.fileIconContainer}>
+              <Ionicons name={getFileTypeIcon(info.fileName)} size={36} color="#2563eb" />
+            </View>
+            <View style={styles.fileInfo}>
+              <Text style={styles.fileName}>{info.fileName}</Text>
+              <Text style={styles.fileSize}>{getFileSize(info.fileSize)}</Text>
+            </View>
+          </View>
+
+          {info.expiresAt && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Expires</Text>
+              <Text style={styles.detailValue}>{formatDate(info.expiresAt)}</Text>
+            </View>
+          )}
+          {info.remainingDownloads !== null && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Downloads left</Text>
+              <Text style={styles.detailValue}>{info.remainingDownloads}</Text>
+            </View>
+          )}
+
+          {info.hasPassphrase && (
+            <>
+              <Text style={styles.label}>Passphrase</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter the passphrase"
+                value={passphrase}
+                onChangeText={setPassphrase}
+                secureTextEntry
+                autoCapitalize="none"
+              />
+            </>
+          )}
+
+          {downloading ? (
+            <View style={styles.downloadProgress}>
+              <ActivityIndicator size="small" color="#2563eb" />
+              <Text style={styles.downloadProgressText}>
+                Downloading... {Math.round(downloadProgress)}%
+              </Text>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.downloadButton} onPress={handleDownload}>
+              <Ionicons name="cloud-download-outline" size={20} color="#fff" />
+              <Text style={styles.buttonText}>Download</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  fileIconContainer: {
+    width: 60,
+    height: 60,
+    borderRadius: 8,
+    backgroundColor: '#f0f9ff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  fileInfo: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  fileSize: {
+    fontSize: 14,
+    color: '#666',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  detailLabel: {
+    fontSize: 15,
+    color: '#666',
+  },
+  detailValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  openButton: {
+    backgroundColor: '#059669',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  downloadButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 16,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  downloadProgress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f0f9ff',
+    borderRadius: 8,
+    padding: 14,
+    marginTop: 16,
+  },
+  downloadProgressText: {
+    marginLeft: 8,
+    fontSize: 15,
+    color: '#2563eb',
+  },
+});
+
+export default ShareLinkScreen;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  SafeAreaView,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { supabase } from '../services/supabaseService';
+import {
+  getKeyPairStatus,
+  createUserKeyPair,
+  unlockUserKeyPair,
+  changeKeyPassphrase
+} from '../services/keyService';
+import LoadingIndicator from '../components/LoadingIndicator';
+
+// The passphrase never leaves the device, so it can't be reset like the
+// account password
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const MODES = {
+  create: {
+    title: 'Set Up Encryption',
+    subtitle: 'Choose a passphrase to protect your encryption keys. It is never sent to the server and cannot be recovered, so keep it safe. Use a different one from your account password.',
+    button: 'Create Keys',
+  },
+  unlock: {
+    title: 'Unlock Your Files',
+    subtitle: 'Enter your encryption passphrase to unlock your encryption keys',
+    button: 'Unlock',
+  },
+  upgrade: {
+    title: 'New Passphrase Needed',
+    subtitle: 'Your encryption keys are still protected by your account password, which the server sees when you sign in. Choose a separate passphrase; it is never sent to the server.',
+    button: 'Save Passphrase',
+  },
+};
+
+const UnlockKeyScreen = ({ user }) => {
+  const [mode, setMode] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [showPassphrase, setShowPassphrase] = useState(false);
+
+  useEffect(() => {
+    getKeyPairStatus(user.id)
+      .then(({ exists }) => setMode(exists ? 'unlock' : 'create'))
+      .catch((error) => {
+        console.error('Key status error:', error.message);
+        setMode('unlock');
+      });
+  }, [user.id]);
+
+  const checkNewPassphrase = () => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      Alert.alert('Error', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+      return false;
+    }
+    if (passphrase !== confirmPassphrase) {
+      Alert.alert('Error', 'Passphrases do not match');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSubmit = async () => {
+    if (!passphrase) {
+      Alert.alert('Error', 'Please enter your passphrase');
+      return;
+    }
+    if (mode !== 'unlock' && !checkNewPassphrase()) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      if (mode === 'create') {
+        await createUserKeyPair(user.id, passphrase);
+      } else if (mode === 'upgrade') {
+        await changeKeyPassphrase(user.id, currentPassphrase, passphrase);
+        await unlockUserKeyPair(user.id, passphrase);
+      } else {
+        // Check the protection first, as unlocking takes the user into the app
+        const { passphraseSet } = await getKeyPairStatus(user.id);
+        if (passphraseSet) {
+          await unlockUserKeyPair(user.id, passphrase);
+        } else {
+          setCurrentPassphrase(passphrase);
+          setPassphrase('');
+          setMode('upgrade');
+        }
+      }
+    } catch (error) {
+      if (mode === 'upgrade') {
+        // A wrong current passphrase only shows up once it's used
+        setCurrentPassphrase('');
+        setConfirmPassphrase('');
+        setMode('unlock');
+      }
+      Alert.alert('Unlock failed', error.message);
+      console.error('Unlock error:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await supabase.auth.signOut();
+    } catch (error) {
+      console.error('Sign out error:', error.message);
+    }
+  };
+
+  if (loading || !mode) {
+    return <LoadingIndicator message="Unlocking your keys..." />;
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoidingView}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <View style={styles.headerContainer}>
+            <Ionicons name="key" size={80} color="#2563eb" />
+            <Text style={styles.title}>{MODES[mode].title}</Text>
+            <Text style={styles.subtitle}>{MODES[mode].subtitle}</Text>
+          </View>
+
+          <View style={styles.formContainer}>
+            <Text style={styles.label}>
+              {mode === 'unlock' ? 'Encryption Passphrase' : 'New Passphrase'}
+            </Text>
+            <View style={styles.passwordContainer}>
+              <TextInput
+                style={styles.passwordInput}
+                placeholder={mode === 'unlock' ? 'Enter your passphrase' : 'Choose a passphrase'}
+                value={passphrase}
+                onChangeText={setPassphrase}
+                secureTextEntry={!showPassphrase}
+                autoCapitalize="none"
+                returnKeyType={mode === 'unlock' ? 'done' : 'next'}
+                onSubmitEditing={mode === 'unlock' ? handleSubmit : undefined}
+              />
+              <TouchableOpacity
+                style={styles.eyeIcon}
+                onPress={() => setShowPassphrase(!showPassphrase)}
+              >
+                <Ionicons
+                  name={showPassphrase ? 'eye-off' : 'eye'}
+                  size={24}
+                  color="#666"
+                />
+              </TouchableOpacity>
+            </View>
+
+            {mode !== 'unlock' && (
+              <>
+                <Text style={styles.label}>Confirm Passphrase</Text>
+                <View style={styles.passwordContainer}>
+                  <TextInput
+                    style={styles.passwordInput}
+                    placeholder="Enter the passphrase again"
+                    value={confirmPassphrase}
+                    onChangeText={setConfirmPassphrase}
+                    secureTextEntry={!showPassphrase}
+                    autoCapitalize="none"
+                    returnKeyType="done"
+                    onSubmitEditing={handleSubmit}
+                  />
+                </View>
+              </>
+            )}
+
+            <TouchableOpacity style={styles.button} onPress={handleSubmit}>
+              <Text style={styles.buttonText}>{MODES[mode].button}</Text>
+            </TouchableOpacity>
+
+            <View style={styles.footer}>
+              <Text style={styles.footerText}>{user.email} </Text>
+              <TouchableOpacity onPress={handleSignOut}>
+                <Text style={styles.linkText}>Sign out</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  keyboardAvoidingView: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  headerContainer: {
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    marginTop: 12,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  passwordContainer: {
+    flexDirection: 'row',
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    marginBottom: 24,
+  },
+  passwordInput: {
+    flex: 1,
+    padding: 12,
+    fontSize: 16,
+  },
+  eyeIcon: {
+    padding: 12,
+    justifyContent: 'center',
+  },
+  button: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 24,
+  },
+  footerText: {
+    color: '#666',
+    fontSize: 15,
+  },
+  linkText: {
+    color: '#2563eb',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default UnlockKeyScreen;
@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNetInfo } from '@react-native-community/netinfo';
+import {
+  getUploadQueue,
+  onUploadQueueChange,
+  processUploadQueue,
+  retryUpload,
+  cancelUpload,
+  clearCompletedUploads
+} from '../services/uploadQueueService';
+import { supabase } from '../services/supabaseService';
+import { getFileTypeIcon, getFileSize, formatDate } from '../utils/helpers';
+
+const UploadsScreen = ({ navigation }) => {
+  const [userId, setUserId] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [completed, setCompleted] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const netInfo = useNetInfo();
+  const offline = netInfo.isConnected === false || netInfo.isInternetReachable === false;
+
+  useEffect(() => {
+    loadUploads();
+
+    const unsubscribeFocus = navigation.addListener('focus', () => {
+      loadUploads();
+    });
+    const unsubscribeQueue = onUploadQueueChange(loadUploads);
+
+    return () => {
+      unsubscribeFocus();
+      unsubscribeQueue();
+    };
+  }, [navigation]);
+
+  const loadUploads = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) return;
+
+      setUserId(session.user.id);
+      const queue = await getUploadQueue(session.user.id);
+      setPending(queue.pending);
+      setCompleted(queue.completed);
+    } catch (error) {
+      console.error('Error loading uploads:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    if (userId) {
+      processUploadQueue(userId).catch((error) => {
+        console.error('Error processing upload queue:', error);
+      });
+    }
+    await loadUploads();
+  };
+
+  const handleRetry = async (session) => {
+    try {
+      await retryUpload(session);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      await loadUploads();
+    }
+  };
+
+  const handleDiscard = (session) => {
+    Alert.alert(
+      'Discard Upload',
+      `Stop uploading ${session.fileName}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await cancelUpload(session);
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleClearCompleted = async () => {
+    if (userId) {
+      await clearCompletedUploads(userId);
+    }
+  };
+
+  const describeQueued = (session) => {
+    if (offline) return 'Waiting for connection';
+    if (session.nextAttemptAt && session.nextAttemptAt > Date.now()) {
+      return `Retrying at ${new Date(session.nextAttemptAt).toLocaleTimeString()}`;
+    }
+    return 'Waiting to upload';
+  };
+
+  const uploading = pending.filter(session => session.status === 'uploading');
+  const queued = pending.filter(session => session.status === 'queued');
+  const failed = pending.filter(session => session.status === 'failed');
+
+  const renderFileInfo = (name, size, detail, detailStyle) => (
+    <View style={styles.uploadInfo}>
+      <Text style={styles.uploadName} numberOfLines={1}>{name}</Text>
+      <Text style={styles.metaText}>{getFileSize(size)}</Text>
+      {!!detail && (
+        <Text style={[styles.metaText, detailStyle]} numberOfLines={2}>{detail}</Text>
+      )}
+    </View>
+  );
+
+  const isEmpty = pending.length === 0 && completed.length === 0;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      {offline && pending.length > 0 && (
+        <View style={styles.offlineBanner}>
+          <Ionicons name="cloud-offline-outline" size={20} color="#d97706" />
+          <Text style={styles.offlineText}>You're offline. Uploads will continue when you're back online.</Text>
+        </View>
+      )}
+
+      {isEmpty && (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="cloud-upload-outline" size={60} color="#ccc" />
+          <Text style={styles.emptyText}>No uploads yet</Text>
+        </View>
+      )}
+
+      {uploading.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Uploading</Text>
+          {uploading.map((session) => (
+            <View key={session.id} style={styles.uploadRow}>
+              <Ionicons name={getFileTypeIcon(session.fileName)} size={28} color="#2563eb" />
+              <View style={styles.uploadInfo}>
+                <Text style={styles.uploadName} numberOfLines={1}>{session.fileName}</Text>
+                <View style={styles.progressTrack}>
+                  <View style={[styles.progressBar, { width: `${Math.round(session.progress ?? 0)}%` }]} />
+                </View>
+                <Text style={styles.metaText}>{`${Math.round(session.progress ?? 0)}%`}</Text>
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {queued.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Queued</Text>
+          {queued.map((session) => (
+            <View key={session.id} style={styles.uploadRow}>
+              <Ionicons name={getFileTypeIcon(session.fileName)} size={28} color="#666" />
+              {renderFileInfo(session.fileName, session.fileSize, describeQueued(session))}
+              <TouchableOpacity style={styles.actionButton} onPress={() => handleDiscard(session)}>
+                <Ionicons name="close-circle-outline" size={22} color="#666" />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {failed.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Failed</Text>
+          {failed.map((session) => (
+            <View key={session.id} style={styles.uploadRow}>
+              <Ionicons name="alert-circle" size={28} color="#dc2626" />
+              {renderFileInfo(session.fileName, session.fileSize, session.lastError, styles.errorText)}
+              <TouchableOpacity style={styles.actionButton} onPress={() => handleRetry(session)}>
+                <Ionicons name="refresh-outline" size={22} color="#2563eb" />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.actionButton} onPress={() => handleDiscard(session)}>
+                <Ionicons name="trash-outline" size={22} color="#dc2626" />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {completed.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.titleRow}>
+            <Text style={styles.sectionTitle}>Completed</Text>
+            <TouchableOpacity onPress={handleClearCompleted}>
+              <Text style={styles.linkText}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+          {completed.map((upload) => (
+            <View key={upload.id} style={styles.uploadRow}>
+              <Ionicons name="checkmark-circle" size={28} color="#059669" />
+              {renderFileInfo(upload.fileName, upload.fileSize, `Uploaded ${formatDate(upload.completedAt)}`)}
+            </View>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fef3c7',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  offlineText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#92400e',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  linkText: {
+    color: '#2563eb',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  uploadRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  uploadInfo: {
+    flex: 1,
+    marginLeft: 12,
+    marginRight: 8,
+  },
+  uploadName: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  errorText: {
+    color: '#dc2626',
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e5e7eb',
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: '#2563eb',
+  },
+  actionButton: {
+    padding: 6,
+  },
+});
+
+export default UploadsScreen;
@@ -0,0 +1,467 @@
+import { JsonRpcProvider, Wallet, Contract, keccak256, toUtf8Bytes, hexlify, toBeHex, parseEther } from 'ethers';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabaseService';
+import { getUnlockedChainKey, isKeyPairUnlocked } from './keyService';
+import { TABLES } from '../utils/constants';
+
+// Chain configuration; leave the RPC URL or registry address empty to
+// keep files off-chain. For a local Hardhat/Anvil node use
+// http://127.0.0.1:8545 (http://10.0.2.2:8545 from the Android emulator).
+const CHAIN_RPC_URL = process.env.EXPO_PUBLIC_CHAIN_RPC_URL || '';
+const FILE_REGISTRY_ADDRESS = process.env.EXPO_PUBLIC_FILE_REGISTRY_ADDRESS || '';
+
+// Development nodes can mint gas money for user accounts on demand
+const CHAIN_DEV_FUNDING = process.env.EXPO_PUBLIC_CHAIN_DEV_FUNDING === 'true';
+const DEV_FUNDING_AMOUNT = parseEther('100');
+
+// Registry writes that failed wait in an outbox and are retried this often;
+// a write that keeps failing (e.g. reverts) is dropped after a few tries
+const OUTBOX_FLUSH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const MAX_OUTBOX_ATTEMPTS = 10;
+
+// AsyncStorage keys for the registry
+const ASYNC_STORAGE_KEYS = {
+  OUTBOX_PREFIX: 'chain_outbox_'
+};
+
+const FILE_REGISTRY_ABI = [
+  'function registerFile(bytes32 fileId, string cid, bytes32 contentHash)',
+  'function updateContent(bytes32 fileId, string cid, bytes32 contentHash)',
+  'function transferOwnership(bytes32 fileId, address newOwner)',
+  'function grantAccess(bytes32 fileId, address grantee)',
+  'function revokeAccess(bytes32 fileId, address grantee)',
+  'function deregisterFile(bytes32 fileId)',
+  'function getFile(bytes32 fileId) view returns (address owner, string cid, bytes32 contentHash, uint64 registeredAt, uint64 updatedAt)',
+  'function hasAccess(bytes32 fileId, address account) view returns (bool)',
+  'function anchorBlock(bytes32 blockHash, bytes32 merkleRoot)',
+  'function getBlockAnchor(bytes32 blockHash) view returns (bytes32 merkleRoot, uint64 anchoredAt, address anchoredBy)',
+  'error FileAlreadyRegistered(bytes32 fileId)',
+  'error FileNotRegistered(bytes32 fileId)',
+  'error NotFileOwner(bytes32 fileId, address caller)',
+  'error InvalidAddress()',
+  'error BlockAlreadyAnchored(bytes32 blockHash)',
+];
+
+let provider = null;
+
+// Chain accounts already funded and published during this session
+const readyAccounts = new Set();
+
+const getProvider = () => {
+  if (!provider) {
+    // Request caching would hand back a stale nonce for back-to-back transactions
+    provider = new JsonRpcProvider(CHAIN_RPC_URL, undefined, { cacheTimeout: -1 });
+  }
+  return provider;
+};
+
+// Prefer the contract's own error (e.g. NotFileOwner) over the RPC wording
+const chainErrorMessage = (error) => {
+  return error.revert?.name || error.shortMessage || error.message;
+};
+
+/**
+ * Check whether a registry is configured
+ * @returns {boolean} - True if files are recorded on-chain
+ */
+export const isBlockchainEnabled = () => {
+  return !!CHAIN_RPC_URL && !!FILE_REGISTRY_ADDRESS;
+};
+
+/**
+ * Map a file ID to its registry key
+ * @param {string} fileId - The ID of the file
+ * @returns {string} - keccak256 of the file ID (hex string)
+ */
+export const toChainFileId = (fileId) => {
+  return keccak256(toUtf8Bytes(fileId));
+};
+
+/**
+ * Get the chain account address of a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<string|null>} - Account address, or null if the user has none yet
+ */
+export const getChainAddress = async (userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.USERS)
+    .select('chain_address')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return data?.chain_address || null;
+};
+
+/**
+ * Make sure the unlocked user's account can transact and others can find it
+ * @param {string} userId - The ID of the user
+ * @param {Wallet} wallet - The user's chain wallet
+ * @returns {Promise<void>}
+ */
+const prepareAccount = async (userId, wallet) => {
+  if (readyAccounts.has(wallet.address)) return;
+
+  if (CHAIN_DEV_FUNDING) {
+    const balance = await getProvider().getBalance(wallet.address);
+    if (balance === 0n) {
+      // Understood by both Hardhat and Anvil
+      await getProvider().send('hardhat_setBalance', [wallet.address, toBeHex(DEV_FUNDING_AMOUNT)]);
+    }
+  }
+
+  if (await getChainAddress(userId) !== wallet.address) {
+    const { error } = await supabase
+      .from(TABLES.USERS)
+      .update({ chain_address: wallet.address })
+      .eq('id', userId);
+
+    if (error) throw error;
+  }
+
+  readyAccounts.add(wallet.address);
+};
+
+/**
+ * Get the registry contract, connected to the unlocked user's account
+ * @returns {Promise<Contract>} - The registry contract
+ */
+const getRegistry = async () => {
+  const { userId, privateKey } = getUnlockedChainKey();
+  const wallet = new Wallet(hexlify(privateKey), getProvider());
+  await prepareAccount(userId, wallet);
+  return new Contract(FILE_REGISTRY_ADDRESS, FILE_REGISTRY_ABI, wallet);
+};
+
+/**
+ * Send a registry transaction and wait for it to be mined
+ * @param {string} action - Description of the action, for errors
+ * @param {Function} send - Called with the registry contract, returns the transaction
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+const sendRegistryTransaction = async (action, send) => {
+  if (!isBlockchainEnabled()) return null;
+
+  try {
+    const registry = await getRegistry();
+    const tx = await send(registry);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Chain error (${action}):`, error);
+    throw new Error(`Failed to ${action} on-chain: ${chainErrorMessage(error)}`);
+  }
+};
+
+/**
+ * Look up the account of a user who is being given or losing access
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<string>} - Account address
+ */
+const requireChainAddress = async (userId) => {
+  const address = await getChainAddress(userId);
+  if (!address) {
+    throw new Error('This user has no chain account yet; they need to sign in once');
+  }
+  return address;
+};
+
+/**
+ * Register a file, owned by the unlocked user
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the stored (encrypted) content
+ * @param {string} contentHash - SHA-256 of the stored content (hex string)
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const registerFileOnChain = (fileId, cid, contentHash) => {
+  return sendRegistryTransaction('register file', (registry) =>
+    registry.registerFile(toChainFileId(fileId), cid, `0x${contentHash}`)
+  );
+};
+
+/**
+ * Point a registered file at new content
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the new content
+ * @param {string} contentHash - SHA-256 of the new content (hex string)
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const updateFileContentOnChain = (fileId, cid, contentHash) => {
+  return sendRegistryTransaction('update file', (registry) =>
+    registry.updateContent(toChainFileId(fileId), cid, `0x${contentHash}`)
+  );
+};
+
+/**
+ * Transfer a registered file to another user
+ * @param {string} fileId - The ID of the file
+ * @param {string} newOwnerId - The ID of the new owner
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const transferFileOnChain = (fileId, newOwnerId) => {
+  return sendRegistryTransaction('transfer file', async (registry) =>
+    registry.transferOwnership(toChainFileId(fileId), await requireChainAddress(newOwnerId))
+  );
+};
+
+/**
+ * Record that a user was given access to a file
+ * @param {string} fileId - The ID of the file
+ * @param {string} userId - The ID of the recipient
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const grantAccessOnChain = (fileId, userId) => {
+  return sendRegistryTransaction('grant access', async (registry) =>
+    registry.grantAccess(toChainFileId(fileId), await requireChainAddress(userId))
+  );
+};
+
+/**
+ * Record that a user's access to a file was revoked
+ * @param {string} fileId - The ID of the file
+ * @param {string} userId - The ID of the former recipient
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const revokeAccessOnChain = (fileId, userId) => {
+  return sendRegistryTransaction('revoke access', async (registry) =>
+    registry.revokeAccess(toChainFileId(fileId), await requireChainAddress(userId))
+  );
+};
+
+/**
+ * Remove a deleted file from the registry
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is configured
+ */
+export const deregisterFileOnChain = (fileId) => {
+  return sendRegistryTransaction('deregister file', (registry) =>
+    registry.deregisterFile(toChainFileId(fileId))
+  );
+};
+
+/**
+ * Timestamp a sealed ledger block in the registry
+ * A block that is already anchored keeps its first anchor; that is not an error.
+ * @param {string} blockHash - Hash of the block (hex string)
+ * @param {string} merkleRoot - Merkle root of the block's entries (hex string)
+ * @returns {Promise<string|null>} - Transaction hash, or null if no registry is
+ *   configured or the block was anchored before
+ */
+export const anchorBlockOnChain = async (blockHash, merkleRoot) => {
+  if (await getBlockAnchorOnChain(blockHash)) return null;
+
+  return sendRegistryTransaction('anchor ledger block', (registry) =>
+    registry.anchorBlock(`0x${blockHash}`, `0x${merkleRoot}`)
+  );
+};
+
+// Registry writes that can wait in the outbox, by name
+const REGISTRY_WRITES = {
+  registerFile: registerFileOnChain,
+  updateContent: updateFileContentOnChain,
+  transferOwnership: transferFileOnChain,
+  grantAccess: grantAccessOnChain,
+  revokeAccess: revokeAccessOnChain,
+  deregisterFile: deregisterFileOnChain,
+  anchorBlock: anchorBlockOnChain
+};
+
+// Outbox updates are chained so concurrent writes don't overwrite each other
+let outboxUpdate = Promise.resolve();
+let flushing = null;
+
+/**
+ * Read and rewrite a user's registry outbox
+ * @param {string} userId - The ID of the user
+ * @param {Function} update - Gets the pending writes and returns the new list
+ * @returns {Promise<void>}
+ */
+const updateOutbox = (userId, update) => {
+  outboxUpdate = outboxUpdate.catch(() => {}).then(async () => {
+    const key = `${ASYNC_STORAGE_KEYS.OUTBOX_PREFIX}${userId}`;
+    const pending = update(JSON.parse(await AsyncStorage.getItem(key) || '[]'));
+    if (pending.length > 0) {
+      await AsyncStorage.setItem(key, JSON.stringify(pending));
+    } else {
+      await AsyncStorage.removeItem(key);
+    }
+  });
+  return outboxUpdate;
+};
+
+/**
+ * Get the registry writes of a user that are waiting to be sent
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - id, write, fileId, args and attempts of each, oldest first
+ */
+export const getChainOutbox = async (userId) => {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(`${ASYNC_STORAGE_KEYS.OUTBOX_PREFIX}${userId}`) || '[]');
+  } catch (error) {
+    console.error('Error reading chain outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Mirror an action to the registry without failing the calling action
+ * The database stays the source of truth for the app. A write that fails is
+ * kept in the outbox and sent later by flushChainOutbox; writes for a file
+ * that already has writes waiting queue up behind them, so the registry sees
+ * them in order.
+ * @param {string} userId - The ID of the unlocked user, who signs the write
+ * @param {string} write - Name of the write (see REGISTRY_WRITES)
+ * @param {string} fileId - The ID of the file (the block hash for anchorBlock)
+ * @param {...*} args - The write's other arguments
+ * @returns {Promise<string|null>} - Transaction hash, or null if not sent (yet)
+ */
+export const recordOnChain = async (userId, write, fileId, ...args) => {
+  if (!isBlockchainEnabled()) return null;
+
+  const waiting = (await getChainOutbox(userId)).some(item => item.fileId === fileId);
+  if (!waiting) {
+    try {
+      return await REGISTRY_WRITES[write](fileId, ...args);
+    } catch (error) {
+      console.error(`Error sending ${write} to the registry:`, error);
+    }
+  }
+
+  try {
+    await updateOutbox(userId, (pending) => [
+      ...pending,
+      {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+        write,
+        fileId,
+        args,
+        attempts: waiting ? 0 : 1
+      }
+    ]);
+  } catch (error) {
+    console.error(`Error keeping ${write} for a retry:`, error);
+  }
+  return null;
+};
+
+/**
+ * Send the writes waiting in a user's outbox to the registry
+ * Writes are signed with the user's chain key, so their key pair must be
+ * unlocked. Once a write for a file fails, the file's later writes wait for
+ * the next flush.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<number>} - Number of writes sent
+ */
+export const flushChainOutbox = (userId) => {
+  if (!flushing) {
+    flushing = sendOutbox(userId).finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+const sendOutbox = async (userId) => {
+  if (!isBlockchainEnabled() || !isKeyPairUnlocked(userId)) return 0;
+
+  const blocked = new Set();
+  let sent = 0;
+  for (const item of await getChainOutbox(userId)) {
+    if (blocked.has(item.fileId)) continue;
+
+    try {
+      await REGISTRY_WRITES[item.write](item.fileId, ...item.args);
+      sent++;
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      if (attempts < MAX_OUTBOX_ATTEMPTS) {
+        console.error(`Error sending ${item.write} from the outbox:`, error);
+        blocked.add(item.fileId);
+        await updateOutbox(userId, (pending) => pending.map(candidate =>
+          candidate.id === item.id ? { ...candidate, attempts } : candidate
+        ));
+        continue;
+      }
+      console.error(`Giving up on ${item.write} for ${item.fileId} after ${attempts} attempts:`, error);
+    }
+
+    await updateOutbox(userId, (pending) => pending.filter(candidate => candidate.id !== item.id));
+  }
+
+  return sent;
+};
+
+/**
+ * Retry the user's outboxed registry writes in the background while the app runs
+ * @param {string} userId - The ID of the user
+ * @returns {Function} - Stops the retries
+ */
+export const startChainOutbox = (userId) => {
+  const run = async () => {
+    try {
+      const sent = await flushChainOutbox(userId);
+      if (sent > 0) {
+        console.log(`Sent ${sent} outboxed registry writes`);
+      }
+    } catch (error) {
+      console.error('Error flushing chain outbox:', error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, OUTBOX_FLUSH_INTERVAL);
+
+  return () => clearInterval(interval);
+};
+
+/**
+ * Read the registry record of a file
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<Object|null>} - Owner address, CID, content hash (hex string) and
+ *   registration/update times, or null if no registry is configured
+ */
+export const getFileRecordOnChain = async (fileId) => {
+  if (!isBlockchainEnabled()) return null;
+
+  try {
+    const registry = new Contract(FILE_REGISTRY_ADDRESS, FILE_REGISTRY_ABI, getProvider());
+    const [owner, cid, contentHash, registeredAt, updatedAt] = await registry.getFile(toChainFileId(fileId));
+
+    return {
+      owner,
+      cid,
+      contentHash: contentHash.slice(2),
+      registeredAt: new Date(Number(registeredAt) * 1000).toISOString(),
+      updatedAt: new Date(Number(updatedAt) * 1000).toISOString()
+    };
+  } catch (error) {
+    console.error('Chain error (read file):', error);
+    throw new Error(`Failed to read file record on-chain: ${chainErrorMessage(error)}`);
+  }
+};
+
+/**
+ * Read the registry anchor of a ledger block
+ * @param {string} blockHash - Hash of the block (hex string)
+ * @returns {Promise<Object|null>} - Merkle root (hex string), anchor time (chain
+ *   time) and anchoring account, or null if no registry is configured or the
+ *   block was never anchored
+ */
+export const getBlockAnchorOnChain = async (blockHash) => {
+  if (!isBlockchainEnabled()) return null;
+
+  try {
+    const registry = new Contract(FILE_REGISTRY_ADDRESS, FILE_REGISTRY_ABI, getProvider());
+    const [merkleRoot, anchoredAt, anchoredBy] = await registry.getBlockAnchor(`0x${blockHash}`);
+    if (anchoredAt === 0n) return null;
+
+    return {
+      merkleRoot: merkleRoot.slice(2),
+      anchoredAt: new Date(Number(anchoredAt) * 1000).toISOString(),
+      anchoredBy
+    };
+  } catch (error) {
+    console.error('Chain error (read block anchor):', error);
+    throw new Error(`Failed to read ledger block anchor on-chain: ${chainErrorMessage(error)}`);
+  }
+};
@@ -0,0 +1,401 @@
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabaseService';
+import { TABLES } from '../utils/constants';
+
+// Filecoin storage deals are made through a Lotus (or Lotus-compatible)
+// JSON-RPC API, e.g. http://127.0.0.1:1234/rpc/v0. Leave the URL empty to
+// keep files on IPFS only. `npm run lotus:mock` starts a mock node for
+// development.
+const LOTUS_API_URL = process.env.EXPO_PUBLIC_LOTUS_API_URL || '';
+const LOTUS_TOKEN = process.env.EXPO_PUBLIC_LOTUS_TOKEN || '';
+
+// Storage providers to propose deals to, comma separated (e.g. f01000,f01001)
+const DEAL_MINERS = (process.env.EXPO_PUBLIC_FILECOIN_MINERS || '')
+  .split(',')
+  .map(miner => miner.trim())
+  .filter(Boolean);
+
+// Client wallet paying for deals; the node's default wallet if empty
+const DEAL_WALLET = process.env.EXPO_PUBLIC_FILECOIN_WALLET || '';
+
+// Deal length in epochs (the network minimum is 180 days) and price per epoch in attoFIL
+const DEAL_DURATION = parseInt(process.env.EXPO_PUBLIC_FILECOIN_DEAL_DURATION, 10) || 518400;
+const DEAL_EPOCH_PRICE = process.env.EXPO_PUBLIC_FILECOIN_EPOCH_PRICE || '0';
+
+// One Filecoin epoch
+export const EPOCH_DURATION = 30 * 1000; // 30 seconds
+
+// Owners are warned when a file's last deal ends within this many epochs
+export const DEAL_EXPIRY_WARNING = 14 * 24 * 60 * 2; // 14 days
+
+// Lifecycle of a deal as tracked here
+export const DEAL_STATUSES = ['proposed', 'published', 'active', 'expired', 'slashed', 'failed'];
+
+// Deals that may still change state
+export const PENDING_DEAL_STATUSES = ['proposed', 'published'];
+
+// Deals that keep the file stored, now or once sealed
+const LIVE_DEAL_STATUSES = ['proposed', 'published', 'active'];
+
+// Lotus client deal states (storagemarket.StorageDealStatus) that end a proposal
+const LOTUS_FAILED_STATES = {
+  1: 'Proposal not found',
+  2: 'Proposal rejected',
+  10: 'Rejecting',
+  11: 'Failing',
+  26: 'Error',
+};
+const LOTUS_EXPIRED_STATE = 8;
+const LOTUS_SLASHED_STATE = 9;
+
+const ASYNC_STORAGE_KEYS = {
+  EXPIRY_WARNINGS: 'deal_expiry_warnings'
+};
+
+const REQUEST_TIMEOUT = 30000; // 30 seconds
+
+// How often the background tracker polls the node while the app runs
+const TRACKING_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const FIRST_TRACKING_DELAY = 60 * 1000; // 1 minute after unlocking
+
+let defaultWallet = null;
+
+/**
+ * Check whether Filecoin deals are configured
+ * @returns {boolean} - True if files are stored with Filecoin deals
+ */
+export const isDealsEnabled = () => {
+  return !!LOTUS_API_URL && DEAL_MINERS.length > 0;
+};
+
+/**
+ * Call a Lotus JSON-RPC method
+ * @param {string} method - Method name without the Filecoin. prefix
+ * @param {Array} params - Positional parameters
+ * @returns {Promise<any>} - Result of the call
+ */
+const lotusRequest = async (method, params = []) => {
+  let response;
+  try {
+    response = await axios.post(
+      LOTUS_API_URL,
+      { jsonrpc: '2.0', id: Date.now(), method: `Filecoin.${method}`, params },
+      {
+        headers: LOTUS_TOKEN ? { Authorization: `Bearer ${LOTUS_TOKEN}` } : {},
+        timeout: REQUEST_TIMEOUT
+      }
+    );
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.message;
+    throw new Error(`Lotus ${method}: ${message}`);
+  }
+
+  if (response.data.error) {
+    throw new Error(`Lotus ${method}: ${response.data.error.message}`);
+  }
+  return response.data.result;
+};
+
+/**
+ * Get the current chain height
+ * @returns {Promise<number>} - Epoch of the chain head
+ */
+export const getChainHeight = async () => {
+  const head = await lotusRequest('ChainHead');
+  return head.Height;
+};
+
+/**
+ * Estimate when an epoch is reached
+ * @param {number} epoch - Chain epoch
+ * @param {number} currentHeight - Current chain height
+ * @returns {Date} - Approximate wall-clock time of the epoch
+ */
+export const epochToDate = (epoch, currentHeight) => {
+  return new Date(Date.now() + (epoch - currentHeight) * EPOCH_DURATION);
+};
+
+const getWallet = async () => {
+  if (DEAL_WALLET) return DEAL_WALLET;
+  if (!defaultWallet) {
+    defaultWallet = await lotusRequest('WalletDefaultAddress');
+  }
+  return defaultWallet;
+};
+
+/**
+ * Propose a storage deal for a CID to one storage provider
+ * The Lotus node must be able to serve the content, either from its own
+ * blockstore or through its IPFS integration.
+ * @param {string} cid - Root CID of the content
+ * @param {string} miner - Storage provider address
+ * @returns {Promise<string>} - Proposal CID identifying the deal
+ */
+export const proposeDeal = async (cid, miner) => {
+  const hasContent = await lotusRequest('ClientHasLocal', [{ '/': cid }]);
+  if (!hasContent) {
+    throw new Error(`The Lotus node cannot access ${cid}`);
+  }
+
+  const proposal = await lotusRequest('ClientStartDeal', [{
+    Data: { TransferType: 'graphsync', Root: { '/': cid } },
+    Wallet: await getWallet(),
+    Miner: miner,
+    EpochPrice: DEAL_EPOCH_PRICE,
+    MinBlocksDuration: DEAL_DURATION,
+    ProviderCollateral: '0',
+    DealStartEpoch: 0,
+    FastRetrieval: true,
+    VerifiedDeal: false
+  }]);
+
+  return proposal['/'];
+};
+
+/**
+ * Work out where a deal is in its lifecycle
+ * Once published a deal is read from the chain's market actor; before that
+ * only the client's view of the proposal is available.
+ * @param {Object} deal - Deal row (proposal_cid, deal_id, end_epoch)
+ * @param {number} height - Current chain height
+ * @returns {Promise<Object>} - status, deal_id, start_epoch, end_epoch and info
+ */
+export const getDealState = async (deal, height) => {
+  const info = await lotusRequest('ClientGetDealInfo', [{ '/': deal.proposal_cid }]);
+  const dealId = info.DealID || deal.deal_id || null;
+
+  if (!dealId) {
+    if (LOTUS_FAILED_STATES[info.State]) {
+      return {
+        status: 'failed',
+        deal_id: null,
+        start_epoch: null,
+        end_epoch: null,
+        info: { error: info.Message || LOTUS_FAILED_STATES[info.State] }
+      };
+    }
+    return { status: 'proposed', deal_id: null, start_epoch: null, end_epoch: null, info: { state: info.State } };
+  }
+
+  try {
+    const market = await lotusRequest('StateMarketStorageDeal', [dealId, []]);
+    const { StartEpoch, EndEpoch } = market.Proposal;
+
+    let status = 'published';
+    if (market.State.SlashEpoch > -1) {
+      status = 'slashed';
+    } else if (height >= EndEpoch) {
+      status = 'expired';
+    } else if (market.State.SectorStartEpoch > -1) {
+      status = 'active';
+    }
+
+    return { status, deal_id: dealId, start_epoch: StartEpoch, end_epoch: EndEpoch, info: {} };
+  } catch (error) {
+    // Deals leave the market actor's state when they end
+    if (info.State === LOTUS_SLASHED_STATE) {
+      return { status: 'slashed', deal_id: dealId, start_epoch: deal.start_epoch, end_epoch: deal.end_epoch, info: {} };
+    }
+    if (info.State === LOTUS_EXPIRED_STATE || (deal.end_epoch && height >= deal.end_epoch)) {
+      return { status: 'expired', deal_id: dealId, start_epoch: deal.start_epoch, end_epoch: deal.end_epoch, info: {} };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Store a deal row
+ * @param {Object} row - Deal row (file_id, cid, miner, proposal_cid, deal_id, status, start_epoch, end_epoch, info)
+ * @returns {Promise<Object>} - Stored row
+ */
+const saveDeal = async (row) => {
+  const { data, error } = await supabase
+    .from(TABLES.STORAGE_DEALS)
+    .upsert({ ...row, checked_at: new Date().toISOString() }, { onConflict: 'proposal_cid' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the recorded deals of a file's current content
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the file's content
+ * @returns {Promise<Array<Object>>} - Deal rows
+ */
+export const getFileDeals = async (fileId, cid) => {
+  const { data, error } = await supabase
+    .from(TABLES.STORAGE_DEALS)
+    .select('*')
+    .eq('file_id', fileId)
+    .eq('cid', cid)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Copy the on-chain deal IDs and the last expiry epoch onto the file record
+ * @param {string} fileId - The ID of the file
+ * @param {Array<Object>} deals - Deal rows of the file's content
+ * @returns {Promise<void>}
+ */
+const updateFileDealSummary = async (fileId, deals) => {
+  const live = deals.filter(deal => LIVE_DEAL_STATUSES.includes(deal.status));
+  const endEpochs = live.map(deal => deal.end_epoch).filter(epoch => epoch != null);
+
+  const { error } = await supabase
+    .from(TABLES.FILES)
+    .update({
+      deal_ids: live.map(deal => deal.deal_id).filter(Boolean),
+      deal_expiry_epoch: endEpochs.length > 0 ? Math.max(...endEpochs) : null
+    })
+    .eq('id', fileId);
+
+  if (error) throw error;
+};
+
+/**
+ * Propose deals for a file's content to every configured storage provider
+ * Proposals that fail are recorded as failed rather than thrown.
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the stored (encrypted) content
+ * @returns {Promise<Array<Object>>} - Deal rows, one per storage provider
+ */
+export const proposeFileDeals = async (fileId, cid) => {
+  const deals = [];
+  for (const miner of DEAL_MINERS) {
+    try {
+      let row;
+      try {
+        const proposalCid = await proposeDeal(cid, miner);
+        row = { file_id: fileId, cid, miner, proposal_cid: proposalCid, status: 'proposed', info: {} };
+      } catch (error) {
+        console.error(`Error proposing a deal for ${cid} to ${miner}:`, error);
+        row = { file_id: fileId, cid, miner, proposal_cid: null, status: 'failed', info: { error: error.message } };
+      }
+      deals.push(await saveDeal(row));
+    } catch (error) {
+      console.error(`Error recording deal with ${miner}:`, error);
+      // Continue anyway as this is not critical
+    }
+  }
+
+  try {
+    await updateFileDealSummary(fileId, deals);
+  } catch (error) {
+    console.error('Error updating file deal summary:', error);
+  }
+  return deals;
+};
+
+/**
+ * Poll the node for the state of a file's deals
+ * Deals that have ended (expired, slashed or failed) are not checked again.
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the file's content
+ * @param {number} height - Current chain height (fetched if omitted)
+ * @returns {Promise<Array<Object>>} - Updated deal rows
+ */
+export const refreshFileDeals = async (fileId, cid, height = null) => {
+  const deals = await getFileDeals(fileId, cid);
+  const pending = deals.filter(deal => deal.proposal_cid && LIVE_DEAL_STATUSES.includes(deal.status));
+  if (pending.length === 0) return deals;
+
+  const currentHeight = height ?? await getChainHeight();
+  for (const deal of pending) {
+    try {
+      const state = await getDealState(deal, currentHeight);
+      await saveDeal({ ...deal, ...state });
+    } catch (error) {
+      console.error(`Error checking deal ${deal.proposal_cid}:`, error);
+      await saveDeal({ ...deal, info: { ...deal.info, error: error.message } });
+    }
+  }
+
+  const updated = await getFileDeals(fileId, cid);
+  await updateFileDealSummary(fileId, updated);
+  return updated;
+};
+
+/**
+ * Poll the deals of every file a user owns and find the files whose storage
+ * on Filecoin ends soon
+ * @param {string} userId - The ID of the owner
+ * @returns {Promise<Array<Object>>} - Expiring files (id, file_name, ipfs_cid,
+ *   deal_expiry_epoch, expiresAt)
+ */
+export const checkDealExpiry = async (userId) => {
+  const { data: files, error } = await supabase
+    .from(TABLES.FILES)
+    .select('id, file_name, ipfs_cid, deal_expiry_epoch')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const height = await getChainHeight();
+  const expiring = [];
+  for (const file of files || []) {
+    try {
+      const deals = await refreshFileDeals(file.id, file.ipfs_cid, height);
+      const endEpochs = deals
+        .filter(deal => LIVE_DEAL_STATUSES.includes(deal.status) && deal.end_epoch != null)
+        .map(deal => deal.end_epoch);
+      if (endEpochs.length === 0) continue;
+
+      const expiryEpoch = Math.max(...endEpochs);
+      if (expiryEpoch - height <= DEAL_EXPIRY_WARNING) {
+        expiring.push({ ...file, deal_expiry_epoch: expiryEpoch, expiresAt: epochToDate(expiryEpoch, height) });
+      }
+    } catch (fileError) {
+      console.error(`Error checking deals of file ${file.id}:`, fileError);
+    }
+  }
+
+  return expiring;
+};
+
+/**
+ * Track the user's deals in the background while the app runs
+ * onExpiring is called with files whose last deal ends within
+ * DEAL_EXPIRY_WARNING, once per file and expiry epoch.
+ * @param {string} userId - The ID of the user
+ * @param {Function} onExpiring - Called with the newly expiring files
+ * @returns {Function} - Stops the tracking
+ */
+export const startDealTracking = (userId, onExpiring) => {
+  if (!isDealsEnabled()) return () => {};
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const expiring = await checkDealExpiry(userId);
+
+      const warned = JSON.parse(await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPIRY_WARNINGS) || '{}');
+      const unwarned = expiring.filter(file => warned[file.id] !== file.deal_expiry_epoch);
+      if (unwarned.length > 0) {
+        unwarned.forEach(file => { warned[file.id] = file.deal_expiry_epoch; });
+        await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPIRY_WARNINGS, JSON.stringify(warned));
+        onExpiring(unwarned);
+      }
+    } catch (error) {
+      console.error('Error tracking storage deals:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const firstRun = setTimeout(run, FIRST_TRACKING_DELAY);
+  const interval = setInterval(run, TRACKING_INTERVAL);
+
+  return () => {
+    clearTimeout(firstRun);
+    clearInterval(interval);
+  };
+};
@@ -1,4 +1,10 @@
 import * as Crypto from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { deflateSync, inflateSync } from 'fflate';
+import { File } from 'expo-file-system/next';
 
 // AES encryption constants
 const ALGORITHM = 'AES-GCM';
@@ -6,13 +12,57 @@ const KEY_LENGTH = 256; // bits
 const IV_LENGTH = 16; // bytes
 const AUTH_TAG_LENGTH = 16; // bytes
 
+// Key derivation constants
+const SALT_LENGTH = 16; // bytes
+const PBKDF2_ITERATIONS = 100000;
+
+// Prefix used by blobs written before real AES-GCM was introduced
+const LEGACY_MARKER = 'ENCRYPTED:';
+
+// Ciphertext envelope: magic, version, cipher id, KDF id, flags,
+// KDF params (uint16 length + bytes), IV (uint8 length + bytes),
+// [version 2: uint32 chunk size], auth tag (uint8 length + bytes), ciphertext
+const ENVELOPE_MAGIC = [0x42, 0x46, 0x53, 0x45]; // "BFSE"
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_VERSION_CHUNKED = 2;
+
+const CIPHERS = {
+  AES_256_GCM: 1,
+  AES_256_GCM_CHUNKED: 2,
+};
+
+// Chunked encryption: each chunk is sealed separately with the nonce
+// prefix || uint32 chunk index || final-chunk flag, so chunks cannot be
+// reordered, dropped or truncated without failing authentication
+const CHUNK_SIZE = 1024 * 1024; // 1 MiB
+const CHUNK_NONCE_PREFIX_LENGTH = IV_LENGTH - 5; // bytes
+
+const KDFS = {
+  SHA256: 1, // for random keys
+  PBKDF2_SHA256: 2, // for human passphrases
+};
+
+const ENVELOPE_FLAGS = {
+  COMPRESSED: 0x01,
+};
+
+const CIPHER_NAMES = {
+  [CIPHERS.AES_256_GCM]: 'AES-256-GCM',
+  [CIPHERS.AES_256_GCM_CHUNKED]: 'AES-256-GCM (chunked)',
+};
+
+const KDF_NAMES = {
+  [KDFS.SHA256]: 'SHA-256',
+  [KDFS.PBKDF2_SHA256]: 'PBKDF2-HMAC-SHA256',
+};
+
 /**
  * Generate a secure key for encryption
- * @returns {Promise<Uint8Array>} - The generated key
+ * @returns {Promise<string>} - The generated key (base64 string)
  */
 export const generateEncryptionKey = async () => {
   const key = await Crypto.getRandomBytesAsync(KEY_LENGTH / 8);
-  return key;
+  return arrayBufferToBase64(key);
 };
 
 /**
@@ -71,36 +121,326 @@ export const base64ToArrayBuffer = (base64) => {
 };
 
 /**
- * Encrypt data using AES encryption
+ * Compute the SHA-256 digest of base64 encoded data
+ * @param {string} base64 - The base64 encoded data
+ * @returns {string} - SHA-256 digest (hex string)
+ */
+export const hashBase64Data = (base64) => {
+  return bytesToHex(sha256(new Uint8Array(base64ToArrayBuffer(base64))));
+};
+
+/**
+ * Compute the SHA-256 digest of a file on disk, a chunk at a time
+ * @param {string} fileUri - URI of the file
+ * @returns {Promise<string>} - SHA-256 digest (hex string)
+ */
+export const hashFile = async (fileUri) => {
+  let source = null;
+  
+  try {
+    source = new File(fileUri).open();
+    const totalSize = source.size || 0;
+    const hash = sha256.create();
+    
+    for (let offset = 0; offset < totalSize; offset += CHUNK_SIZE) {
+      hash.update(source.readBytes(Math.min(CHUNK_SIZE, totalSize - offset)));
+      
+      // Let the UI breathe between chunks
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return bytesToHex(hash.digest());
+  } finally {
+    source?.close();
+  }
+};
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - The hex encoded string
+ * @returns {Uint8Array} - The decoded bytes
+ */
+const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Derive a 256-bit AES key from a password
+ * @param {string} password - Password to derive key from
+ * @param {number} kdfId - Key derivation function id (see KDFS)
+ * @param {Object} kdfParams - Parameters for the key derivation function
+ * @returns {Promise<{keyHex: string, keyBytes: Uint8Array}>} - The derived key as hex and bytes
+ */
+const deriveKey = async (password, kdfId = KDFS.SHA256, kdfParams = {}) => {
+  if (kdfId === KDFS.PBKDF2_SHA256) {
+    const keyBytes = await pbkdf2Async(sha256, password, kdfParams.salt, {
+      c: kdfParams.iterations,
+      dkLen: KEY_LENGTH / 8,
+    });
+    return { keyHex: null, keyBytes };
+  }
+  
+  if (kdfId !== KDFS.SHA256) {
+    throw new Error(`Unsupported key derivation function: ${kdfId}`);
+  }
+  
+  const keyHex = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    password
+  );
+  return { keyHex, keyBytes: hexToBytes(keyHex) };
+};
+
+/**
+ * Serialize key derivation parameters for the envelope header
+ * @param {number} kdfId - Key derivation function id
+ * @param {Object} kdfParams - Parameters for the key derivation function
+ * @returns {Uint8Array} - Encoded parameters
+ */
+const encodeKdfParams = (kdfId, kdfParams) => {
+  if (kdfId !== KDFS.PBKDF2_SHA256) {
+    return new Uint8Array(0);
+  }
+  
+  // uint32 iterations followed by the salt
+  const params = new Uint8Array(4 + kdfParams.salt.byteLength);
+  new DataView(params.buffer).setUint32(0, kdfParams.iterations);
+  params.set(kdfParams.salt, 4);
+  return params;
+};
+
+/**
+ * Parse key derivation parameters from the envelope header
+ * @param {number} kdfId - Key derivation function id
+ * @param {Uint8Array} params - Encoded parameters
+ * @returns {Object} - Decoded parameters
+ */
+const decodeKdfParams = (kdfId, params) => {
+  if (kdfId !== KDFS.PBKDF2_SHA256) {
+    return {};
+  }
+  
+  if (params.byteLength < 4) {
+    throw new Error('Corrupt key derivation parameters');
+  }
+  
+  return {
+    iterations: new DataView(params.buffer, params.byteOffset, 4).getUint32(0),
+    salt: params.slice(4),
+  };
+};
+
+/**
+ * Build the envelope header (everything before the auth tag)
+ * The header is authenticated as additional data, so it cannot be altered
+ * without failing tag verification.
+ * @param {Object} header - Header fields
+ * @returns {Uint8Array} - Encoded header
+ */
+const encodeEnvelopeHeader = ({ cipherId, kdfId, kdfParams, flags, iv, chunkSize = null }) => {
+  const params = encodeKdfParams(kdfId, kdfParams);
+  const chunked = chunkSize !== null;
+  const header = new Uint8Array(
+    ENVELOPE_MAGIC.length + 4 + 2 + params.byteLength + 1 + iv.byteLength + (chunked ? 4 : 0)
+  );
+  const view = new DataView(header.buffer);
+  
+  let offset = 0;
+  header.set(ENVELOPE_MAGIC, offset);
+  offset += ENVELOPE_MAGIC.length;
+  header[offset++] = chunked ? ENVELOPE_VERSION_CHUNKED : ENVELOPE_VERSION;
+  header[offset++] = cipherId;
+  header[offset++] = kdfId;
+  header[offset++] = flags;
+  view.setUint16(offset, params.byteLength);
+  offset += 2;
+  header.set(params, offset);
+  offset += params.byteLength;
+  header[offset++] = iv.byteLength;
+  header.set(iv, offset);
+  offset += iv.byteLength;
+  
+  if (chunked) {
+    view.setUint32(offset, chunkSize);
+  }
+  
+  return header;
+};
+
+/**
+ * Check whether bytes start with the envelope magic
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {boolean} - True if the bytes are an envelope
+ */
+const isEnvelope = (bytes) => {
+  if (bytes.byteLength < ENVELOPE_MAGIC.length) return false;
+  return ENVELOPE_MAGIC.every((byte, i) => bytes[i] === byte);
+};
+
+/**
+ * Parse a ciphertext envelope
+ * Also works on just the leading bytes of a large blob, as long as the whole
+ * header is included.
+ * @param {Uint8Array} bytes - The envelope bytes
+ * @returns {Object} - Header fields, the authenticated header bytes, the tag, the ciphertext and its offset
+ */
+const parseEnvelope = (bytes) => {
+  if (!isEnvelope(bytes)) {
+    throw new Error('Not an encrypted envelope');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const need = (offset, length) => {
+    if (offset + length > bytes.byteLength) {
+      throw new Error('Truncated envelope header');
+    }
+  };
+  
+  let offset = ENVELOPE_MAGIC.length;
+  need(offset, 6);
+  const version = bytes[offset++];
+  if (version !== ENVELOPE_VERSION && version !== ENVELOPE_VERSION_CHUNKED) {
+    throw new Error(`Unsupported envelope version: ${version}`);
+  }
+  const cipherId = bytes[offset++];
+  const kdfId = bytes[offset++];
+  const flags = bytes[offset++];
+  const paramsLength = view.getUint16(offset);
+  offset += 2;
+  
+  need(offset, paramsLength + 1);
+  const kdfParams = decodeKdfParams(kdfId, bytes.subarray(offset, offset + paramsLength));
+  offset += paramsLength;
+  
+  const ivLength = bytes[offset++];
+  need(offset, ivLength);
+  const iv = bytes.subarray(offset, offset + ivLength);
+  offset += ivLength;
+  
+  let chunkSize = null;
+  if (version === ENVELOPE_VERSION_CHUNKED) {
+    need(offset, 4);
+    chunkSize = view.getUint32(offset);
+    offset += 4;
+  }
+  const header = bytes.subarray(0, offset);
+  
+  need(offset, 1);
+  const tagLength = bytes[offset++];
+  need(offset, tagLength);
+  const tag = bytes.subarray(offset, offset + tagLength);
+  offset += tagLength;
+  
+  return {
+    version,
+    cipherId,
+    kdfId,
+    kdfParams,
+    flags,
+    iv,
+    chunkSize,
+    header,
+    tag,
+    ciphertextOffset: offset,
+    ciphertext: bytes.subarray(offset),
+  };
+};
+
+/**
+ * Describe an encrypted blob without decrypting it
+ * @param {string} encryptedData - Encrypted data (base64 string)
+ * @returns {Object} - Format, version, cipher, key derivation and compression information
+ */
+export const describeEncryptedData = (encryptedData) => {
+  if (encryptedData.startsWith(LEGACY_MARKER)) {
+    return { format: 'legacy' };
+  }
+  
+  const bytes = new Uint8Array(base64ToArrayBuffer(encryptedData));
+  if (!isEnvelope(bytes)) {
+    return { format: 'raw', cipher: ALGORITHM };
+  }
+  
+  const envelope = parseEnvelope(bytes);
+  return {
+    format: 'envelope',
+    version: envelope.version,
+    cipher: CIPHER_NAMES[envelope.cipherId] || `unknown (${envelope.cipherId})`,
+    kdf: KDF_NAMES[envelope.kdfId] || `unknown (${envelope.kdfId})`,
+    iterations: envelope.kdfParams.iterations,
+    chunkSize: envelope.chunkSize,
+    compressed: (envelope.flags & ENVELOPE_FLAGS.COMPRESSED) !== 0,
+  };
+};
+
+/**
+ * Encrypt data using AES-256-GCM into a self-describing envelope
  * @param {string} data - Data to encrypt (base64 string)
  * @param {string} password - Password to derive key from
- * @returns {Promise<{encryptedData: string, iv: string}>} - Encrypted data and IV
+ * @param {Object} options - Encryption options
+ * @param {string} options.kdf - 'sha256' for random keys, 'pbkdf2' for human passphrases
+ * @param {number} options.iterations - PBKDF2 iteration count
+ * @param {boolean} options.compress - Whether to deflate the data before encrypting
+ * @returns {Promise<{encryptedData: string, iv: string}>} - Encrypted envelope and IV, both base64
  */
-export const encryptData = async (data, password) => {
+export const encryptData = async (data, password, options = {}) => {
   try {
-    // Convert password to a key
-    const keyData = await Crypto.digestStringAsync(
-      Crypto.CryptoDigestAlgorithm.SHA256,
-      password
-    );
+    const {
+      kdf = 'sha256',
+      iterations = PBKDF2_ITERATIONS,
+      compress = false,
+    } = options;
+    
+    let kdfId = KDFS.SHA256;
+    let kdfParams = {};
+    if (kdf === 'pbkdf2') {
+      kdfId = KDFS.PBKDF2_SHA256;
+      kdfParams = {
+        iterations,
+        salt: await Crypto.getRandomBytesAsync(SALT_LENGTH),
+      };
+    }
+    
+    const { keyBytes } = await deriveKey(password, kdfId, kdfParams);
     
     // Generate IV
     const iv = await generateIV();
 
-    // Convert base64 data to array buffer for encryption
-    const dataBuffer = base64ToArrayBuffer(data);
+    // Convert base64 data to bytes for encryption
+    let dataBytes = new Uint8Array(base64ToArrayBuffer(data));
+    console.log('Encrypting data of size:', dataBytes.byteLength);
+    
+    let flags = 0;
+    if (compress) {
+      dataBytes = deflateSync(dataBytes);
+      flags |= ENVELOPE_FLAGS.COMPRESSED;
+    }
     
-    // Encrypt the data (using a simulated implementation since direct AES encryption is not available in expo-crypto)
-    // This is a placeholder - in a real implementation, you would use a library that supports AES-GCM
-    console.log('Encrypting data of size:', dataBuffer.byteLength);
+    const header = encodeEnvelopeHeader({
+      cipherId: CIPHERS.AES_256_GCM,
+      kdfId,
+      kdfParams,
+      flags,
+      iv,
+    });
     
-    // For simulation purposes, we'll just encode the data with the password hash and IV
-    // In a real implementation, use a proper AES encryption library
-    const encryptedData = await simulatedEncrypt(data, keyData, iv);
+    // GCM appends the authentication tag to the ciphertext
+    const sealed = gcm(keyBytes, iv, header).encrypt(dataBytes);
+    const ciphertextLength = sealed.byteLength - AUTH_TAG_LENGTH;
     
-    // Return the encrypted data and IV as base64 strings
+    const envelope = new Uint8Array(header.byteLength + 1 + sealed.byteLength);
+    envelope.set(header, 0);
+    envelope[header.byteLength] = AUTH_TAG_LENGTH;
+    envelope.set(sealed.subarray(ciphertextLength), header.byteLength + 1);
+    envelope.set(sealed.subarray(0, ciphertextLength), header.byteLength + 1 + AUTH_TAG_LENGTH);
+    
+    // Return the envelope and IV as base64 strings
     return {
-      encryptedData,
+      encryptedData: arrayBufferToBase64(envelope),
       iv: arrayBufferToBase64(iv),
     };
   } catch (error) {
@@ -110,32 +450,101 @@ export const encryptData = async (data, password) => {
 };
 
 /**
- * Decrypt data using AES encryption
+ * Run AES-256-GCM decryption, failing closed on tag mismatch
+ * @param {Uint8Array} keyBytes - AES key
+ * @param {Uint8Array} iv - Initialization vector
+ * @param {Uint8Array} sealed - Ciphertext followed by the auth tag
+ * @param {Uint8Array} aad - Additional authenticated data
+ * @returns {Uint8Array} - Plaintext bytes
+ */
+const openGcm = (keyBytes, iv, sealed, aad) => {
+  if (iv.byteLength !== IV_LENGTH) {
+    throw new Error(`Invalid IV length: expected ${IV_LENGTH} bytes, got ${iv.byteLength}`);
+  }
+  if (sealed.byteLength < AUTH_TAG_LENGTH) {
+    throw new Error('Corrupt encrypted data');
+  }
+  
+  try {
+    return gcm(keyBytes, iv, aad).decrypt(sealed);
+  } catch (tagError) {
+    // Never return unauthenticated plaintext
+    throw new Error('Authentication failed: wrong key or tampered data');
+  }
+};
+
+/**
+ * Decrypt data using AES-256-GCM
+ * Envelopes carry their own IV and key derivation parameters. Raw GCM blobs
+ * (written before the envelope format) need the IV from the database, and
+ * blobs in the old marker format are still readable.
  * @param {string} encryptedData - Encrypted data (base64 string)
- * @param {string} iv - Initialization vector (base64 string)
+ * @param {string|null} iv - Initialization vector (base64 string), only needed for raw blobs
  * @param {string} password - Password to derive key from
  * @returns {Promise<string>} - Decrypted data (base64 string)
  */
 export const decryptData = async (encryptedData, iv, password) => {
   try {
-    // Convert password to a key
-    const keyData = await Crypto.digestStringAsync(
-      Crypto.CryptoDigestAlgorithm.SHA256,
-      password
-    );
-    
-    // Convert IV from base64 to array buffer
-    const ivBuffer = base64ToArrayBuffer(iv);
+    if (encryptedData.startsWith(LEGACY_MARKER)) {
+      console.log('Decrypting legacy marker-format data');
+      const { keyHex } = await deriveKey(password);
+      return await legacyDecrypt(encryptedData, keyHex);
+    }
     
-    // Decrypt the data (using a simulated implementation since direct AES decryption is not available in expo-crypto)
-    // This is a placeholder - in a real implementation, you would use a library that supports AES-GCM
+    const bytes = new Uint8Array(base64ToArrayBuffer(encryptedData));
     console.log('Decrypting data');
     
-    // For simulation purposes, we'll just decode the data with the password hash and IV
-    // In a real implementation, use a proper AES decryption library
-    const decryptedData = await simulatedDecrypt(encryptedData, keyData, ivBuffer);
+    if (!isEnvelope(bytes)) {
+      if (!iv) {
+        throw new Error('Missing IV for data without an envelope header');
+      }
+      const { keyBytes } = await deriveKey(password);
+      const decrypted = openGcm(keyBytes, new Uint8Array(base64ToArrayBuffer(iv)), bytes);
+      return arrayBufferToBase64(decrypted);
+    }
+    
+    const envelope = parseEnvelope(bytes);
+    
+    if (envelope.cipherId === CIPHERS.AES_256_GCM_CHUNKED) {
+      const { keyBytes } = await deriveKey(password, envelope.kdfId, envelope.kdfParams);
+      const sealedChunkSize = envelope.chunkSize + AUTH_TAG_LENGTH;
+      const chunkCount = Math.max(1, Math.ceil(envelope.ciphertext.byteLength / sealedChunkSize));
+      const plaintext = new Uint8Array(envelope.ciphertext.byteLength - chunkCount * AUTH_TAG_LENGTH);
+      
+      for (let index = 0; index < chunkCount; index++) {
+        const start = index * sealedChunkSize;
+        const chunk = openChunk(
+          keyBytes,
+          envelope,
+          index,
+          index === chunkCount - 1,
+          envelope.ciphertext.subarray(start, start + sealedChunkSize)
+        );
+        plaintext.set(chunk, index * envelope.chunkSize);
+      }
+      
+      return arrayBufferToBase64(plaintext);
+    }
+    
+    if (envelope.cipherId !== CIPHERS.AES_256_GCM) {
+      throw new Error(`Unsupported cipher: ${envelope.cipherId}`);
+    }
+    if (envelope.tag.byteLength !== AUTH_TAG_LENGTH) {
+      throw new Error(`Invalid auth tag length: ${envelope.tag.byteLength}`);
+    }
+    
+    const { keyBytes } = await deriveKey(password, envelope.kdfId, envelope.kdfParams);
+    
+    const sealed = new Uint8Array(envelope.ciphertext.byteLength + AUTH_TAG_LENGTH);
+    sealed.set(envelope.ciphertext, 0);
+    sealed.set(envelope.tag, envelope.ciphertext.byteLength);
     
-    return decryptedData;
+    let decrypted = openGcm(keyBytes, envelope.iv, sealed, envelope.header);
+    if (envelope.flags & ENVELOPE_FLAGS.COMPRESSED) {
+      decrypted = inflateSync(decrypted);
+    }
+    
+    return arrayBufferToBase64(decrypted);
   } catch (error) {
     console.error('Decryption error:', error);
     throw new Error(`Decryption failed: ${error.message}`);
@@ -143,41 +552,197 @@ export const decryptData = async (encryptedData, iv, password) => {
 };
 
 /**
- * Simulated encryption function - in a real implementation, replace with actual AES encryption
- * @param {string} data - Data to encrypt (base64 string)
- * @param {string} key - Encryption key
- * @param {ArrayBuffer} iv - Initialization vector
- * @returns {Promise<string>} - Encrypted data (base64 string)
- */
-const simulatedEncrypt = async (data, key, iv) => {
-  // This is a simulation - in a real implementation, use actual AES-GCM encryption
-  // For now, we'll just add a marker to indicate encryption
-  const ivString = arrayBufferToBase64(iv);
-  const keyHash = await Crypto.digestStringAsync(
-    Crypto.CryptoDigestAlgorithm.SHA1,
-    key
-  );
+ * Build the nonce of a chunk
+ * @param {Uint8Array} prefix - Random nonce prefix from the envelope
+ * @param {number} index - Chunk index
+ * @param {boolean} isFinal - Whether this is the last chunk
+ * @returns {Uint8Array} - The chunk nonce
+ */
+const chunkNonce = (prefix, index, isFinal) => {
+  const nonce = new Uint8Array(IV_LENGTH);
+  nonce.set(prefix, 0);
+  new DataView(nonce.buffer).setUint32(CHUNK_NONCE_PREFIX_LENGTH, index);
+  nonce[IV_LENGTH - 1] = isFinal ? 1 : 0;
+  return nonce;
+};
+
+/**
+ * Decrypt and authenticate one chunk of a chunked envelope
+ * @param {Uint8Array} keyBytes - AES key
+ * @param {Object} envelope - Parsed envelope header
+ * @param {number} index - Chunk index
+ * @param {boolean} isFinal - Whether this is the last chunk
+ * @param {Uint8Array} sealed - Chunk ciphertext followed by its auth tag
+ * @returns {Uint8Array} - Plaintext of the chunk
+ */
+const openChunk = (keyBytes, envelope, index, isFinal, sealed) => {
+  if (envelope.iv.byteLength !== CHUNK_NONCE_PREFIX_LENGTH) {
+    throw new Error('Invalid chunk nonce prefix');
+  }
+  if (sealed.byteLength > envelope.chunkSize + AUTH_TAG_LENGTH) {
+    throw new Error('Corrupt encrypted chunk');
+  }
+  return openGcm(keyBytes, chunkNonce(envelope.iv, index, isFinal), sealed, envelope.header);
+};
+
+/**
+ * Encrypt a file into a chunked envelope without loading it into memory
+ * Reads and writes one chunk at a time, so file size is limited by disk
+ * space rather than memory.
+ * @param {string} sourceUri - URI of the plaintext file
+ * @param {string} destUri - URI to write the encrypted file to
+ * @param {string} password - Password to derive key from
+ * @param {Object} options - Encryption options
+ * @param {number} options.chunkSize - Plaintext bytes per chunk
+ * @param {Function} options.onProgress - Progress callback (0-100)
+ * @returns {Promise<{iv: string, size: number, contentHash: string, plaintextHash: string}>} - Nonce
+ *   prefix (base64), encrypted size in bytes, and SHA-256 (hex) of the encrypted and plaintext files
+ */
+export const encryptFile = async (sourceUri, destUri, password, options = {}) => {
+  const { chunkSize = CHUNK_SIZE, onProgress = () => {} } = options;
+  let source = null;
+  let dest = null;
   
-  // Combine data with encryption metadata (this is NOT secure, just for simulation)
-  const markedData = `ENCRYPTED:${keyHash.substring(0, 8)}:${ivString.substring(0, 8)}:${data}`;
+  try {
+    const { keyBytes } = await deriveKey(password);
+    const prefix = await Crypto.getRandomBytesAsync(CHUNK_NONCE_PREFIX_LENGTH);
+    const header = encodeEnvelopeHeader({
+      cipherId: CIPHERS.AES_256_GCM_CHUNKED,
+      kdfId: KDFS.SHA256,
+      kdfParams: {},
+      flags: 0,
+      iv: prefix,
+      chunkSize,
+    });
+    
+    const destFile = new File(destUri);
+    if (destFile.exists) destFile.delete();
+    destFile.create();
+    
+    source = new File(sourceUri).open();
+    dest = destFile.open();
+    
+    const totalSize = source.size || 0;
+    const chunkCount = Math.max(1, Math.ceil(totalSize / chunkSize));
+    console.log(`Encrypting file of size ${totalSize} in ${chunkCount} chunks`);
+    
+    // Hash input and output as they stream past, to save reading them again
+    const plaintextHash = sha256.create();
+    const contentHash = sha256.create();
+    const write = (bytes) => {
+      dest.writeBytes(bytes);
+      contentHash.update(bytes);
+    };
+    
+    // No envelope-level tag: every chunk carries its own
+    write(header);
+    write(new Uint8Array([0]));
+    
+    for (let index = 0; index < chunkCount; index++) {
+      const isFinal = index === chunkCount - 1;
+      const plaintext = source.readBytes(Math.min(chunkSize, totalSize - index * chunkSize));
+      plaintextHash.update(plaintext);
+      write(gcm(keyBytes, chunkNonce(prefix, index, isFinal), header).encrypt(plaintext));
+      onProgress(Math.round(((index + 1) / chunkCount) * 100));
+      
+      // Let the UI breathe between chunks
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return {
+      iv: arrayBufferToBase64(prefix),
+      size: dest.size,
+      contentHash: bytesToHex(contentHash.digest()),
+      plaintextHash: bytesToHex(plaintextHash.digest()),
+    };
+  } catch (error) {
+    console.error('File encryption error:', error);
+    throw new Error(`Encryption failed: ${error.message}`);
+  } finally {
+    source?.close();
+    dest?.close();
+  }
+};
+
+/**
+ * Decrypt an encrypted file to another file
+ * Chunked envelopes are streamed one chunk at a time; other formats are
+ * small enough to go through decryptData. The output is deleted if any
+ * chunk fails authentication.
+ * @param {string} sourceUri - URI of the encrypted file
+ * @param {string} destUri - URI to write the plaintext to
+ * @param {string} password - Password to derive key from
+ * @param {Object} options - Decryption options
+ * @param {string} options.iv - IV from the database, only needed for raw blobs
+ * @param {Function} options.onProgress - Progress callback (0-100)
+ * @returns {Promise<void>}
+ */
+export const decryptFile = async (sourceUri, destUri, password, options = {}) => {
+  const { iv = null, onProgress = () => {} } = options;
+  const destFile = new File(destUri);
+  let source = null;
+  let dest = null;
   
-  return markedData;
+  try {
+    source = new File(sourceUri).open();
+    const totalSize = source.size || 0;
+    
+    // The header is small; peek at the start of the file to find the format
+    const head = source.readBytes(Math.min(totalSize, 1024));
+    const envelope = isEnvelope(head) ? parseEnvelope(head) : null;
+    
+    if (!envelope || envelope.cipherId !== CIPHERS.AES_256_GCM_CHUNKED) {
+      source.close();
+      source = null;
+      
+      const encryptedData = new File(sourceUri).base64();
+      const decrypted = await decryptData(encryptedData, iv, password);
+      destFile.write(new Uint8Array(base64ToArrayBuffer(decrypted)));
+      onProgress(100);
+      return;
+    }
+    
+    const { keyBytes } = await deriveKey(password, envelope.kdfId, envelope.kdfParams);
+    const sealedChunkSize = envelope.chunkSize + AUTH_TAG_LENGTH;
+    const bodySize = totalSize - envelope.ciphertextOffset;
+    const chunkCount = Math.max(1, Math.ceil(bodySize / sealedChunkSize));
+    
+    if (destFile.exists) destFile.delete();
+    destFile.create();
+    dest = destFile.open();
+    
+    source.offset = envelope.ciphertextOffset;
+    for (let index = 0; index < chunkCount; index++) {
+      const isFinal = index === chunkCount - 1;
+      const sealed = source.readBytes(Math.min(sealedChunkSize, bodySize - index * sealedChunkSize));
+      dest.writeBytes(openChunk(keyBytes, envelope, index, isFinal, sealed));
+      onProgress(Math.round(((index + 1) / chunkCount) * 100));
+      
+      // Let the UI breathe between chunks
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } catch (error) {
+    console.error('File decryption error:', error);
+    
+    // Never leave partially decrypted, unauthenticated output behind
+    dest?.close();
+    dest = null;
+    if (destFile.exists) destFile.delete();
+    
+    throw new Error(`Decryption failed: ${error.message}`);
+  } finally {
+    source?.close();
+    dest?.close();
+  }
 };
 
 /**
- * Simulated decryption function - in a real implementation, replace with actual AES decryption
- * @param {string} encryptedData - Encrypted data (base64 string)
- * @param {string} key - Decryption key
- * @param {ArrayBuffer} iv - Initialization vector
+ * Read a blob written by the old simulated encryption (marker, key hash, IV prefix, plaintext)
+ * @param {string} encryptedData - Legacy encrypted data
+ * @param {string} keyHex - SHA-256 hex digest of the password
  * @returns {Promise<string>} - Decrypted data (base64 string)
  */
-const simulatedDecrypt = async (encryptedData, key, iv) => {
-  // This is a simulation - in a real implementation, use actual AES-GCM decryption
-  if (!encryptedData.startsWith('ENCRYPTED:')) {
-    throw new Error('Invalid encrypted data format');
-  }
-  
-  // Extract the data from our simulated format
+const legacyDecrypt = async (encryptedData, keyHex) => {
   const parts = encryptedData.split(':');
   if (parts.length < 4) {
     throw new Error('Corrupt encrypted data');
@@ -185,10 +750,9 @@ const simulatedDecrypt = async (encryptedData, key, iv) => {
   
   const keyHash = await Crypto.digestStringAsync(
     Crypto.CryptoDigestAlgorithm.SHA1,
-    key
+    keyHex
   );
   
-  // Verify the key hash (simulated verification)
   if (parts[1] !== keyHash.substring(0, 8)) {
     throw new Error('Invalid decryption key');
   }
@@ -1,112 +1,531 @@
+import * as FileSystem from 'expo-file-system';
 import { supabase, handleSupabaseError } from './supabaseService';
-import { uploadToFilecoin, downloadFromFilecoin, deleteFromFilecoin } from './filecoinService';
-import { encryptData, decryptData, generateEncryptionKey, generateIV } from './encryptionService';
+import {
+  uploadFileUriToFilecoin,
+  downloadToFileFromFilecoin,
+  deleteFromFilecoin
+} from './filecoinService';
+import {
+  encryptFile,
+  decryptFile,
+  generateEncryptionKey,
+  hashFile
+} from './encryptionService';
+import {
+  getUnlockedPublicKey,
+  getUserPublicKey,
+  getUserSigningPublicKey,
+  isKeyPairUnlocked,
+  wrapFileKey,
+  unwrapFileKey,
+  grantFileKey,
+  getFileKey
+} from './keyService';
+import { logAuditEvent, fetchFileLedgerEntries } from './ledgerService';
+import { pinFileContent, unpinContent } from './pinningService';
+import { isDealsEnabled, proposeFileDeals } from './dealService';
+import {
+  getDefaultReplicationFactor,
+  recordReplicas,
+  replaceReplicas,
+  findReplicas,
+  repairFileReplicas
+} from './replicationService';
+import {
+  createUploadSession,
+  saveUploadSession,
+  getUploadSession,
+  deleteUploadSession,
+  beginUploadAttempt,
+  endUploadAttempt
+} from './uploadSessionService';
+import { recordOnChain, getFileRecordOnChain } from './blockchainService';
+import { fileMatchesCid } from './storageService';
+import { runSaga } from '../utils/saga';
 import { TABLES } from '../utils/constants';
 
+// Postgres unique violation, raised when an upload ID was recorded before
+const UNIQUE_VIOLATION = '23505';
+
 /**
  * Upload a file to the system
  * @param {Object} options - Upload options
- * @param {string} options.file - Base64 encoded file data
+ * @param {string} options.fileUri - URI of the file on disk; it is encrypted and
+ *   uploaded in chunks without loading it into memory, and if the upload is
+ *   interrupted it can be picked up again with resumeUpload
  * @param {string} options.fileName - The name of the file
  * @param {string} options.fileType - The MIME type of the file
  * @param {number} options.fileSize - The size of the file in bytes
  * @param {string} options.description - Description of the file
  * @param {boolean} options.isPublic - Whether the file is public or private
  * @param {string} options.userId - The ID of the user uploading the file
+ * @param {number} options.replicationFactor - Number of storage backends to keep the
+ *   file on (defaults to the user's setting)
  * @param {Function} options.onProgress - Progress callback function
  * @returns {Promise<Object>} - The uploaded file metadata
  */
 export const uploadFile = async ({
-  file,
+  fileUri,
   fileName,
   fileType,
   fileSize,
   description,
   isPublic,
   userId,
+  replicationFactor,
   onProgress = () => {}
 }) => {
   try {
+    // The owner's public key is needed to wrap the content key
+    const ownerPublicKey = getUnlockedPublicKey();
+    
+    const replicas = replicationFactor || await getDefaultReplicationFactor(userId);
+    
     // Generate secure encryption key and IV
     const encryptionPassword = await generateEncryptionKey();
     
     // Report initial progress
     onProgress(10);
     
-    // Encrypt the file
-    const { encryptedData, iv } = await encryptData(file, encryptionPassword);
+    const session = await createEncryptedUploadSession({
+      userId,
+      fileName,
+      fileType,
+      fileSize,
+      description,
+      isPublic,
+      replicationFactor: replicas
+    }, fileUri, encryptionPassword, ownerPublicKey, (progress) => {
+      // Map encryption progress from 10% to 30%
+      onProgress(10 + Math.floor(progress * 0.2));
+    });
     onProgress(30);
     
-    // Upload to Filecoin/IPFS
-    const cid = await uploadToFilecoin(encryptedData, fileName, (progress) => {
-      // Map progress from 30% to 80%
-      onProgress(30 + Math.floor(progress * 0.5));
-    });
-    onProgress(80);
+    return await completeUpload(session, encryptionPassword, ownerPublicKey, onProgress);
+  } catch (error) {
+    console.error('File upload error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Encrypt a file and queue it for upload
+ * Needs no network: the upload queue sends the file to storage and records it
+ * once the device is online (see uploadQueueService).
+ * @param {Object} options - Upload options
+ * @param {string} options.fileUri - URI of the file on disk
+ * @param {string} options.fileName - The name of the file
+ * @param {string} options.fileType - The MIME type of the file
+ * @param {number} options.fileSize - The size of the file in bytes
+ * @param {string} options.description - Description of the file
+ * @param {boolean} options.isPublic - Whether the file is public or private
+ * @param {string} options.userId - The ID of the user uploading the file
+ * @param {number} options.replicationFactor - Number of storage backends to keep the
+ *   file on (defaults to the user's setting)
+ * @param {Function} options.onProgress - Encryption progress callback function
+ * @returns {Promise<Object>} - The queued upload session
+ */
+export const queueUpload = async ({
+  fileUri,
+  fileName,
+  fileType,
+  fileSize,
+  description,
+  isPublic,
+  userId,
+  replicationFactor,
+  onProgress = () => {}
+}) => {
+  try {
+    const ownerPublicKey = getUnlockedPublicKey();
+    const replicas = replicationFactor || await getDefaultReplicationFactor(userId);
+    const encryptionPassword = await generateEncryptionKey();
     
-    // Update user's storage quota
-    try {
-      await supabase.rpc('update_user_storage', { 
-        user_id: userId, 
-        bytes_added: fileSize 
-      });
-    } catch (quotaError) {
-      console.error('Error updating storage quota:', quotaError);
-      // Continue anyway as this is not critical
+    const session = await createEncryptedUploadSession({
+      userId,
+      fileName,
+      fileType,
+      fileSize,
+      description,
+      isPublic,
+      replicationFactor: replicas
+    }, fileUri, encryptionPassword, ownerPublicKey, onProgress);
+    
+    onProgress(100);
+    return session;
+  } catch (error) {
+    console.error('Queue upload error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Encrypt a file into a new upload session
+ * Encrypts chunk by chunk into the session's file, which is kept until the
+ * upload is recorded so it can be resumed after a failure or restart.
+ * @param {Object} details - userId, fileName, fileType, fileSize, description,
+ *   isPublic and replicationFactor
+ * @param {string} fileUri - URI of the file on disk
+ * @param {string} encryptionPassword - File content key
+ * @param {string} ownerPublicKey - Owner's public key
+ * @param {Function} onProgress - Encryption progress callback (0-100)
+ * @returns {Promise<Object>} - The saved upload session
+ */
+const createEncryptedUploadSession = async (details, fileUri, encryptionPassword, ownerPublicKey, onProgress) => {
+  const session = await createUploadSession({
+    ...details,
+    wrappedKey: await wrapFileKey(encryptionPassword, ownerPublicKey)
+  });
+  
+  try {
+    const { iv, contentHash, plaintextHash } = await encryptFile(fileUri, session.encryptedUri, encryptionPassword, {
+      onProgress
+    });
+    Object.assign(session, { iv, contentHash, plaintextHash });
+    await saveUploadSession(session);
+  } catch (encryptError) {
+    await deleteUploadSession(session);
+    throw encryptError;
+  }
+  
+  return session;
+};
+
+/**
+ * Resume an upload that was interrupted
+ * Only the parts of the encrypted file the storage backends don't have yet
+ * are sent.
+ * @param {string} sessionId - The ID of the upload session
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<Object>} - The uploaded file metadata
+ */
+export const resumeUpload = async (sessionId, onProgress = () => {}) => {
+  try {
+    const session = await getUploadSession(sessionId);
+    if (!session) {
+      throw new Error('This upload can no longer be resumed');
+    }
+    if (!isKeyPairUnlocked(session.userId)) {
+      throw new Error('Your encryption keys are locked. Please sign in again.');
     }
     
-    // Store metadata in database
-    const { data, error } = await supabase
-      .from(TABLES.FILES)
-      .insert([
-        {
+    const encryptionPassword = await unwrapFileKey(session.wrappedKey);
+    onProgress(30);
+    
+    return await completeUpload(session, encryptionPassword, getUnlockedPublicKey(), onProgress);
+  } catch (error) {
+    console.error('Resume upload error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Send an upload session's encrypted file to storage and record the file
+ * Progress is saved to the session as it goes.
+ * @param {Object} session - Upload session
+ * @param {string} encryptionPassword - File content key
+ * @param {string} ownerPublicKey - Owner's public key
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<Object>} - The uploaded file metadata
+ */
+const completeUpload = async (session, encryptionPassword, ownerPublicKey, onProgress) => {
+  if (!beginUploadAttempt(session.id)) {
+    throw new Error('This file is already being uploaded');
+  }
+  
+  try {
+    return await sendUploadSession(session, encryptionPassword, ownerPublicKey, onProgress);
+  } finally {
+    endUploadAttempt(session.id);
+  }
+};
+
+/**
+ * The body of completeUpload, once the session is marked as being uploaded
+ * @param {Object} session - Upload session
+ * @param {string} encryptionPassword - File content key
+ * @param {string} ownerPublicKey - Owner's public key
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<Object>} - The uploaded file metadata
+ */
+const sendUploadSession = async (session, encryptionPassword, ownerPublicKey, onProgress) => {
+  if (session.stage !== 'uploaded') {
+    // Map upload progress from 30% to 80%
+    const { cid, backends } = await uploadFileUriToFilecoin(
+      session.encryptedUri,
+      session.fileName,
+      (progress) => onProgress(30 + Math.floor(progress * 0.5)),
+      session.replicationFactor,
+      {
+        states: session.backendStates,
+        save: async (backendName, state) => {
+          session.backendStates[backendName] = state;
+          await saveUploadSession(session);
+        }
+      }
+    );
+    
+    Object.assign(session, { cid, backends, stage: 'uploaded' });
+    await saveUploadSession(session);
+  }
+  onProgress(80);
+  
+  return recordUploadedFile(
+    { ...session, uploadId: session.id },
+    encryptionPassword,
+    ownerPublicKey,
+    onProgress,
+    { session }
+  );
+};
+
+/**
+ * Update a user's storage quota
+ * @param {string} userId - The ID of the user
+ * @param {number} bytes - Bytes to add (negative to subtract)
+ * @returns {Promise<void>}
+ */
+const updateStorageQuota = async (userId, bytes) => {
+  const { error } = await supabase.rpc('update_user_storage', {
+    user_id: userId,
+    bytes_added: bytes
+  });
+  
+  if (error) throw error;
+};
+
+/**
+ * Insert a file record, or find the one an earlier attempt of the same
+ * upload inserted
+ * @param {Object} row - The files row, with its upload_id
+ * @returns {Promise<Object>} - The file record
+ */
+const insertFileRecord = async (row) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILES)
+    .insert([row])
+    .select()
+    .single();
+  
+  if (!error) return data;
+  if (error.code !== UNIQUE_VIOLATION) throw error;
+  
+  const { data: existing, error: fetchError } = await supabase
+    .from(TABLES.FILES)
+    .select('*')
+    .eq('upload_id', row.upload_id)
+    .eq('user_id', row.user_id)
+    .single();
+  
+  if (fetchError) throw fetchError;
+  if (existing.ipfs_cid !== row.ipfs_cid) {
+    throw new Error('This upload was already recorded with different content');
+  }
+  
+  return existing;
+};
+
+/**
+ * Record a file whose encrypted content has been stored
+ * Recording the file, charging the storage quota and wrapping the owner's
+ * key form a saga: if a step fails, the ones before it are undone, so a
+ * failed upload leaves no file record and no quota charge behind, and an
+ * upload the quota can't be charged for isn't recorded. The
+ * stored content stays with the upload session for a retry. The upload ID
+ * makes retries idempotent: a retry finds the record an earlier attempt
+ * left instead of adding another one.
+ * @param {Object} upload - uploadId, userId, fileName, fileType, fileSize, description,
+ *   isPublic, replicationFactor, iv, contentHash, plaintextHash, cid and backends
+ * @param {string} encryptionPassword - File content key
+ * @param {string} ownerPublicKey - Owner's public key
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - Saga options
+ * @param {Object} options.session - Upload session to close once the file is recorded
+ * @returns {Promise<Object>} - The uploaded file metadata
+ */
+const recordUploadedFile = async (upload, encryptionPassword, ownerPublicKey, onProgress, {
+  session = null
+} = {}) => {
+  const {
+    uploadId,
+    userId,
+    fileName,
+    fileType,
+    fileSize,
+    description,
+    isPublic,
+    replicationFactor,
+    iv,
+    contentHash,
+    plaintextHash
+  } = upload;
+  
+  const { cid, backends, file: data } = await runSaga('Upload', [
+    {
+      name: 'record file',
+      run: async (context) => {
+        // Store metadata in database
+        context.file = await insertFileRecord({
+          upload_id: uploadId,
           user_id: userId,
           file_name: fileName,
           file_size: fileSize,
           file_type: fileType,
           description: description || '',
-          ipfs_cid: cid,
-          encryption_key: encryptionPassword, // In a production app, encrypt this with user's public key
+          ipfs_cid: context.cid,
+          // Public files are readable by everyone anyway; private files only
+          // store the content key wrapped per user in the file keys table
+          encryption_key: isPublic ? encryptionPassword : null,
           encryption_iv: iv,
+          plaintext_hash: plaintextHash,
+          replication_factor: replicationFactor,
           is_public: isPublic
+        });
+      },
+      compensate: async (context) => {
+        const { error } = await supabase
+          .from(TABLES.FILES)
+          .delete()
+          .eq('id', context.file.id);
+        
+        if (error) throw error;
+      }
+    },
+    {
+      name: 'charge storage quota',
+      run: async (context) => {
+        // An earlier attempt whose rollback failed may have charged it already
+        if (session?.quotaCharged) {
+          context.quotaCharged = true;
+          return;
         }
-      ])
-      .select()
-      .single();
-    
-    if (error) throw error;
-    
-    // Log the upload action in audit log
+        
+        // A failed charge (including a rejected one, over quota) fails the upload
+        await updateStorageQuota(userId, fileSize);
+        
+        context.quotaCharged = true;
+        if (session) {
+          await saveQuotaCharged(session, true);
+        }
+      },
+      // Refund the quota
+      compensate: async (context) => {
+        if (!context.quotaCharged) return;
+        
+        await updateStorageQuota(userId, -fileSize);
+        if (session) {
+          await saveQuotaCharged(session, false);
+        }
+      }
+    },
+    {
+      name: 'wrap owner key',
+      run: async (context) => {
+        await grantFileKey(context.file.id, userId, encryptionPassword, ownerPublicKey);
+      },
+      compensate: async (context) => {
+        const { error } = await supabase
+          .from(TABLES.FILE_KEYS)
+          .delete()
+          .eq('file_id', context.file.id);
+        
+        if (error) throw error;
+      }
+    }
+  ], { cid: upload.cid, backends: upload.backends });
+  
+  // The file exists now, so resuming must not record it again
+  if (session) {
     try {
-      await supabase
-        .from(TABLES.AUDIT_LOGS)
-        .insert([{
-          user_id: userId,
-          file_id: data.id,
-          action: 'upload',
-          details: { fileName, fileSize, fileType, isPublic }
-        }]);
-    } catch (auditError) {
-      console.error('Error logging file upload:', auditError);
+      await deleteUploadSession(session);
+    } catch (sessionError) {
+      console.error('Error removing upload session:', sessionError);
       // Continue anyway as this is not critical
     }
-    
-    onProgress(100);
-    
-    return data;
-  } catch (error) {
-    console.error('File upload error:', error);
-    throw new Error(handleSupabaseError(error));
+  }
+  
+  // Record where the replicas live, for the repair routine
+  try {
+    await recordReplicas(data.id, cid, backends);
+  } catch (replicaError) {
+    console.error('Error recording replicas:', replicaError);
+    // Continue anyway as this is not critical
+  }
+  
+  // Ask the remote pinning services to keep a copy
+  await pinFileContent(data.id, cid);
+  
+  // Propose Filecoin storage deals for the content
+  if (isDealsEnabled()) {
+    await proposeFileDeals(data.id, cid);
+  }
+  
+  // Register the file in the chain registry
+  const chainTx = await recordOnChain(userId, 'registerFile', data.id, cid, contentHash);
+  
+  // Log the upload action in audit log
+  await logAuditEvent({
+    userId,
+    fileId: data.id,
+    action: 'upload',
+    details: { fileName, fileSize, fileType, isPublic, ipfsCid: cid, contentHash, plaintextHash, replicas: backends, chainTx }
+  });
+  
+  onProgress(100);
+  
+  return data;
+};
+
+/**
+ * Saga step that stores encrypted content and unpins it when it is undone
+ * @param {Function} storeContent - Stores the content, returning cid and backends
+ * @returns {Object} - Saga step
+ */
+const storeContentStep = (storeContent) => ({
+  name: 'store content',
+  run: async (context) => {
+    Object.assign(context, await storeContent());
+  },
+  // Unpin the orphaned content
+  compensate: async (context) => {
+    if (!(await deleteFromFilecoin(context.cid, context.backends))) {
+      throw new Error(`Content ${context.cid} is still pinned on some backends`);
+    }
+  }
+});
+
+/**
+ * Remember on an upload session whether its quota is charged
+ * @param {Object} session - Upload session
+ * @param {boolean} charged - Whether the quota is charged
+ * @returns {Promise<void>}
+ */
+const saveQuotaCharged = async (session, charged) => {
+  try {
+    session.quotaCharged = charged;
+    await saveUploadSession(session);
+  } catch (sessionError) {
+    console.error('Error saving upload session:', sessionError);
+    // Continue anyway as this is not critical
   }
 };
 
 /**
- * Download a file from the system
+ * Download and decrypt a file straight to disk
+ * Encrypted and decrypted content is streamed chunk by chunk, so this works
+ * for files that do not fit in memory.
  * @param {string} fileId - The ID of the file to download
+ * @param {string} destUri - URI to write the decrypted file to
  * @param {Function} onProgress - Progress callback function
- * @returns {Promise<string>} - Base64 encoded file data
+ * @param {Object} options - Download options
+ * @param {number} options.version - Download this version of the file instead of
+ *   the current one (owner only)
+ * @returns {Promise<string>} - URI of the decrypted file
  */
-export const downloadFile = async (fileId, onProgress = () => {}) => {
+export const downloadFileToUri = async (fileId, destUri, onProgress = () => {}, { version = null } = {}) => {
+  // Downloads of the same file (or of several of its versions) may run at once
+  const encryptedUri = `${FileSystem.cacheDirectory}encrypted_${fileId}_${Date.now()}`;
+  
   try {
     // Get file metadata from database
     const { data: fileData, error } = await supabase
@@ -118,58 +537,235 @@ export const downloadFile = async (fileId, onProgress = () => {}) => {
     if (error) throw error;
     if (!fileData) throw new Error('File not found');
     
-    // Report initial progress
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    const userId = user?.id;
+    
+    // Every version is encrypted under the file's content key
+    let content = fileData;
+    if (version) {
+      if (fileData.user_id !== userId) {
+        throw new Error('Only the owner can download earlier versions');
+      }
+      content = await fetchFileVersion(fileId, version);
+    }
+    
+    // Unwrap the content key locally before spending time on the download
+    const fileKey = await getFileKey(fileData, userId);
     onProgress(10);
     
-    // Download encrypted data from IPFS/Filecoin
-    const encryptedData = await downloadFromFilecoin(fileData.ipfs_cid, (progress) => {
+    // Download encrypted data from IPFS/Filecoin to disk
+    await downloadToFileFromFilecoin(content.ipfs_cid, encryptedUri, (progress) => {
       // Map progress from 10% to 70%
       onProgress(10 + Math.floor(progress * 0.6));
     });
     onProgress(70);
     
-    // Decrypt the data
-    const decryptedData = await decryptData(
-      encryptedData,
-      fileData.encryption_iv,
-      fileData.encryption_key
-    );
-    onProgress(90);
-    
-    // Get current user
-    const { data: { user } } = await supabase.auth.getUser();
-    const userId = user?.id;
-    
-    // Increment download count
-    await supabase
-      .from(TABLES.FILES)
-      .update({ download_count: (fileData.download_count || 0) + 1 })
-      .eq('id', fileId);
+    // Decrypt to the destination
+    await decryptFile(encryptedUri, destUri, fileKey, {
+      iv: content.encryption_iv,
+      // Map progress from 70% to 95%
+      onProgress: (progress) => onProgress(70 + Math.floor(progress * 0.25))
+    });
     
-    // Log download in audit log
-    if (userId) {
-      await supabase
-        .from(TABLES.AUDIT_LOGS)
-        .insert([{
-          user_id: userId,
-          file_id: fileId,
-          action: 'download',
-          details: { 
-            fileName: fileData.file_name,
-            fileSize: fileData.file_size
-          }
-        }]);
-    }
+    await recordDownload(fileData, userId);
     
     onProgress(100);
     
-    return decryptedData;
+    return destUri;
   } catch (error) {
     console.error('File download error:', error);
     throw new Error(`Failed to download file: ${error.message}`);
+  } finally {
+    await FileSystem.deleteAsync(encryptedUri, { idempotent: true });
+  }
+};
+
+/**
+ * Count a download and log it in the audit log
+ * @param {Object} fileData - The downloaded file row
+ * @param {string} userId - The ID of the downloading user
+ * @returns {Promise<void>}
+ */
+const recordDownload = async (fileData, userId) => {
+  // Increment download count
+  await supabase
+    .from(TABLES.FILES)
+    .update({ download_count: (fileData.download_count || 0) + 1 })
+    .eq('id', fileData.id);
+  
+  // Log download in audit log
+  if (userId) {
+    await logAuditEvent({
+      userId,
+      fileId: fileData.id,
+      action: 'download',
+      details: {
+        fileName: fileData.file_name,
+        fileSize: fileData.file_size
+      }
+    });
+  }
+};
+
+/**
+ * Saga step that deletes a file's rows from a table and puts them back when
+ * it is undone
+ * @param {string} name - What the rows are, for logging
+ * @param {string} table - The table to delete from
+ * @param {string} fileId - The ID of the file
+ * @param {Object} match - Only delete rows with these column values
+ * @returns {Object} - Saga step
+ */
+const removeRowsStep = (name, table, fileId, match = {}) => {
+  const filter = (query) => Object.entries(match).reduce(
+    (filtered, [column, value]) => filtered.eq(column, value),
+    query.eq('file_id', fileId)
+  );
+  const key = `remove ${name}`;
+  
+  return {
+    name: key,
+    run: async (context) => {
+      const { data, error } = await filter(supabase.from(table).select('*'));
+      
+      if (error) throw error;
+      context[key] = data || [];
+      
+      const { error: deleteError } = await filter(supabase.from(table).delete());
+      
+      if (deleteError) throw deleteError;
+    },
+    compensate: async (context) => {
+      if (context[key].length === 0) return;
+      
+      const { error } = await supabase
+        .from(table)
+        .insert(context[key]);
+      
+      if (error) throw error;
+    }
+  };
+};
+
+/**
+ * Saga step that hands a file's rows in a table to another user and hands
+ * them back when it is undone
+ * @param {string} name - What the rows are, for logging
+ * @param {string} table - The table to update
+ * @param {string} fileId - The ID of the file
+ * @param {string} column - The column naming the user
+ * @param {string} userId - The ID of the user taking the rows over
+ * @returns {Object} - Saga step
+ */
+const reassignRowsStep = (name, table, fileId, column, userId) => {
+  const key = `reassign ${name}`;
+  
+  return {
+    name: key,
+    run: async (context) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select(`id, ${column}`)
+        .eq('file_id', fileId);
+      
+      if (error) throw error;
+      context[key] = data || [];
+      
+      const { error: updateError } = await supabase
+        .from(table)
+        .update({ [column]: userId })
+        .eq('file_id', fileId);
+      
+      if (updateError) throw updateError;
+    },
+    compensate: async (context) => {
+      for (const row of context[key]) {
+        const { error } = await supabase
+          .from(table)
+          .update({ [column]: row[column] })
+          .eq('id', row.id);
+        
+        if (error) throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Put back the wrapped keys some users had for a file
+ * @param {string} fileId - The ID of the file
+ * @param {Array<string>} userIds - The users whose keys were replaced
+ * @param {Array<Object>} previous - Their file keys rows from before
+ * @returns {Promise<void>}
+ */
+const restoreFileKeys = async (fileId, userIds, previous) => {
+  if (previous.length > 0) {
+    const { error } = await supabase
+      .from(TABLES.FILE_KEYS)
+      .upsert(previous, { onConflict: 'file_id,user_id' });
+    
+    if (error) throw error;
+  }
+  
+  const added = userIds.filter(userId => !previous.some(row => row.user_id === userId));
+  if (added.length > 0) {
+    const { error } = await supabase
+      .from(TABLES.FILE_KEYS)
+      .delete()
+      .eq('file_id', fileId)
+      .in('user_id', added);
+    
+    if (error) throw error;
   }
 };
 
+/**
+ * Saga step that wraps a file key for some users and puts back the keys
+ * they had before when it is undone
+ * @param {string} name - Who gets the key, for logging
+ * @param {string} fileId - The ID of the file
+ * @param {Function} getGrants - Returns the grants ({ userId, fileKey, publicKey }),
+ *   given the context
+ * @returns {Object} - Saga step
+ */
+const grantKeysStep = (name, fileId, getGrants) => {
+  const key = `wrap ${name} key`;
+  
+  return {
+    name: key,
+    run: async (context) => {
+      const grants = getGrants(context);
+      const userIds = grants.map(grant => grant.userId);
+      
+      const { data, error } = await supabase
+        .from(TABLES.FILE_KEYS)
+        .select('*')
+        .eq('file_id', fileId)
+        .in('user_id', userIds);
+      
+      if (error) throw error;
+      context[key] = { userIds, previous: data || [] };
+      
+      try {
+        for (const grant of grants) {
+          await grantFileKey(fileId, grant.userId, grant.fileKey, grant.publicKey);
+        }
+      } catch (grantError) {
+        // Keys granted before the failure are undone here, as the step
+        // didn't complete
+        await restoreFileKeys(fileId, userIds, context[key].previous).catch((restoreError) => {
+          console.error('Error restoring file keys:', restoreError);
+        });
+        throw grantError;
+      }
+    },
+    compensate: async (context) => {
+      await restoreFileKeys(fileId, context[key].userIds, context[key].previous);
+    }
+  };
+};
+
 /**
  * Delete a file from the system
  * @param {string} fileId - The ID of the file to delete
@@ -193,45 +789,66 @@ export const deleteFile = async (fileId) => {
       throw new Error('You are not authorized to delete this file');
     }
     
-    // Mark for deletion in IPFS/Filecoin 
-    await deleteFromFilecoin(fileData.ipfs_cid);
+    const versions = await fetchVersionRows(fileId);
+    
+    // Remove the file's records first, as a saga that puts back what was
+    // removed if a later record can't be. Content is only unpinned once the
+    // file record is gone, so a failed delete never leaves a file without it.
+    await runSaga('Delete', [
+      removeRowsStep('wrapped keys', TABLES.FILE_KEYS, fileId),
+      removeRowsStep('replica records', TABLES.FILE_REPLICAS, fileId),
+      // The deals themselves run until they end
+      isDealsEnabled() && removeRowsStep('deal records', TABLES.STORAGE_DEALS, fileId),
+      removeRowsStep('versions', TABLES.FILE_VERSIONS, fileId),
+      {
+        name: 'remove file record',
+        run: async () => {
+          const { error: deleteError } = await supabase
+            .from(TABLES.FILES)
+            .delete()
+            .eq('id', fileId);
+          
+          if (deleteError) throw deleteError;
+        }
+      }
+    ]);
     
-    // Update user's storage quota
+    // Update user's storage quota, which counts every version
     try {
-      await supabase.rpc('update_user_storage', { 
-        user_id: fileData.user_id, 
-        bytes_added: -fileData.file_size // negative to subtract
-      });
+      await updateStorageQuota(fileData.user_id, -getStoredSize(fileData, versions));
     } catch (quotaError) {
       console.error('Error updating storage quota:', quotaError);
       // Continue anyway as this is not critical
     }
     
-    // Log deletion in audit log
-    try {
-      await supabase
-        .from(TABLES.AUDIT_LOGS)
-        .insert([{
-          user_id: user.id,
-          file_id: fileId,
-          action: 'delete',
-          details: { 
-            fileName: fileData.file_name,
-            fileSize: fileData.file_size
-          }
-        }]);
-    } catch (auditError) {
-      console.error('Error logging file deletion:', auditError);
-      // Continue anyway as this is not critical
+    // Remove the content of every version
+    const unpinFailed = [];
+    for (const cid of getVersionCids(fileData, versions)) {
+      // Mark for deletion in IPFS/Filecoin 
+      await deleteFromFilecoin(cid);
+      
+      // Remove remote pins; pins that could not be removed stay recorded for a retry
+      try {
+        unpinFailed.push(...await unpinContent(cid));
+      } catch (pinError) {
+        console.error('Error removing remote pins:', pinError);
+      }
     }
     
-    // Delete from database
-    const { error: deleteError } = await supabase
-      .from(TABLES.FILES)
-      .delete()
-      .eq('id', fileId);
+    // Remove the file from the chain registry
+    await recordOnChain(user.id, 'deregisterFile', fileId);
     
-    if (deleteError) throw deleteError;
+    // Log deletion in audit log
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'delete',
+      details: {
+        fileName: fileData.file_name,
+        fileSize: fileData.file_size,
+        ...(unpinFailed.length ? { unpinFailed } : {})
+      }
+    });
     
     return true;
   } catch (error) {
@@ -332,17 +949,15 @@ export const fetchSharedFiles = async () => {
         await supabase.rpc('increment_view_counts', { file_ids: allFileIds });
       }
       
-      // Log audit for viewing files
-      await supabase
-        .from(TABLES.AUDIT_LOGS)
-        .insert(
-          allFileIds.map(fileId => ({
-            user_id: user.id,
-            file_id: fileId,
-            action: 'view_listing',
-            details: { context: 'shared_files_list' }
-          }))
-        );
+      // Log audit for viewing files; ledger entries are chained one at a time
+      for (const fileId of allFileIds) {
+        await logAuditEvent({
+          userId: user.id,
+          fileId,
+          action: 'view_listing',
+          details: { context: 'shared_files_list' }
+        });
+      }
     } catch (viewError) {
       console.error('Error updating view counts:', viewError);
       // Continue anyway as this is not critical
@@ -510,14 +1125,12 @@ export const getFileDetails = async (fileId) => {
       .eq('id', fileId);
     
     // Log view in audit
-    await supabase
-      .from(TABLES.AUDIT_LOGS)
-      .insert([{
-        user_id: user.id,
-        file_id: fileId,
-        action: 'view_details',
-        details: { accessVia: fileData.accessVia }
-      }]);
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'view_details',
+      details: { accessVia: fileData.accessVia }
+    });
     
     return fileData;
   } catch (error) {
@@ -527,48 +1140,330 @@ export const getFileDetails = async (fileId) => {
 };
 
 /**
- * Remove a file share
- * @param {string} shareId - The ID of the share to remove
- * @returns {Promise<boolean>} - Success status
+ * Decrypt stored content and store it again encrypted under another key
+ * The content is streamed through files on disk a chunk at a time, so this
+ * works for files that don't fit in memory, and the new blob is a chunked
+ * envelope whatever format the old one was. The decrypted copy is deleted
+ * as soon as it has been encrypted again.
+ * @param {Object} content - ipfs_cid and encryption_iv of the content
+ * @param {string} oldKey - Key the content is encrypted under
+ * @param {string} newKey - Key to encrypt it under
+ * @param {Object} fileData - The file (file_name, replication_factor)
+ * @returns {Promise<Object>} - cid, iv, backends and contentHash of the new blob
  */
-export const removeFileShare = async (shareId) => {
+const reencryptContent = async (content, oldKey, newKey, fileData) => {
+  const baseUri = `${FileSystem.cacheDirectory}rotate_${content.ipfs_cid}`;
+  const encryptedUri = `${baseUri}_old`;
+  const plaintextUri = `${baseUri}_plain`;
+  const reencryptedUri = `${baseUri}_new`;
+  
   try {
-    // Get current user
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) throw new Error('User not authenticated');
-    
-    // Get the share details first to check permissions
-    const { data: shareData, error: shareError } = await supabase
-      .from(TABLES.FILE_SHARES)
-      .select('file_id, shared_by, shared_with')
-      .eq('id', shareId)
-      .single();
-    
-    if (shareError) throw shareError;
-    if (!shareData) throw new Error('Share not found');
+    await downloadToFileFromFilecoin(content.ipfs_cid, encryptedUri);
+    await decryptFile(encryptedUri, plaintextUri, oldKey, { iv: content.encryption_iv });
+    const { iv, contentHash } = await encryptFile(plaintextUri, reencryptedUri, newKey);
+    await FileSystem.deleteAsync(plaintextUri, { idempotent: true });
+    
+    const { cid, backends } = await uploadFileUriToFilecoin(
+      reencryptedUri,
+      fileData.file_name,
+      () => {},
+      fileData.replication_factor || 1
+    );
     
-    // Check if user has permission to remove this share
-    if (shareData.shared_by !== user.id) {
-      throw new Error('You do not have permission to remove this share');
+    return { cid, iv, backends, contentHash };
+  } finally {
+    for (const uri of [encryptedUri, plaintextUri, reencryptedUri]) {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
     }
-    
-    // Delete the share
-    const { error: deleteError } = await supabase
-      .from(TABLES.FILE_SHARES)
-      .delete()
-      .eq('id', shareId);
-    
+  }
+};
+
+/**
+ * Unpin content that no record refers to
+ * @param {Array<Object>} contents - cid and backends of each blob (see reencryptContent)
+ * @returns {Promise<void>}
+ */
+const unpinUnusedContent = async (contents) => {
+  const stillPinned = [];
+  for (const { cid, backends } of contents) {
+    if (!(await deleteFromFilecoin(cid, backends))) {
+      stillPinned.push(cid);
+    }
+  }
+  
+  if (stillPinned.length > 0) {
+    throw new Error(`Content ${stillPinned.join(', ')} is still pinned on some backends`);
+  }
+};
+
+/**
+ * Point a file's versions at other content
+ * @param {Array<Object>} versions - Version rows (id), with the ipfs_cid,
+ *   encryption_iv and content_hash to set
+ * @returns {Promise<void>}
+ */
+const updateVersionContent = async (versions) => {
+  for (const version of versions) {
+    const { error } = await supabase
+      .from(TABLES.FILE_VERSIONS)
+      .update({
+        ipfs_cid: version.ipfs_cid,
+        encryption_iv: version.encryption_iv,
+        content_hash: version.content_hash
+      })
+      .eq('id', version.id);
+    
+    if (error) throw error;
+  }
+};
+
+/**
+ * Re-encrypt a file under a fresh content key
+ * Earlier versions share the content key, so every version is re-encrypted.
+ * Storing the new blobs, wrapping the new key for the owner and every
+ * remaining recipient, and switching the versions and the file over form a
+ * saga: if a step fails, the old wrapped keys and rows are put back and the
+ * new blobs unpinned, so the file stays readable under its old key. Once the
+ * file is switched over, the old CIDs are unpinned.
+ * @param {string} fileId - The ID of the file
+ * @param {string} ownerId - The ID of the owner (the current user)
+ * @param {string} revokedUserId - The ID of the user losing access
+ * @returns {Promise<Object>} - The old and new CIDs, the new content hash and the remaining recipients
+ */
+const rotateFileKey = async (fileId, ownerId, revokedUserId) => {
+  const { data: fileData, error: fileError } = await supabase
+    .from(TABLES.FILES)
+    .select('id, user_id, file_name, ipfs_cid, encryption_iv, encryption_key, is_public, replication_factor')
+    .eq('id', fileId)
+    .single();
+  
+  if (fileError) throw fileError;
+  if (!fileData) throw new Error('File not found');
+  if (fileData.user_id !== ownerId) {
+    throw new Error('Only the file owner can rotate its key');
+  }
+  
+  const oldKey = await getFileKey(fileData, ownerId);
+  const newKey = await generateEncryptionKey();
+  const versions = await fetchVersionRows(fileId);
+  
+  // The owner and every remaining recipient get the new key
+  const { data: remainingShares, error: sharesError } = await supabase
+    .from(TABLES.FILE_SHARES)
+    .select('shared_with')
+    .eq('file_id', fileId)
+    .neq('shared_with', revokedUserId);
+  
+  if (sharesError) throw sharesError;
+  
+  const recipients = [...new Set((remainingShares || []).map(share => share.shared_with))];
+  
+  const { reencrypted } = await runSaga('Key rotation', [
+    {
+      name: 're-encrypt content',
+      run: async (context) => {
+        // Re-encrypt each stored blob once; restored versions share their content
+        context.reencrypted = new Map();
+        try {
+          for (const content of [fileData, ...versions]) {
+            if (!context.reencrypted.has(content.ipfs_cid)) {
+              context.reencrypted.set(
+                content.ipfs_cid,
+                await reencryptContent(content, oldKey, newKey, fileData)
+              );
+            }
+          }
+        } catch (reencryptError) {
+          // Blobs stored before the failure are unpinned here, as the step
+          // didn't complete
+          await unpinUnusedContent([...context.reencrypted.values()])
+            .catch((unpinError) => console.error('Error unpinning re-encrypted content:', unpinError));
+          throw reencryptError;
+        }
+      },
+      compensate: async (context) => {
+        await unpinUnusedContent([...context.reencrypted.values()]);
+      }
+    },
+    grantKeysStep('owner and recipients', fileId, () => [
+      { userId: ownerId, fileKey: newKey, publicKey: getUnlockedPublicKey() },
+      ...recipients.map(recipientId => ({ userId: recipientId, fileKey: newKey }))
+    ]),
+    versions.length > 0 && {
+      name: 'switch versions',
+      run: async (context) => {
+        try {
+          await updateVersionContent(versions.map((version) => {
+            const content = context.reencrypted.get(version.ipfs_cid);
+            return { id: version.id, ipfs_cid: content.cid, encryption_iv: content.iv, content_hash: content.contentHash };
+          }));
+        } catch (updateError) {
+          await updateVersionContent(versions)
+            .catch((restoreError) => console.error('Error restoring versions:', restoreError));
+          throw updateError;
+        }
+      },
+      compensate: async () => {
+        await updateVersionContent(versions);
+      }
+    },
+    {
+      name: 'switch file',
+      run: async (context) => {
+        const { cid, iv } = context.reencrypted.get(fileData.ipfs_cid);
+        const { error: updateError } = await supabase
+          .from(TABLES.FILES)
+          .update({
+            ipfs_cid: cid,
+            encryption_iv: iv,
+            encryption_key: fileData.is_public ? newKey : null,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', fileId);
+        
+        if (updateError) throw updateError;
+      },
+      compensate: async () => {
+        const { error: restoreError } = await supabase
+          .from(TABLES.FILES)
+          .update({
+            ipfs_cid: fileData.ipfs_cid,
+            encryption_iv: fileData.encryption_iv,
+            encryption_key: fileData.encryption_key
+          })
+          .eq('id', fileId);
+        
+        if (restoreError) throw restoreError;
+      }
+    },
+    {
+      // Share links wrap the old key and cannot be re-wrapped without their token
+      name: 'revoke share links',
+      run: async () => {
+        const { error: linksError } = await supabase
+          .from(TABLES.SHARE_LINKS)
+          .update({ revoked_at: new Date().toISOString() })
+          .eq('file_id', fileId)
+          .is('revoked_at', null);
+        
+        if (linksError) throw linksError;
+      }
+    }
+  ]);
+  
+  const { cid: newCid, backends, contentHash } = reencrypted.get(fileData.ipfs_cid);
+  
+  try {
+    await replaceReplicas(fileId, newCid, backends);
+  } catch (replicaError) {
+    console.error('Error recording replicas:', replicaError);
+    // Continue anyway as this is not critical
+  }
+  
+  // Pin the new blobs before letting go of the old ones
+  for (const content of reencrypted.values()) {
+    await pinFileContent(fileId, content.cid);
+  }
+  if (isDealsEnabled()) {
+    await proposeFileDeals(fileId, newCid);
+  }
+  
+  // The old blobs are encrypted under a key the ex-recipient may have kept
+  for (const oldCid of reencrypted.keys()) {
+    await deleteFromFilecoin(oldCid);
+    try {
+      await unpinContent(oldCid);
+    } catch (pinError) {
+      console.error('Error removing remote pins:', pinError);
+    }
+  }
+  
+  return { oldCid: fileData.ipfs_cid, newCid, contentHash, recipients };
+};
+
+/**
+ * Remove a file share
+ * @param {string} shareId - The ID of the share to remove
+ * @param {Object} options - Revocation options
+ * @param {boolean} options.rotateKey - Re-encrypt the file under a new key so the
+ *   ex-recipient's copy of the old key and CID become useless
+ * @returns {Promise<boolean>} - Success status
+ */
+export const removeFileShare = async (shareId, { rotateKey = false } = {}) => {
+  try {
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+    
+    // Get the share details first to check permissions
+    const { data: shareData, error: shareError } = await supabase
+      .from(TABLES.FILE_SHARES)
+      .select('file_id, shared_by, shared_with')
+      .eq('id', shareId)
+      .single();
+    
+    if (shareError) throw shareError;
+    if (!shareData) throw new Error('Share not found');
+    
+    // Check if user has permission to remove this share
+    if (shareData.shared_by !== user.id) {
+      throw new Error('You do not have permission to remove this share');
+    }
+    
+    // Rotate first, so a failed rotation leaves the share intact and can be retried
+    let rotation = null;
+    if (rotateKey) {
+      rotation = await rotateFileKey(shareData.file_id, user.id, shareData.shared_with);
+    }
+    
+    // Delete the share
+    const { error: deleteError } = await supabase
+      .from(TABLES.FILE_SHARES)
+      .delete()
+      .eq('id', shareId);
+    
     if (deleteError) throw deleteError;
     
+    // Remove the recipient's wrapped key
+    const { error: keyError } = await supabase
+      .from(TABLES.FILE_KEYS)
+      .delete()
+      .eq('file_id', shareData.file_id)
+      .eq('user_id', shareData.shared_with);
+    
+    if (keyError) throw keyError;
+    
+    // Mirror the revocation (and new content) to the chain registry
+    await recordOnChain(user.id, 'revokeAccess', shareData.file_id, shareData.shared_with);
+    if (rotation) {
+      await recordOnChain(user.id, 'updateContent', shareData.file_id, rotation.newCid, rotation.contentHash);
+    }
+    
     // Log the action
-    await supabase
-      .from(TABLES.AUDIT_LOGS)
-      .insert([{
-        user_id: user.id,
-        file_id: shareData.file_id,
-        action: 'unshare',
-        details: { shareId, sharedWith: shareData.shared_with }
-      }]);
+    await logAuditEvent({
+      userId: user.id,
+      fileId: shareData.file_id,
+      action: 'unshare',
+      details: { shareId, sharedWith: shareData.shared_with }
+    });
+    
+    if (rotation) {
+      // Record the rotation in audit log
+      await logAuditEvent({
+        userId: user.id,
+        fileId: shareData.file_id,
+        action: 'rotate_key',
+        details: {
+          reason: 'share_revoked',
+          shareId,
+          revokedUser: shareData.shared_with,
+          oldCid: rotation.oldCid,
+          newCid: rotation.newCid,
+          contentHash: rotation.contentHash,
+          recipientCount: rotation.recipients.length
+        }
+      });
+    }
     
     return true;
   } catch (error) {
@@ -716,20 +1611,18 @@ export const searchFiles = async ({
     allFiles.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
     
     // Log the search in audit
-    await supabase
-      .from(TABLES.AUDIT_LOGS)
-      .insert([{
-        user_id: user.id,
-        action: 'search',
-        details: { 
-          query, 
-          fileType, 
-          includePrivate,
-          includePublic,
-          includeShared,
-          resultCount: allFiles.length 
-        }
-      }]);
+    await logAuditEvent({
+      userId: user.id,
+      action: 'search',
+      details: {
+        query,
+        fileType,
+        includePrivate,
+        includePublic,
+        includeShared,
+        resultCount: allFiles.length
+      }
+    });
     
     return allFiles;
   } catch (error) {
@@ -805,7 +1698,7 @@ export const shareFile = async (fileId, sharedWithUserId, accessLevel = 'view',
     // Verify the file exists and user has permission to share it
     const { data: fileData, error: fileError } = await supabase
       .from(TABLES.FILES)
-      .select('user_id, file_name')
+      .select('id, user_id, file_name, ipfs_cid, encryption_key')
       .eq('id', fileId)
       .single();
     
@@ -831,35 +1724,69 @@ export const shareFile = async (fileId, sharedWithUserId, accessLevel = 'view',
     if (targetUserError) throw targetUserError;
     if (!targetUser) throw new Error('User to share with not found');
     
-    // Create the share record
-    const { data: shareData, error: shareError } = await supabase
-      .from(TABLES.FILE_SHARES)
-      .insert([{
-        file_id: fileId,
-        shared_by: user.id,
-        shared_with: sharedWithUserId,
-        access_level: accessLevel,
-        expires_at: expiresAt
-      }])
-      .select()
-      .single();
+    // The recipient needs a public key to receive the content key
+    const targetPublicKey = await getUserPublicKey(sharedWithUserId);
+    if (!targetPublicKey) {
+      throw new Error('User to share with has not set up encryption keys yet');
+    }
     
-    if (shareError) throw shareError;
+    // Unwrap our copy of the content key so it can be wrapped for the recipient
+    const fileKey = await getFileKey(fileData, user.id);
+    
+    // The share record only stays if the recipient gets the content key
+    const { share: shareData } = await runSaga('Share', [
+      {
+        name: 'create share',
+        run: async (context) => {
+          const { data, error: shareError } = await supabase
+            .from(TABLES.FILE_SHARES)
+            .insert([{
+              file_id: fileId,
+              shared_by: user.id,
+              shared_with: sharedWithUserId,
+              access_level: accessLevel,
+              expires_at: expiresAt
+            }])
+            .select()
+            .single();
+          
+          if (shareError) throw shareError;
+          context.share = data;
+        },
+        compensate: async (context) => {
+          const { error: deleteError } = await supabase
+            .from(TABLES.FILE_SHARES)
+            .delete()
+            .eq('id', context.share.id);
+          
+          if (deleteError) throw deleteError;
+        }
+      },
+      {
+        name: 'wrap recipient key',
+        run: async () => {
+          // Wrap the content key for the recipient
+          await grantFileKey(fileId, sharedWithUserId, fileKey, targetPublicKey);
+        }
+      }
+    ]);
+    
+    // Record the grant in the chain registry
+    await recordOnChain(user.id, 'grantAccess', fileId, sharedWithUserId);
     
     // Log the share action in audit log
-    await supabase
-      .from(TABLES.AUDIT_LOGS)
-      .insert([{
-        user_id: user.id,
-        file_id: fileId,
-        action: 'share',
-        details: { 
-          sharedWith: targetUser.username,
-          sharedWithId: sharedWithUserId,
-          accessLevel,
-          expiresAt
-        }
-      }]);
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'share',
+      details: {
+        sharedWith: targetUser.username,
+        sharedWithId: sharedWithUserId,
+        accessLevel,
+        expiresAt,
+        ipfsCid: fileData.ipfs_cid
+      }
+    });
     
     return shareData;
   } catch (error) {
@@ -867,3 +1794,731 @@ export const shareFile = async (fileId, sharedWithUserId, accessLevel = 'view',
     throw new Error(handleSupabaseError(error));
   }
 };
+
+/**
+ * Transfer ownership of a file to another user
+ * The content key is wrapped for the new owner, who takes over the file's
+ * shares, share links and storage quota. The previous owner's wrapped key
+ * is removed. If any of this fails, what was done is undone.
+ * @param {string} fileId - The ID of the file to transfer
+ * @param {string} newOwnerUsername - The username of the new owner
+ * @returns {Promise<Object>} - The updated file metadata
+ */
+export const transferFileOwnership = async (fileId, newOwnerUsername) => {
+  try {
+    const { data: fileData, error: fileError } = await supabase
+      .from(TABLES.FILES)
+      .select('id, user_id, file_name, file_size, ipfs_cid, encryption_key')
+      .eq('id', fileId)
+      .single();
+    
+    if (fileError) throw fileError;
+    if (!fileData) throw new Error('File not found');
+    
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+    
+    if (user.id !== fileData.user_id) {
+      throw new Error('Only the owner can transfer this file');
+    }
+    
+    // Look up both parties
+    const { data: currentOwner, error: ownerError } = await supabase
+      .from(TABLES.USERS)
+      .select('id, username')
+      .eq('id', user.id)
+      .single();
+    
+    if (ownerError) throw ownerError;
+    
+    const { data: newOwner, error: newOwnerError } = await supabase
+      .from(TABLES.USERS)
+      .select('id, username')
+      .eq('username', newOwnerUsername.trim())
+      .maybeSingle();
+    
+    if (newOwnerError) throw newOwnerError;
+    if (!newOwner) throw new Error(`No user named ${newOwnerUsername}`);
+    if (newOwner.id === user.id) throw new Error('You already own this file');
+    
+    // The new owner needs a public key to receive the content key
+    const newOwnerPublicKey = await getUserPublicKey(newOwner.id);
+    if (!newOwnerPublicKey) {
+      throw new Error('The new owner has not set up encryption keys yet');
+    }
+    
+    const fileKey = await getFileKey(fileData, user.id);
+    const storedSize = getStoredSize(fileData, await fetchVersionRows(fileId));
+    
+    // The writes run as a saga, so a failed transfer leaves the file with its
+    // previous owner. Ownership changes last but one, as the previous owner
+    // may not be allowed to change the other rows once it has.
+    const { file: updatedFile } = await runSaga('Transfer', [
+      // Hand over the content key before ownership changes
+      grantKeysStep('new owner', fileId, () => [
+        { userId: newOwner.id, fileKey, publicKey: newOwnerPublicKey }
+      ]),
+      // The new owner no longer needs a share of their own file
+      removeRowsStep('new owner\'s share', TABLES.FILE_SHARES, fileId, { shared_with: newOwner.id }),
+      // Existing shares and share links are now managed by the new owner
+      reassignRowsStep('shares', TABLES.FILE_SHARES, fileId, 'shared_by', newOwner.id),
+      reassignRowsStep('share links', TABLES.SHARE_LINKS, fileId, 'created_by', newOwner.id),
+      // Move the storage quota, which counts every version
+      {
+        name: 'charge new owner\'s quota',
+        run: async () => {
+          await updateStorageQuota(newOwner.id, storedSize);
+        },
+        compensate: async () => {
+          await updateStorageQuota(newOwner.id, -storedSize);
+        }
+      },
+      {
+        name: 'refund previous owner\'s quota',
+        run: async () => {
+          await updateStorageQuota(user.id, -storedSize);
+        },
+        compensate: async () => {
+          await updateStorageQuota(user.id, storedSize);
+        }
+      },
+      {
+        name: 'change owner',
+        run: async (context) => {
+          const { data, error: updateError } = await supabase
+            .from(TABLES.FILES)
+            .update({
+              user_id: newOwner.id,
+              updated_at: new Date().toISOString()
+            })
+            .eq('id', fileId)
+            .select()
+            .single();
+          
+          if (updateError) throw updateError;
+          context.file = data;
+        },
+        compensate: async () => {
+          const { error: revertError } = await supabase
+            .from(TABLES.FILES)
+            .update({ user_id: user.id })
+            .eq('id', fileId);
+          
+          if (revertError) throw revertError;
+        }
+      },
+      // Remove the previous owner's wrapped key
+      removeRowsStep('previous owner\'s key', TABLES.FILE_KEYS, fileId, { user_id: user.id })
+    ]);
+    
+    // Transfer the file in the chain registry
+    const chainTx = await recordOnChain(user.id, 'transferOwnership', fileId, newOwner.id);
+    
+    // Record the transfer, with both parties' identities, in the ledger
+    const [fromSigningKey, toSigningKey] = await Promise.all([
+      getUserSigningPublicKey(user.id),
+      getUserSigningPublicKey(newOwner.id)
+    ]);
+    
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'transfer',
+      details: {
+        from: { id: user.id, username: currentOwner.username, signingKey: fromSigningKey },
+        to: { id: newOwner.id, username: newOwner.username, signingKey: toSigningKey },
+        fileName: fileData.file_name,
+        fileSize: fileData.file_size,
+        ipfsCid: fileData.ipfs_cid,
+        chainTx
+      }
+    });
+    
+    return updatedFile;
+  } catch (error) {
+    console.error('File transfer error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Check a file against everything recorded about it
+ * Downloads the stored content, recomputes its CID and, after decryption, the
+ * plaintext SHA-256, and compares them with the metadata row, the signed
+ * ledger entries and (if configured) the chain registry.
+ * @param {string} fileId - The ID of the file to verify
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<Object>} - Report: { passed, checks: [{ label, status, detail }],
+ *   uploadedAt, uploader } where status is 'pass', 'fail' or 'skipped'
+ */
+export const verifyFileIntegrity = async (fileId, onProgress = () => {}) => {
+  const encryptedUri = `${FileSystem.cacheDirectory}verify_${fileId}`;
+  const plaintextUri = `${FileSystem.cacheDirectory}verify_${fileId}_plain`;
+  
+  try {
+    const { data: fileData, error } = await supabase
+      .from(TABLES.FILES)
+      .select('*')
+      .eq('id', fileId)
+      .single();
+    
+    if (error) throw error;
+    if (!fileData) throw new Error('File not found');
+    
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+    
+    const checks = [];
+    const check = (label, passed, detail = '') => {
+      checks.push({ label, status: passed ? 'pass' : 'fail', detail });
+    };
+    const skip = (label, detail) => {
+      checks.push({ label, status: 'skipped', detail });
+    };
+    
+    // Ledger: the upload entry, and any new versions or re-encryption since
+    const entries = await fetchFileLedgerEntries(fileId, ['upload', 'upload_version', 'restore_version', 'rotate_key']);
+    const uploadEntry = entries.find(entry => entry.action === 'upload') || null;
+    const latestCidEntry = [...entries].reverse().find(entry =>
+      entry.action === 'upload' ? entry.details?.ipfsCid : entry.details?.newCid
+    );
+    // Re-encryption keeps the plaintext of the version it re-encrypts
+    const contentEntry = [...entries].reverse().find(entry => entry.action !== 'rotate_key') || null;
+    onProgress(10);
+    
+    if (uploadEntry) {
+      check('Upload ledger entry is intact and signed', uploadEntry.valid, uploadEntry.problem || '');
+    } else {
+      check('Upload ledger entry exists', false, 'No upload was recorded for this file');
+    }
+    
+    // Download the stored content straight from the network to disk
+    await downloadToFileFromFilecoin(fileData.ipfs_cid, encryptedUri, (progress) => {
+      // Map progress from 10% to 70%
+      onProgress(10 + Math.floor(progress * 0.6));
+    }, true);
+    onProgress(70);
+    
+    check(
+      'Downloaded content matches its CID',
+      fileMatchesCid(encryptedUri, fileData.ipfs_cid),
+      fileData.ipfs_cid
+    );
+    
+    if (latestCidEntry) {
+      const ledgerCid = latestCidEntry.action === 'upload'
+        ? latestCidEntry.details.ipfsCid
+        : latestCidEntry.details.newCid;
+      check('CID matches the ledger', ledgerCid === fileData.ipfs_cid, ledgerCid);
+    } else {
+      skip('CID matches the ledger', 'No CID was recorded in the ledger');
+    }
+    
+    // Decrypt and hash the plaintext; tampered content fails authentication
+    const fileKey = await getFileKey(fileData, user.id);
+    let plaintextHash = null;
+    try {
+      await decryptFile(encryptedUri, plaintextUri, fileKey, { iv: fileData.encryption_iv });
+      plaintextHash = await hashFile(plaintextUri);
+      check('Content decrypts and authenticates', true);
+    } catch (decryptError) {
+      check('Content decrypts and authenticates', false, decryptError.message);
+    }
+    await FileSystem.deleteAsync(plaintextUri, { idempotent: true });
+    onProgress(90);
+    
+    if (!plaintextHash) {
+      skip('Plaintext hash', 'Content could not be decrypted');
+    } else {
+      if (fileData.plaintext_hash) {
+        check('Plaintext hash matches the file record', plaintextHash === fileData.plaintext_hash, plaintextHash);
+      } else {
+        skip('Plaintext hash matches the file record', 'Uploaded before hashes were recorded');
+      }
+      
+      if (contentEntry?.details?.plaintextHash) {
+        check('Plaintext hash matches the ledger', plaintextHash === contentEntry.details.plaintextHash);
+      } else {
+        skip('Plaintext hash matches the ledger', 'Uploaded before hashes were recorded');
+      }
+    }
+    
+    // Chain registry
+    try {
+      const record = await getFileRecordOnChain(fileId);
+      if (record) {
+        check('CID matches the chain registry', record.cid === fileData.ipfs_cid, record.cid);
+        check('Content hash matches the chain registry', record.contentHash === await hashFile(encryptedUri));
+      } else {
+        skip('Chain registry', 'No chain registry is configured');
+      }
+    } catch (chainError) {
+      check('File is in the chain registry', false, chainError.message);
+    }
+    
+    // Uploader as recorded in the ledger
+    const uploaderId = uploadEntry?.user_id || fileData.user_id;
+    const { data: uploader } = await supabase
+      .from(TABLES.USERS)
+      .select('username')
+      .eq('id', uploaderId)
+      .single();
+    
+    const passed = checks.every(item => item.status !== 'fail');
+    
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'verify_integrity',
+      details: { passed, ipfsCid: fileData.ipfs_cid }
+    });
+    
+    onProgress(100);
+    
+    return {
+      passed,
+      checks,
+      uploadedAt: uploadEntry ? new Date(uploadEntry.recorded_at).toISOString() : fileData.created_at,
+      uploader: uploader?.username || uploaderId
+    };
+  } catch (error) {
+    console.error('File verification error:', error);
+    throw new Error(`Failed to verify file: ${error.message}`);
+  } finally {
+    await FileSystem.deleteAsync(encryptedUri, { idempotent: true });
+    await FileSystem.deleteAsync(plaintextUri, { idempotent: true });
+  }
+};
+
+/**
+ * Get the recorded versions of a file, oldest first
+ * Files that never had a new version uploaded have none recorded.
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<Array<Object>>} - Version rows
+ */
+const fetchVersionRows = async (fileId) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILE_VERSIONS)
+    .select('*')
+    .eq('file_id', fileId)
+    .order('version', { ascending: true });
+  
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Get one recorded version of a file
+ * @param {string} fileId - The ID of the file
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} - Version row
+ */
+const fetchFileVersion = async (fileId, version) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILE_VERSIONS)
+    .select('*')
+    .eq('file_id', fileId)
+    .eq('version', version)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data) throw new Error(`Version ${version} not found`);
+  return data;
+};
+
+/**
+ * Get the CIDs of a file's content across its versions
+ * A restored version shares the content of the version it restores.
+ * @param {Object} fileData - The file row (ipfs_cid)
+ * @param {Array<Object>} versions - Version rows
+ * @returns {Array<string>} - Distinct CIDs
+ */
+const getVersionCids = (fileData, versions) => {
+  return [...new Set([fileData.ipfs_cid, ...versions.map(version => version.ipfs_cid)])];
+};
+
+/**
+ * Get the storage a file takes up across its versions, counting content
+ * shared by several versions once
+ * @param {Object} fileData - The file row (ipfs_cid, file_size)
+ * @param {Array<Object>} versions - Version rows
+ * @returns {number} - Size in bytes
+ */
+const getStoredSize = (fileData, versions) => {
+  const sizes = new Map([[fileData.ipfs_cid, fileData.file_size]]);
+  for (const version of versions) {
+    sizes.set(version.ipfs_cid, version.file_size);
+  }
+  return [...sizes.values()].reduce((total, size) => total + (size || 0), 0);
+};
+
+/**
+ * Get a file the current user owns
+ * @param {string} fileId - The ID of the file
+ * @param {string} action - What the owner is doing, for the error message
+ * @returns {Promise<Object>} - The file row and the current user
+ */
+const getOwnedFile = async (fileId, action) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User not authenticated');
+  
+  const { data: fileData, error } = await supabase
+    .from(TABLES.FILES)
+    .select('*')
+    .eq('id', fileId)
+    .single();
+  
+  if (error) throw error;
+  if (!fileData) throw new Error('File not found');
+  if (fileData.user_id !== user.id) {
+    throw new Error(`Only the owner can ${action}`);
+  }
+  
+  return { fileData, user };
+};
+
+/**
+ * Record a file's original content as version 1
+ * Done when the file gets its second version. The content hash and uploader
+ * come from the ledger entry that stored the content, if there is one.
+ * @param {Object} fileData - The file row
+ * @returns {Promise<void>}
+ */
+const recordFirstVersion = async (fileData) => {
+  const entries = await fetchFileLedgerEntries(fileData.id, ['upload', 'rotate_key']);
+  const uploadEntry = entries.find(entry => entry.action === 'upload');
+  const storedEntry = [...entries].reverse().find(entry =>
+    (entry.action === 'upload' ? entry.details?.ipfsCid : entry.details?.newCid) === fileData.ipfs_cid
+  );
+  
+  const { error } = await supabase
+    .from(TABLES.FILE_VERSIONS)
+    .insert([{
+      file_id: fileData.id,
+      version: 1,
+      ipfs_cid: fileData.ipfs_cid,
+      file_size: fileData.file_size,
+      file_type: fileData.file_type,
+      encryption_iv: fileData.encryption_iv,
+      plaintext_hash: fileData.plaintext_hash,
+      content_hash: storedEntry?.details?.contentHash || null,
+      uploaded_by: uploadEntry?.user_id || fileData.user_id,
+      created_at: fileData.created_at
+    }]);
+  
+  // Recorded already by an earlier attempt
+  if (error && error.code !== UNIQUE_VIOLATION) throw error;
+};
+
+/**
+ * Saga step that adds a version after the file's latest one and removes it
+ * when it is undone
+ * @param {Object} fileData - The file row
+ * @param {Function} buildVersion - Returns the version's content columns, given the context
+ * @returns {Object} - Saga step
+ */
+const recordVersionStep = (fileData, buildVersion) => ({
+  name: 'record version',
+  run: async (context) => {
+    const versions = await fetchVersionRows(fileData.id);
+    if (versions.length === 0) {
+      await recordFirstVersion(fileData);
+    }
+    const latest = versions.length > 0 ? versions[versions.length - 1].version : 1;
+    
+    const { data, error } = await supabase
+      .from(TABLES.FILE_VERSIONS)
+      .insert([{ ...buildVersion(context), file_id: fileData.id, version: latest + 1 }])
+      .select()
+      .single();
+    
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('Another version of this file was saved at the same time. Please try again.');
+    }
+    if (error) throw error;
+    context.version = data;
+  },
+  // Version 1 stays, as it only describes the file's original content
+  compensate: async (context) => {
+    const { error } = await supabase
+      .from(TABLES.FILE_VERSIONS)
+      .delete()
+      .eq('id', context.version.id);
+    
+    if (error) throw error;
+  }
+});
+
+/**
+ * Saga step that points a file at the content of the version just recorded
+ * @param {string} fileId - The ID of the file
+ * @returns {Object} - Saga step
+ */
+const switchFileStep = (fileId) => ({
+  name: 'switch file',
+  run: async (context) => {
+    const { version } = context;
+    const { data, error } = await supabase
+      .from(TABLES.FILES)
+      .update({
+        ipfs_cid: version.ipfs_cid,
+        file_size: version.file_size,
+        file_type: version.file_type,
+        encryption_iv: version.encryption_iv,
+        plaintext_hash: version.plaintext_hash,
+        missing_since: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', fileId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    context.file = data;
+  }
+});
+
+/**
+ * Pin a file's new current content and mirror it to the chain registry
+ * @param {Object} file - The updated file row
+ * @param {Object} version - The version that became current
+ * @returns {Promise<string|null>} - Chain transaction hash, or null if not recorded
+ */
+const adoptVersionContent = async (file, version) => {
+  // Ask the remote pinning services to keep a copy
+  await pinFileContent(file.id, file.ipfs_cid);
+  
+  // Propose Filecoin storage deals for the content
+  if (isDealsEnabled()) {
+    await proposeFileDeals(file.id, file.ipfs_cid);
+  }
+  
+  // Content recorded before hashes were kept can't be mirrored
+  if (!version.content_hash) return null;
+  return recordOnChain(file.user_id, 'updateContent', file.id, file.ipfs_cid, version.content_hash);
+};
+
+/**
+ * Get a file's version history, newest first
+ * The newest version is the file's current content. A file that never had
+ * a new version uploaded has only its original content as version 1.
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<Array<Object>>} - Versions (version, ipfs_cid, file_size, file_type,
+ *   plaintext_hash, uploaded_by, uploader, restored_from, created_at)
+ */
+export const getFileVersions = async (fileId) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.FILE_VERSIONS)
+      .select(`
+        *,
+        uploader:uploaded_by (username, full_name)
+      `)
+      .eq('file_id', fileId)
+      .order('version', { ascending: false });
+    
+    if (error) throw error;
+    if (data && data.length > 0) return data;
+    
+    const { data: fileData, error: fileError } = await supabase
+      .from(TABLES.FILES)
+      .select(`
+        id, ipfs_cid, file_size, file_type, plaintext_hash, user_id, created_at,
+        uploader:user_id (username, full_name)
+      `)
+      .eq('id', fileId)
+      .single();
+    
+    if (fileError) throw fileError;
+    
+    return [{
+      file_id: fileData.id,
+      version: 1,
+      ipfs_cid: fileData.ipfs_cid,
+      file_size: fileData.file_size,
+      file_type: fileData.file_type,
+      plaintext_hash: fileData.plaintext_hash,
+      uploaded_by: fileData.user_id,
+      uploader: fileData.uploader,
+      restored_from: null,
+      created_at: fileData.created_at
+    }];
+  } catch (error) {
+    console.error('Error getting file versions:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Upload new content for a file as its next version
+ * The file keeps its ID, name, shares and share links. The new content is
+ * encrypted under the file's existing content key, so everyone who can read
+ * the file can read the new version. Storing the content, recording the
+ * version, charging the storage quota and switching the file over form a
+ * saga, so a failed upload leaves the current version in place. Earlier
+ * versions stay stored and keep counting against the quota.
+ * @param {Object} options - Upload options
+ * @param {string} options.fileId - The ID of the file
+ * @param {string} options.fileUri - URI of the new content on disk
+ * @param {string} options.fileType - The MIME type of the new content
+ * @param {number} options.fileSize - The size of the new content in bytes
+ * @param {Function} options.onProgress - Progress callback function
+ * @returns {Promise<Object>} - The updated file metadata
+ */
+export const uploadFileVersion = async ({
+  fileId,
+  fileUri,
+  fileType,
+  fileSize,
+  onProgress = () => {}
+}) => {
+  const encryptedUri = `${FileSystem.cacheDirectory}version_${fileId}_${Date.now()}`;
+  
+  try {
+    const { fileData, user } = await getOwnedFile(fileId, 'upload a new version');
+    
+    const fileKey = await getFileKey(fileData, user.id);
+    onProgress(10);
+    
+    // Map encryption progress from 10% to 30%
+    const { iv, contentHash, plaintextHash } = await encryptFile(fileUri, encryptedUri, fileKey, {
+      onProgress: (progress) => onProgress(10 + Math.floor(progress * 0.2))
+    });
+    onProgress(30);
+    
+    const { backends, version, file } = await runSaga('Upload version', [
+      // Map upload progress from 30% to 80%
+      storeContentStep(() => uploadFileUriToFilecoin(
+        encryptedUri,
+        fileData.file_name,
+        (progress) => onProgress(30 + Math.floor(progress * 0.5)),
+        fileData.replication_factor || 1
+      )),
+      recordVersionStep(fileData, (context) => ({
+        ipfs_cid: context.cid,
+        file_size: fileSize,
+        file_type: fileType || fileData.file_type,
+        encryption_iv: iv,
+        plaintext_hash: plaintextHash,
+        content_hash: contentHash,
+        uploaded_by: user.id
+      })),
+      {
+        name: 'charge storage quota',
+        // A failed charge (including a rejected one, over quota) fails the upload
+        run: async () => {
+          await updateStorageQuota(user.id, fileSize);
+        },
+        // Refund the quota
+        compensate: async () => {
+          await updateStorageQuota(user.id, -fileSize);
+        }
+      },
+      switchFileStep(fileId)
+    ]);
+    onProgress(80);
+    
+    // Replicas track the current version only
+    try {
+      await replaceReplicas(fileId, file.ipfs_cid, backends);
+    } catch (replicaError) {
+      console.error('Error recording replicas:', replicaError);
+      // Continue anyway as this is not critical
+    }
+    
+    const chainTx = await adoptVersionContent(file, version);
+    
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'upload_version',
+      details: {
+        version: version.version,
+        fileSize,
+        fileType: version.file_type,
+        oldCid: fileData.ipfs_cid,
+        newCid: file.ipfs_cid,
+        contentHash,
+        plaintextHash,
+        replicas: backends,
+        chainTx
+      }
+    });
+    
+    onProgress(100);
+    
+    return file;
+  } catch (error) {
+    console.error('File version upload error:', error);
+    throw new Error(handleSupabaseError(error));
+  } finally {
+    await FileSystem.deleteAsync(encryptedUri, { idempotent: true });
+  }
+};
+
+/**
+ * Make an earlier version of a file its current content again
+ * Restoring adds a new version with the earlier version's content, so the
+ * history is kept. The content is stored already, so nothing is uploaded
+ * and the storage quota doesn't change.
+ * @param {string} fileId - The ID of the file
+ * @param {number} versionNumber - The version to restore
+ * @returns {Promise<Object>} - The updated file metadata
+ */
+export const restoreFileVersion = async (fileId, versionNumber) => {
+  try {
+    const { fileData, user } = await getOwnedFile(fileId, 'restore a version');
+    
+    const source = await fetchFileVersion(fileId, versionNumber);
+    if (source.ipfs_cid === fileData.ipfs_cid) {
+      throw new Error('This version is already the current one');
+    }
+    
+    const { version, file } = await runSaga('Restore version', [
+      recordVersionStep(fileData, () => ({
+        ipfs_cid: source.ipfs_cid,
+        file_size: source.file_size,
+        file_type: source.file_type,
+        encryption_iv: source.encryption_iv,
+        plaintext_hash: source.plaintext_hash,
+        content_hash: source.content_hash,
+        uploaded_by: user.id,
+        restored_from: source.version
+      })),
+      switchFileStep(fileId)
+    ]);
+    
+    // Only the current content's replicas are recorded, so look for the
+    // restored content on the backends and copy it to more if needed
+    try {
+      await replaceReplicas(fileId, file.ipfs_cid, await findReplicas(file.ipfs_cid));
+      await repairFileReplicas(file);
+    } catch (replicaError) {
+      console.error('Error repairing replicas:', replicaError);
+      // Continue anyway as this is not critical
+    }
+    
+    const chainTx = await adoptVersionContent(file, version);
+    
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'restore_version',
+      details: {
+        version: version.version,
+        restoredFrom: source.version,
+        oldCid: fileData.ipfs_cid,
+        newCid: file.ipfs_cid,
+        plaintextHash: source.plaintext_hash,
+        chainTx
+      }
+    });
+    
+    return file;
+  } catch (error) {
+    console.error('File version restore error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
@@ -0,0 +1,494 @@
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Multiple IPFS gateways for better reliability (fallback mechanism)
+export const IPFS_GATEWAYS = [
+  process.env.EXPO_PUBLIC_IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs',
+  'https://gateway.pinata.cloud/ipfs',
+  'https://cloudflare-ipfs.com/ipfs',
+  'https://ipfs.fleek.co/ipfs',
+  'https://dweb.link/ipfs'
+];
+
+// Default primary gateway
+const IPFS_GATEWAY_URL = IPFS_GATEWAYS[0];
+
+// AsyncStorage keys for gateway selection
+const ASYNC_STORAGE_KEYS = {
+  GATEWAY_STATS: 'ipfs_gateway_stats',
+  GATEWAY_SETTINGS: 'ipfs_gateway_settings'
+};
+
+// Gateways are scored from what downloads actually saw: a moving average of
+// the time to first byte and of the share of requests that failed. Each new
+// observation counts this much.
+const STATS_WEIGHT = 0.3;
+
+// Assumed latency of a gateway that hasn't been used yet, so it gets tried
+// ahead of gateways known to be slow or failing
+const UNKNOWN_LATENCY = 1500; // ms
+
+// Latencies kept per gateway for percentiles, and failures kept for display
+const LATENCY_SAMPLES = 50;
+const RECENT_FAILURES = 5;
+
+// After this many failures in a row a gateway's circuit opens and it is left
+// out of downloads for a cooldown. Once the cooldown is over it gets one more
+// chance (half-open): success closes the circuit, failure opens it again for
+// twice as long.
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN = 60 * 1000; // 1 minute
+const MAX_CIRCUIT_COOLDOWN = 30 * 60 * 1000; // 30 minutes
+
+// Backup requests start after the leading gateway has had this many times its
+// usual latency to answer, within these bounds
+const HEDGE_LATENCY_FACTOR = 2;
+const MIN_HEDGE_DELAY = 300; // ms
+const MAX_HEDGE_DELAY = 2000; // ms
+
+// Statistics are kept in memory and written back at most this often
+const STATS_SAVE_INTERVAL = 5000; // 5 seconds
+
+let gatewayStats = null;
+let gatewaySettings = null;
+let statsSaveTimer = null;
+
+/**
+ * Load the gateway statistics
+ * @returns {Promise<Object>} - Statistics by gateway URL (see recordGatewayResult)
+ */
+const loadGatewayStats = async () => {
+  if (!gatewayStats) {
+    try {
+      gatewayStats = JSON.parse(await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.GATEWAY_STATS) || '{}');
+    } catch (error) {
+      console.error('Error loading gateway statistics:', error);
+      gatewayStats = {};
+    }
+  }
+  return gatewayStats;
+};
+
+const scheduleStatsSave = () => {
+  if (statsSaveTimer) return;
+  statsSaveTimer = setTimeout(async () => {
+    statsSaveTimer = null;
+    try {
+      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.GATEWAY_STATS, JSON.stringify(gatewayStats));
+    } catch (error) {
+      console.error('Error saving gateway statistics:', error);
+    }
+  }, STATS_SAVE_INTERVAL);
+};
+
+/**
+ * Load the user's gateway settings
+ * @returns {Promise<{custom: Array<string>, pinned: Array<string>}>} - Added and pinned gateways
+ */
+const loadGatewaySettings = async () => {
+  if (!gatewaySettings) {
+    try {
+      const saved = JSON.parse(await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.GATEWAY_SETTINGS) || '{}');
+      gatewaySettings = { custom: saved.custom || [], pinned: saved.pinned || [] };
+    } catch (error) {
+      console.error('Error loading gateway settings:', error);
+      gatewaySettings = { custom: [], pinned: [] };
+    }
+  }
+  return gatewaySettings;
+};
+
+const saveGatewaySettings = async (settings) => {
+  gatewaySettings = settings;
+  await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.GATEWAY_SETTINGS, JSON.stringify(settings));
+};
+
+/**
+ * State of a gateway's circuit breaker
+ * @param {Object} stats - Gateway statistics
+ * @param {number} now - Current time in ms
+ * @returns {string} - 'closed', 'open' or 'half-open'
+ */
+const getCircuitState = (stats, now = Date.now()) => {
+  if (!stats?.circuit) return 'closed';
+  return now < stats.circuit.openUntil ? 'open' : 'half-open';
+};
+
+/**
+ * Record how a request to a gateway went
+ * Statistics per gateway: latency and errorRate (moving averages), requests,
+ * successes, latencies (recent, for percentiles), recentFailures,
+ * consecutiveFailures and circuit ({openedAt, openUntil, cooldown} while open).
+ * @param {string} gateway - Gateway URL
+ * @param {Object} result - Outcome of the request
+ * @param {boolean} result.ok - Whether the gateway delivered (verified) content
+ * @param {number} result.latency - Time to first byte in ms, for successful requests
+ * @param {string} result.error - What went wrong, for failed requests
+ * @returns {Promise<void>}
+ */
+export const recordGatewayResult = async (gateway, { ok, latency = null, error = null }) => {
+  const stats = await loadGatewayStats();
+  const previous = stats[gateway] || {};
+  const average = (old, value) => (old == null ? value : old + STATS_WEIGHT * (value - old));
+  const now = Date.now();
+
+  const next = {
+    latency: ok && latency != null ? Math.round(average(previous.latency, latency)) : previous.latency ?? null,
+    errorRate: average(previous.errorRate, ok ? 0 : 1),
+    requests: (previous.requests || 0) + 1,
+    successes: (previous.successes || 0) + (ok ? 1 : 0),
+    latencies: previous.latencies || [],
+    recentFailures: previous.recentFailures || [],
+    consecutiveFailures: ok ? 0 : (previous.consecutiveFailures || 0) + 1,
+    circuit: ok ? null : previous.circuit || null,
+    updatedAt: now
+  };
+
+  if (ok && latency != null) {
+    next.latencies = [...next.latencies, latency].slice(-LATENCY_SAMPLES);
+  }
+
+  if (!ok) {
+    next.recentFailures = [...next.recentFailures, { at: now, error }].slice(-RECENT_FAILURES);
+
+    const circuitState = getCircuitState(previous, now);
+    if (circuitState === 'half-open') {
+      // The trial request failed, so back off for longer
+      const cooldown = Math.min(previous.circuit.cooldown * 2, MAX_CIRCUIT_COOLDOWN);
+      next.circuit = { openedAt: now, openUntil: now + cooldown, cooldown };
+      console.warn(`Circuit for gateway ${gateway} reopened for ${cooldown / 1000}s`);
+    } else if (circuitState === 'closed' && next.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      next.circuit = { openedAt: now, openUntil: now + CIRCUIT_COOLDOWN, cooldown: CIRCUIT_COOLDOWN };
+      console.warn(`Circuit for gateway ${gateway} opened after ${next.consecutiveFailures} failures`);
+    }
+  }
+
+  stats[gateway] = next;
+  scheduleStatsSave();
+};
+
+/**
+ * Get the statistics recorded for the gateways
+ * @returns {Promise<Object>} - Statistics by gateway URL
+ */
+export const getGatewayStats = async () => {
+  return { ...(await loadGatewayStats()) };
+};
+
+/**
+ * Expected cost of asking a gateway: its latency, inflated by how often it fails
+ * @param {Object} stats - Gateway statistics
+ * @returns {number} - Score, lower is better
+ */
+const scoreGateway = (stats) => {
+  const latency = stats?.latency ?? UNKNOWN_LATENCY;
+  const errorRate = Math.min(stats?.errorRate ?? 0, 0.95);
+  return latency / (1 - errorRate);
+};
+
+/**
+ * Latency percentile from recent samples (nearest rank)
+ * @param {Array<number>} latencies - Latency samples in ms
+ * @param {number} percentile - Percentile, 0-100
+ * @returns {number|null} - Latency in ms, or null without samples
+ */
+const latencyPercentile = (latencies, percentile) => {
+  if (!latencies?.length) return null;
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+};
+
+/**
+ * Get every gateway downloads can use: the built-in ones and the user's
+ * @returns {Promise<Array<string>>} - Gateway URLs
+ */
+export const getGateways = async () => {
+  const { custom } = await loadGatewaySettings();
+  return [...IPFS_GATEWAYS, ...custom.filter(gateway => !IPFS_GATEWAYS.includes(gateway))];
+};
+
+/**
+ * Get the gateways, best first
+ * Pinned gateways come first, in the order they were pinned, then the rest by
+ * score. Gateways whose circuit is open are left out, unless that would leave
+ * nothing to try.
+ * @returns {Promise<Array<string>>} - Gateway URLs
+ */
+export const rankGateways = async () => {
+  const stats = await loadGatewayStats();
+  const { pinned } = await loadGatewaySettings();
+  const gateways = await getGateways();
+  const now = Date.now();
+
+  const pinRank = (gateway) => {
+    const index = pinned.indexOf(gateway);
+    return index === -1 ? pinned.length : index;
+  };
+  // Sorting is stable, so the configured order breaks ties
+  const ranked = gateways.sort((a, b) =>
+    pinRank(a) - pinRank(b) || scoreGateway(stats[a]) - scoreGateway(stats[b])
+  );
+
+  const available = ranked.filter(gateway => getCircuitState(stats[gateway], now) !== 'open');
+  if (available.length > 0) return available;
+
+  // Everything is failing; try whichever circuit closes first
+  return ranked.sort((a, b) => stats[a].circuit.openUntil - stats[b].circuit.openUntil);
+};
+
+/**
+ * Get the health of every gateway, for display
+ * @returns {Promise<Array<Object>>} - In ranked order: gateway, custom, pinned,
+ *   requests, successRate, p50, p90 (ms), recentFailures, circuit ('closed', 'open'
+ *   or 'half-open') and circuitOpenUntil
+ */
+export const getGatewayHealth = async () => {
+  const stats = await loadGatewayStats();
+  const { custom, pinned } = await loadGatewaySettings();
+  const ranked = await rankGateways();
+  const gateways = [...ranked, ...(await getGateways()).filter(gateway => !ranked.includes(gateway))];
+
+  return gateways.map((gateway) => {
+    const health = stats[gateway] || {};
+    return {
+      gateway,
+      custom: custom.includes(gateway),
+      pinned: pinned.includes(gateway),
+      requests: health.requests || 0,
+      successRate: health.requests ? health.successes / health.requests : null,
+      p50: latencyPercentile(health.latencies, 50),
+      p90: latencyPercentile(health.latencies, 90),
+      recentFailures: health.recentFailures || [],
+      circuit: getCircuitState(health),
+      circuitOpenUntil: health.circuit?.openUntil ?? null
+    };
+  });
+};
+
+/**
+ * Add a gateway of the user's own
+ * A URL without a path gets /ipfs, as path-style gateways serve content at
+ * <gateway>/ipfs/<cid>.
+ * @param {string} url - Gateway URL
+ * @returns {Promise<string>} - The gateway URL as stored
+ */
+export const addCustomGateway = async (url) => {
+  // React Native's URL class can't take URLs apart, so this is done by hand
+  const match = url.trim().match(/^(https?):\/\/([^/?#\s]+)([^?#\s]*)$/i);
+  if (!match) {
+    throw new Error('Enter a gateway URL such as https://gateway.example.com/ipfs');
+  }
+
+  const [, protocol, host, path] = match;
+  const gateway = `${protocol.toLowerCase()}://${host.toLowerCase()}${path.replace(/\/+$/, '') || '/ipfs'}`;
+
+  const settings = await loadGatewaySettings();
+  if ((await getGateways()).includes(gateway)) {
+    throw new Error('This gateway is already in the list');
+  }
+
+  await saveGatewaySettings({ ...settings, custom: [...settings.custom, gateway] });
+  return gateway;
+};
+
+/**
+ * Remove a gateway the user added
+ * @param {string} gateway - Gateway URL
+ * @returns {Promise<void>}
+ */
+export const removeCustomGateway = async (gateway) => {
+  const settings = await loadGatewaySettings();
+  if (!settings.custom.includes(gateway)) {
+    throw new Error('Only gateways you added can be removed');
+  }
+
+  await saveGatewaySettings({
+    custom: settings.custom.filter(custom => custom !== gateway),
+    pinned: settings.pinned.filter(pinned => pinned !== gateway)
+  });
+
+  const stats = await loadGatewayStats();
+  delete stats[gateway];
+  scheduleStatsSave();
+};
+
+/**
+ * Pin or unpin a gateway; pinned gateways are always asked first
+ * @param {string} gateway - Gateway URL
+ * @param {boolean} pinned - Whether to pin it
+ * @returns {Promise<void>}
+ */
+export const setGatewayPinned = async (gateway, pinned) => {
+  const settings = await loadGatewaySettings();
+  const others = settings.pinned.filter(pinnedGateway => pinnedGateway !== gateway);
+  await saveGatewaySettings({ ...settings, pinned: pinned ? [...others, gateway] : others });
+};
+
+/**
+ * Forget a gateway's statistics, closing its circuit
+ * @param {string} gateway - Gateway URL
+ * @returns {Promise<void>}
+ */
+export const resetGatewayHealth = async (gateway) => {
+  const stats = await loadGatewayStats();
+  delete stats[gateway];
+  scheduleStatsSave();
+};
+
+/**
+ * How long to give the leading gateway before starting a backup request
+ * @param {string} gateway - Gateway URL
+ * @returns {Promise<number>} - Delay in ms
+ */
+export const getHedgeDelay = async (gateway) => {
+  const stats = await loadGatewayStats();
+  const latency = stats[gateway]?.latency ?? UNKNOWN_LATENCY;
+  return Math.min(Math.max(latency * HEDGE_LATENCY_FACTOR, MIN_HEDGE_DELAY), MAX_HEDGE_DELAY);
+};
+
+/**
+ * Run a request against several gateways, hedging against slow or dead ones
+ * The best gateway is asked first; each time the hedge delay passes without
+ * an answer, or a request fails, the next gateway is asked as well. The
+ * first successful result wins and the other requests are cancelled. Every
+ * outcome feeds the gateway statistics.
+ * @param {Function} attempt - Called with (gateway, index, onFirstByte); returns
+ *   {result: Promise, cancel: Function}. The attempt calls onFirstByte() when data
+ *   starts arriving and rejects if the content is bad.
+ * @param {Array<string>} gateways - Gateways to use, best first (ranked if omitted)
+ * @returns {Promise<{gateway: string, value: any}>} - Winning gateway and its result
+ */
+export const raceGateways = async (attempt, gateways = null) => {
+  const order = gateways || await rankGateways();
+  if (order.length === 0) throw new Error('No IPFS gateways configured');
+  const hedgeDelay = await getHedgeDelay(order[0]);
+
+  return new Promise((resolve, reject) => {
+    const running = new Map(); // index -> cancel
+    let next = 0;
+    let failed = 0;
+    let settled = false;
+    let hedgeTimer = null;
+    let lastError = null;
+
+    const finish = () => {
+      settled = true;
+      clearTimeout(hedgeTimer);
+      for (const cancel of running.values()) {
+        try {
+          cancel();
+        } catch (error) {
+          console.warn('Error cancelling gateway request:', error.message);
+        }
+      }
+      running.clear();
+    };
+
+    const launch = () => {
+      clearTimeout(hedgeTimer);
+      if (settled || next >= order.length) return;
+
+      const index = next++;
+      const gateway = order[index];
+      const startedAt = Date.now();
+      let latency = null;
+
+      console.log(`Requesting from gateway: ${gateway}`);
+      const { result, cancel } = attempt(gateway, index, () => {
+        if (latency == null) latency = Date.now() - startedAt;
+      });
+      running.set(index, cancel);
+
+      result.then(
+        (value) => {
+          running.delete(index);
+          if (settled) return;
+          recordGatewayResult(gateway, { ok: true, latency: latency ?? Date.now() - startedAt });
+          finish();
+          resolve({ gateway, value });
+        },
+        (error) => {
+          running.delete(index);
+          if (settled) return;
+          console.warn(`Gateway ${gateway} failed:`, error.message);
+          recordGatewayResult(gateway, { ok: false, error: error.message });
+          lastError = error;
+          failed++;
+
+          if (failed === order.length) {
+            finish();
+            reject(lastError);
+          } else {
+            // No point waiting out the delay once a request has failed
+            launch();
+          }
+        }
+      );
+
+      if (next < order.length) {
+        hedgeTimer = setTimeout(launch, hedgeDelay);
+      }
+    };
+
+    launch();
+  });
+};
+
+/**
+ * Measure the gateways with a small request to each and record the results
+ * Downloads keep the statistics current, so this is only needed to seed them.
+ * @returns {Promise<string>} - The URL of the best gateway
+ */
+export const findFastestGateway = async () => {
+  try {
+    console.log('Testing IPFS gateway speeds...');
+
+    // Use a well-known IPFS CID for testing (the IPFS logo)
+    const testCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+    // Test each gateway in parallel
+    await Promise.all((await getGateways()).map(async (gateway) => {
+      const startTime = Date.now();
+      try {
+        const response = await axios.get(`${gateway}/${testCid}/readme`, {
+          timeout: 5000,
+          // Just fetch the start, no need for the full content
+          headers: { 'Range': 'bytes=0-1000' }
+        });
+
+        const ok = response.status === 200 || response.status === 206;
+        await recordGatewayResult(gateway, { ok, latency: Date.now() - startTime });
+      } catch (error) {
+        console.warn(`Gateway ${gateway} failed speed test:`, error.message);
+        await recordGatewayResult(gateway, { ok: false, error: error.message });
+      }
+    }));
+
+    const [fastestGateway] = await rankGateways();
+    console.log(`Fastest gateway is ${fastestGateway}`);
+    return fastestGateway;
+  } catch (error) {
+    console.error('Error finding fastest gateway:', error);
+    return IPFS_GATEWAY_URL; // Fall back to default
+  }
+};
+
+/**
+ * Get the gateway with the best recorded performance
+ * @param {boolean} forceRefresh - Whether to measure the gateways first
+ * @returns {Promise<string>} - The URL of the preferred gateway
+ */
+export const getPreferredGateway = async (forceRefresh = false) => {
+  try {
+    if (forceRefresh) {
+      return await findFastestGateway();
+    }
+
+    const [preferredGateway] = await rankGateways();
+    return preferredGateway;
+  } catch (error) {
+    console.error('Error getting preferred gateway:', error);
+    return IPFS_GATEWAY_URL; // Fall back to default
+  }
+};
@@ -0,0 +1,564 @@
+import * as Crypto from 'expo-crypto';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { x25519, ed25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { supabase } from './supabaseService';
+import {
+  encryptData,
+  decryptData,
+  arrayBufferToBase64,
+  base64ToArrayBuffer
+} from './encryptionService';
+import { TABLES } from '../utils/constants';
+
+// X25519 key constants
+const KEY_LENGTH = 32; // bytes
+
+// Prefix of wrapped file keys, so the wrapping scheme can evolve
+const WRAP_SCHEME = 'x25519-hkdf-aesgcm';
+const WRAP_INFO = 'bfs-file-key-wrap-v1';
+
+// The Ed25519 signing key and the chain account key are derived from the
+// X25519 private key, so the one protected secret covers all of them
+const SIGNING_KEY_INFO = 'bfs-signing-key-v1';
+const CHAIN_KEY_INFO = 'bfs-chain-key-v1';
+
+// AsyncStorage keys for the on-device copy of the protected private key
+const ASYNC_STORAGE_KEYS = {
+  PRIVATE_KEY_PREFIX: 'user_private_key_',
+};
+
+// SecureStore name of the device key, a random key that never leaves this
+// device and encrypts what the app keeps on it (such as the download cache)
+const DEVICE_KEY_NAME = 'bfs_device_key';
+
+// The unlocked key pair only ever lives in memory
+let unlockedKeyPair = null;
+let deviceKeyPromise = null;
+const listeners = new Set();
+
+const notifyListeners = () => {
+  listeners.forEach((listener) => listener(unlockedKeyPair?.userId || null));
+};
+
+const toBytes = (base64) => new Uint8Array(base64ToArrayBuffer(base64));
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Build the in-memory key pair, including the derived signing key
+ * @param {string} userId - The ID of the user
+ * @param {Uint8Array} privateKey - X25519 private key
+ * @returns {Object} - The unlocked key pair
+ */
+const buildKeyPair = (userId, privateKey) => {
+  const signingKey = hkdf(sha256, privateKey, undefined, SIGNING_KEY_INFO, KEY_LENGTH);
+  return {
+    userId,
+    privateKey,
+    publicKey: arrayBufferToBase64(x25519.getPublicKey(privateKey)),
+    signingKey,
+    signingPublicKey: arrayBufferToBase64(ed25519.getPublicKey(signingKey)),
+    chainKey: hkdf(sha256, privateKey, undefined, CHAIN_KEY_INFO, KEY_LENGTH),
+  };
+};
+
+/**
+ * Subscribe to key pair lock/unlock changes
+ * @param {Function} listener - Called with the unlocked user ID, or null when locked
+ * @returns {Function} - Unsubscribe function
+ */
+export const onKeyPairChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Check whether the private key of a user is unlocked on this device
+ * @param {string} userId - The ID of the user
+ * @returns {boolean} - True if the key pair is unlocked
+ */
+export const isKeyPairUnlocked = (userId) => {
+  return !!unlockedKeyPair && unlockedKeyPair.userId === userId;
+};
+
+/**
+ * Get the public key of the unlocked key pair
+ * @returns {string} - Public key (base64 string)
+ */
+export const getUnlockedPublicKey = () => {
+  if (!unlockedKeyPair) {
+    throw new Error('Your encryption keys are locked. Please sign in again.');
+  }
+  return unlockedKeyPair.publicKey;
+};
+
+/**
+ * Get the signing public key of the unlocked key pair
+ * @returns {string} - Ed25519 public key (base64 string)
+ */
+export const getUnlockedSigningPublicKey = () => {
+  if (!unlockedKeyPair) {
+    throw new Error('Your encryption keys are locked. Please sign in again.');
+  }
+  return unlockedKeyPair.signingPublicKey;
+};
+
+/**
+ * Get the private key of the unlocked user's chain account
+ * @returns {{userId: string, privateKey: Uint8Array}} - Owner and secp256k1 private key
+ */
+export const getUnlockedChainKey = () => {
+  if (!unlockedKeyPair) {
+    throw new Error('Your encryption keys are locked. Please sign in again.');
+  }
+  return { userId: unlockedKeyPair.userId, privateKey: unlockedKeyPair.chainKey };
+};
+
+/**
+ * Sign a message with the unlocked signing key
+ * @param {string} message - The message to sign
+ * @returns {string} - Ed25519 signature (base64 string)
+ */
+export const signMessage = (message) => {
+  if (!unlockedKeyPair) {
+    throw new Error('Your encryption keys are locked. Please sign in again.');
+  }
+  return arrayBufferToBase64(ed25519.sign(textEncoder.encode(message), unlockedKeyPair.signingKey));
+};
+
+/**
+ * Verify a signature made with signMessage
+ * @param {string} message - The signed message
+ * @param {string} signature - Ed25519 signature (base64 string)
+ * @param {string} signingPublicKey - Ed25519 public key (base64 string)
+ * @returns {boolean} - True if the signature is valid
+ */
+export const verifySignature = (message, signature, signingPublicKey) => {
+  try {
+    return ed25519.verify(toBytes(signature), textEncoder.encode(message), toBytes(signingPublicKey));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Forget the unlocked private key (e.g. on sign-out)
+ */
+export const lockUserKeyPair = () => {
+  unlockedKeyPair = null;
+  notifyListeners();
+};
+
+/**
+ * Get the device key, creating it on first use
+ * @returns {Promise<string>} - The device key (hex string)
+ */
+export const getDeviceKey = async () => {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = (async () => {
+      let deviceKey = await SecureStore.getItemAsync(DEVICE_KEY_NAME);
+      if (!deviceKey) {
+        deviceKey = bytesToHex(await Crypto.getRandomBytesAsync(KEY_LENGTH));
+        await SecureStore.setItemAsync(DEVICE_KEY_NAME, deviceKey, {
+          keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY
+        });
+      }
+      return deviceKey;
+    })();
+    // Let the next call try again rather than remembering the failure
+    deviceKeyPromise.catch(() => {
+      deviceKeyPromise = null;
+    });
+  }
+  return deviceKeyPromise;
+};
+
+/**
+ * Delete the device key and the on-device copies of protected private keys
+ * Anything encrypted under the device key becomes unreadable. Private keys
+ * can still be unlocked from the copy in the users table.
+ * @returns {Promise<void>}
+ */
+export const forgetDeviceKeys = async () => {
+  deviceKeyPromise = null;
+  await SecureStore.deleteItemAsync(DEVICE_KEY_NAME);
+
+  const keys = (await AsyncStorage.getAllKeys())
+    .filter(key => key.startsWith(ASYNC_STORAGE_KEYS.PRIVATE_KEY_PREFIX));
+  if (keys.length > 0) {
+    await AsyncStorage.multiRemove(keys);
+  }
+};
+
+/**
+ * Encrypt a private key under a passphrase
+ * @param {Uint8Array} privateKey - X25519 private key
+ * @param {string} passphrase - Passphrase protecting the private key
+ * @returns {Promise<string>} - The encrypted private key
+ */
+const protectPrivateKey = async (privateKey, passphrase) => {
+  const { encryptedData } = await encryptData(
+    arrayBufferToBase64(privateKey),
+    passphrase,
+    { kdf: 'pbkdf2' }
+  );
+  return encryptedData;
+};
+
+/**
+ * Find out whether a user has a key pair and how it is protected
+ * Key pairs created before the encryption passphrase was separate from the
+ * account password have key_passphrase_set unset; the server has seen the
+ * password protecting them, so they need a new passphrase.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<{exists: boolean, passphraseSet: boolean}>} - Key pair status
+ */
+export const getKeyPairStatus = async (userId) => {
+  const onDevice = !!(await AsyncStorage.getItem(`${ASYNC_STORAGE_KEYS.PRIVATE_KEY_PREFIX}${userId}`));
+
+  const { data, error } = await supabase
+    .from(TABLES.USERS)
+    .select('encrypted_private_key, key_passphrase_set')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    // Offline: go by the device copy and ask again next time
+    if (onDevice) return { exists: true, passphraseSet: true };
+    throw new Error(`Failed to load encryption keys: ${error.message}`);
+  }
+
+  return {
+    exists: onDevice || !!data?.encrypted_private_key,
+    passphraseSet: !!data?.key_passphrase_set
+  };
+};
+
+/**
+ * Generate a new key pair for a user and publish the public key
+ * The private key is encrypted under a key derived from the passphrase before
+ * it leaves memory, both on the device and in the users table (so the user
+ * can sign in from another device). The passphrase is the user's own and is
+ * never sent to the server, unlike the account password.
+ * @param {string} userId - The ID of the user
+ * @param {string} passphrase - Passphrase protecting the private key
+ * @returns {Promise<string>} - The public key (base64 string)
+ */
+export const createUserKeyPair = async (userId, passphrase) => {
+  try {
+    const privateKey = await Crypto.getRandomBytesAsync(KEY_LENGTH);
+    const keyPair = buildKeyPair(userId, privateKey);
+
+    const encryptedPrivateKey = await protectPrivateKey(privateKey, passphrase);
+
+    const { error } = await supabase
+      .from(TABLES.USERS)
+      .update({
+        public_key: keyPair.publicKey,
+        signing_public_key: keyPair.signingPublicKey,
+        encrypted_private_key: encryptedPrivateKey,
+        key_passphrase_set: true
+      })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    await AsyncStorage.setItem(
+      `${ASYNC_STORAGE_KEYS.PRIVATE_KEY_PREFIX}${userId}`,
+      encryptedPrivateKey
+    );
+
+    unlockedKeyPair = keyPair;
+    notifyListeners();
+
+    return keyPair.publicKey;
+  } catch (error) {
+    console.error('Error creating key pair:', error);
+    throw new Error(`Failed to create encryption keys: ${error.message}`);
+  }
+};
+
+/**
+ * Unlock the private key of a user with their passphrase
+ * Creates a key pair on first use.
+ * @param {string} userId - The ID of the user
+ * @param {string} passphrase - Passphrase protecting the private key
+ * @returns {Promise<string>} - The public key (base64 string)
+ */
+export const unlockUserKeyPair = async (userId, passphrase) => {
+  const storageKey = `${ASYNC_STORAGE_KEYS.PRIVATE_KEY_PREFIX}${userId}`;
+
+  let encryptedPrivateKey = await AsyncStorage.getItem(storageKey);
+  let publicKey = null;
+  let signingPublicKey = null;
+
+  const { data: userData, error } = await supabase
+    .from(TABLES.USERS)
+    .select('public_key, signing_public_key, encrypted_private_key')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    // Without the server copy we cannot tell a new user from a lost key,
+    // so only continue if the device already holds the key
+    if (!encryptedPrivateKey) {
+      throw new Error(`Failed to load encryption keys: ${error.message}`);
+    }
+  } else {
+    publicKey = userData?.public_key || null;
+    signingPublicKey = userData?.signing_public_key || null;
+    encryptedPrivateKey = encryptedPrivateKey || userData?.encrypted_private_key;
+  }
+
+  if (!encryptedPrivateKey) {
+    return createUserKeyPair(userId, passphrase);
+  }
+
+  let privateKey;
+  try {
+    privateKey = toBytes(await decryptData(encryptedPrivateKey, null, passphrase));
+  } catch (decryptError) {
+    throw new Error('Could not unlock your encryption keys. Check your passphrase.');
+  }
+
+  const keyPair = buildKeyPair(userId, privateKey);
+  if (publicKey && publicKey !== keyPair.publicKey) {
+    throw new Error('Stored private key does not match your published public key');
+  }
+
+  // Key pairs created before ledger signing have no published signing key yet
+  if (!error && signingPublicKey !== keyPair.signingPublicKey) {
+    const { error: publishError } = await supabase
+      .from(TABLES.USERS)
+      .update({ signing_public_key: keyPair.signingPublicKey })
+      .eq('id', userId);
+
+    if (publishError) {
+      console.warn('Error publishing signing key:', publishError);
+    }
+  }
+
+  await AsyncStorage.setItem(storageKey, encryptedPrivateKey);
+
+  unlockedKeyPair = keyPair;
+  notifyListeners();
+
+  return keyPair.publicKey;
+};
+
+/**
+ * Protect a user's private key with a new passphrase
+ * Replaces the copies on the device and in the users table. Copies protected
+ * by the old passphrase that were made before (e.g. in backups) can still be
+ * opened with it.
+ * @param {string} userId - The ID of the user
+ * @param {string} currentPassphrase - The passphrase protecting the key now
+ * @param {string} newPassphrase - The new passphrase
+ * @returns {Promise<void>}
+ */
+export const changeKeyPassphrase = async (userId, currentPassphrase, newPassphrase) => {
+  const { data: userData, error: fetchError } = await supabase
+    .from(TABLES.USERS)
+    .select('encrypted_private_key')
+    .eq('id', userId)
+    .single();
+
+  if (fetchError) {
+    throw new Error(`Failed to load encryption keys: ${fetchError.message}`);
+  }
+  if (!userData?.encrypted_private_key) {
+    throw new Error('You have no encryption keys yet');
+  }
+
+  let privateKey;
+  try {
+    privateKey = toBytes(await decryptData(userData.encrypted_private_key, null, currentPassphrase));
+  } catch (decryptError) {
+    throw new Error('Could not unlock your encryption keys. Check your passphrase.');
+  }
+
+  try {
+    const encryptedPrivateKey = await protectPrivateKey(privateKey, newPassphrase);
+
+    const { error } = await supabase
+      .from(TABLES.USERS)
+      .update({ encrypted_private_key: encryptedPrivateKey, key_passphrase_set: true })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    await AsyncStorage.setItem(
+      `${ASYNC_STORAGE_KEYS.PRIVATE_KEY_PREFIX}${userId}`,
+      encryptedPrivateKey
+    );
+  } catch (error) {
+    console.error('Error changing key passphrase:', error);
+    throw new Error(`Failed to change your passphrase: ${error.message}`);
+  }
+};
+
+/**
+ * Get the published signing public key of a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<string|null>} - Ed25519 public key (base64 string), or null if the user has none
+ */
+export const getUserSigningPublicKey = async (userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.USERS)
+    .select('signing_public_key')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return data?.signing_public_key || null;
+};
+
+/**
+ * Get every signing key a user has published, current and earlier ones
+ * The database records each key as it is published, so entries signed
+ * before a user's keys changed still check out.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<string>>} - Ed25519 public keys (base64 strings)
+ */
+export const getUserSigningKeyHistory = async (userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.SIGNING_KEYS)
+    .select('signing_public_key')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return (data || []).map(row => row.signing_public_key);
+};
+
+/**
+ * Get the published public key of a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<string|null>} - Public key (base64 string), or null if the user has none
+ */
+export const getUserPublicKey = async (userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.USERS)
+    .select('public_key')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return data?.public_key || null;
+};
+
+/**
+ * Derive the symmetric key used to wrap a file key
+ * @param {Uint8Array} sharedSecret - X25519 shared secret
+ * @param {Uint8Array} ephemeralPublicKey - Sender's ephemeral public key
+ * @param {Uint8Array} recipientPublicKey - Recipient's public key
+ * @returns {string} - Wrapping key (base64 string)
+ */
+const deriveWrappingKey = (sharedSecret, ephemeralPublicKey, recipientPublicKey) => {
+  const salt = new Uint8Array(KEY_LENGTH * 2);
+  salt.set(ephemeralPublicKey, 0);
+  salt.set(recipientPublicKey, KEY_LENGTH);
+  return arrayBufferToBase64(hkdf(sha256, sharedSecret, salt, WRAP_INFO, KEY_LENGTH));
+};
+
+/**
+ * Wrap a file content key for a recipient's public key
+ * @param {string} fileKey - File content key (base64 string)
+ * @param {string} recipientPublicKey - Recipient's public key (base64 string)
+ * @returns {Promise<string>} - Wrapped key
+ */
+export const wrapFileKey = async (fileKey, recipientPublicKey) => {
+  const recipientKey = toBytes(recipientPublicKey);
+  const ephemeralPrivateKey = await Crypto.getRandomBytesAsync(KEY_LENGTH);
+  const ephemeralPublicKey = x25519.getPublicKey(ephemeralPrivateKey);
+  const sharedSecret = x25519.getSharedSecret(ephemeralPrivateKey, recipientKey);
+
+  const wrappingKey = deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientKey);
+  const { encryptedData } = await encryptData(fileKey, wrappingKey);
+
+  return `${WRAP_SCHEME}:${arrayBufferToBase64(ephemeralPublicKey)}:${encryptedData}`;
+};
+
+/**
+ * Unwrap a file content key with the unlocked private key
+ * @param {string} wrappedKey - Wrapped key
+ * @returns {Promise<string>} - File content key (base64 string)
+ */
+export const unwrapFileKey = async (wrappedKey) => {
+  if (!unlockedKeyPair) {
+    throw new Error('Your encryption keys are locked. Please sign in again.');
+  }
+
+  const [scheme, ephemeralPublicKey, encryptedData] = wrappedKey.split(':');
+  if (scheme !== WRAP_SCHEME || !ephemeralPublicKey || !encryptedData) {
+    throw new Error('Unsupported wrapped key format');
+  }
+
+  const ephemeralKey = toBytes(ephemeralPublicKey);
+  const sharedSecret = x25519.getSharedSecret(unlockedKeyPair.privateKey, ephemeralKey);
+  const wrappingKey = deriveWrappingKey(
+    sharedSecret,
+    ephemeralKey,
+    toBytes(unlockedKeyPair.publicKey)
+  );
+
+  return decryptData(encryptedData, null, wrappingKey);
+};
+
+/**
+ * Wrap a file key for a user and store it in the file keys table
+ * @param {string} fileId - The ID of the file
+ * @param {string} userId - The ID of the user who gets access
+ * @param {string} fileKey - File content key (base64 string)
+ * @param {string} publicKey - Optional public key, looked up if not given
+ * @returns {Promise<void>}
+ */
+export const grantFileKey = async (fileId, userId, fileKey, publicKey = null) => {
+  const recipientPublicKey = publicKey || await getUserPublicKey(userId);
+  if (!recipientPublicKey) {
+    throw new Error('This user has not set up encryption keys yet');
+  }
+
+  const wrappedKey = await wrapFileKey(fileKey, recipientPublicKey);
+
+  const { error } = await supabase
+    .from(TABLES.FILE_KEYS)
+    .upsert(
+      [{ file_id: fileId, user_id: userId, wrapped_key: wrappedKey }],
+      { onConflict: 'file_id,user_id' }
+    );
+
+  if (error) throw error;
+};
+
+/**
+ * Get the content key of a file for the current user
+ * Public files and files uploaded before key wrapping keep their key in the
+ * files table; everything else is unwrapped locally.
+ * @param {Object} fileData - File row (needs id and encryption_key)
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<string>} - File content key (base64 string)
+ */
+export const getFileKey = async (fileData, userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILE_KEYS)
+    .select('wrapped_key')
+    .eq('file_id', fileData.id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (data?.wrapped_key) {
+    return unwrapFileKey(data.wrapped_key);
+  }
+
+  if (fileData.encryption_key) {
+    return fileData.encryption_key;
+  }
+
+  throw new Error('You do not have a key for this file');
+};
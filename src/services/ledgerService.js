@@ -0,0 +1,727 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase, handleSupabaseError } from './supabaseService';
+import {
+  signMessage,
+  verifySignature,
+  getUnlockedSigningPublicKey,
+  getUserSigningKeyHistory,
+  isKeyPairUnlocked,
+  getUnlockedChainKey
+} from './keyService';
+import { isBlockchainEnabled, recordOnChain, getBlockAnchorOnChain } from './blockchainService';
+import { merkleRoot, merkleProof, verifyMerkleProof } from '../utils/merkle';
+import { TABLES } from '../utils/constants';
+
+// Ledger constants
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_PAGE_SIZE = 500;
+
+// Block constants: a block is sealed once either limit is reached
+const BLOCK_MAX_ENTRIES = 256;
+const BLOCK_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+const ENTRY_COLUMNS = 'id, sequence, user_id, file_id, action, details, recorded_at, prev_hash, payload_hash, entry_hash, signature, signer_key';
+
+// Postgres unique violation, raised when another client took the same sequence
+const UNIQUE_VIOLATION = '23505';
+
+// Events that could not be appended wait in an outbox and are retried this often
+const OUTBOX_FLUSH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// AsyncStorage keys for the audit ledger
+const ASYNC_STORAGE_KEYS = {
+  OUTBOX_PREFIX: 'audit_outbox_'
+};
+
+/**
+ * Serialize a value as canonical JSON
+ * Object keys are sorted and undefined members dropped, so the same payload
+ * always hashes the same no matter how it was built or stored.
+ * @param {*} value - The value to serialize
+ * @returns {string} - Canonical JSON string
+ */
+export const canonicalJson = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+
+  return `{${members.join(',')}}`;
+};
+
+const sha256Hex = (text) => bytesToHex(sha256(utf8ToBytes(text)));
+
+/**
+ * Hash the payload of a ledger entry
+ * @param {Object} entry - Ledger entry (row of the audit log)
+ * @returns {string} - SHA-256 hex digest of the canonical payload
+ */
+const hashPayload = (entry) => {
+  return sha256Hex(canonicalJson({
+    user_id: entry.user_id,
+    file_id: entry.file_id || null,
+    action: entry.action,
+    details: entry.details || {},
+    recorded_at: entry.recorded_at
+  }));
+};
+
+/**
+ * Hash an entry's position in the chain
+ * @param {number} sequence - Position of the entry
+ * @param {string} prevHash - Entry hash of the previous entry
+ * @param {string} payloadHash - Payload hash of this entry
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashEntry = (sequence, prevHash, payloadHash) => {
+  return sha256Hex(`${sequence}:${prevHash}:${payloadHash}`);
+};
+
+/**
+ * Hash the header of a ledger block
+ * @param {Object} block - Ledger block
+ * @returns {string} - SHA-256 hex digest of the canonical header
+ */
+const hashBlock = (block) => {
+  return sha256Hex(canonicalJson({
+    height: block.height,
+    start_sequence: block.start_sequence,
+    end_sequence: block.end_sequence,
+    merkle_root: block.merkle_root,
+    prev_block_hash: block.prev_block_hash,
+    sealed_at: block.sealed_at
+  }));
+};
+
+// Last block seen by this client, to decide when the next one is due
+let latestBlock = null;
+
+/**
+ * Get the most recent ledger block
+ * @returns {Promise<Object|null>} - The latest block, or null if none was sealed yet
+ */
+const getLatestBlock = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.LEDGER_BLOCKS)
+    .select('*')
+    .order('height', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+
+  latestBlock = data?.[0] || null;
+  return latestBlock;
+};
+
+/**
+ * Get the most recent ledger entry
+ * @returns {Promise<Object|null>} - The head of the chain, or null if the ledger is empty
+ */
+const getLedgerHead = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.AUDIT_LOGS)
+    .select('sequence, entry_hash')
+    .order('sequence', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+/**
+ * Append a signed entry to the audit ledger
+ * Each entry commits to the previous entry's hash, so editing or deleting any
+ * row breaks every link after it. The actor's key pair must be unlocked.
+ * @param {Object} event - The audited event
+ * @param {string} event.userId - The ID of the acting user
+ * @param {string} event.fileId - The ID of the file concerned, if any
+ * @param {string} event.action - Action name (e.g. 'upload', 'share')
+ * @param {Object} event.details - Action details
+ * @returns {Promise<Object>} - The inserted ledger entry
+ */
+export const appendLedgerEntry = async ({ userId, fileId = null, action, details = {} }) => {
+  const signerKey = getUnlockedSigningPublicKey();
+
+  const entry = {
+    user_id: userId,
+    file_id: fileId,
+    action,
+    // Stored as given, so the hashed form survives the round trip through jsonb
+    details: JSON.parse(canonicalJson(details)),
+    recorded_at: Date.now()
+  };
+  entry.payload_hash = hashPayload(entry);
+
+  // Another client may append between reading the head and inserting; the
+  // unique sequence rejects the loser, which re-reads the head and retries
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await getLedgerHead();
+    const sequence = head ? head.sequence + 1 : 1;
+    const prevHash = head ? head.entry_hash : GENESIS_HASH;
+    const entryHash = hashEntry(sequence, prevHash, entry.payload_hash);
+
+    const { data, error } = await supabase
+      .from(TABLES.AUDIT_LOGS)
+      .insert([{
+        ...entry,
+        sequence,
+        prev_hash: prevHash,
+        entry_hash: entryHash,
+        signature: signMessage(entryHash),
+        signer_key: signerKey
+      }])
+      .select()
+      .single();
+
+    if (!error) return data;
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+  }
+
+  throw new Error('Audit ledger is busy, please try again');
+};
+
+/**
+ * Seal the entries appended since the last block into a new block
+ * The block stores the Merkle root of their entry hashes and is chained to
+ * the previous block. If another client seals the same entries first, its
+ * block wins and null is returned.
+ * @returns {Promise<Object|null>} - The new block, or null if there was nothing to seal
+ */
+export const sealLedgerBlock = async () => {
+  try {
+    const previousBlock = await getLatestBlock();
+    const startSequence = previousBlock ? previousBlock.end_sequence + 1 : 1;
+
+    const { data: entries, error } = await supabase
+      .from(TABLES.AUDIT_LOGS)
+      .select('sequence, prev_hash, entry_hash')
+      .gte('sequence', startSequence)
+      .order('sequence', { ascending: true })
+      .limit(BLOCK_MAX_ENTRIES);
+
+    if (error) throw error;
+    if (!entries || entries.length === 0) return null;
+
+    // Never seal over a broken chain
+    entries.forEach((entry, index) => {
+      const previous = index > 0 ? entries[index - 1] : null;
+      if (entry.sequence !== startSequence + index ||
+          (previous && entry.prev_hash !== previous.entry_hash)) {
+        throw new Error(`Audit ledger is broken at entry ${entry.sequence}`);
+      }
+    });
+
+    const block = {
+      height: previousBlock ? previousBlock.height + 1 : 1,
+      start_sequence: startSequence,
+      end_sequence: entries[entries.length - 1].sequence,
+      entry_count: entries.length,
+      merkle_root: merkleRoot(entries.map(entry => entry.entry_hash)),
+      prev_block_hash: previousBlock ? previousBlock.block_hash : GENESIS_HASH,
+      sealed_at: Date.now()
+    };
+    block.block_hash = hashBlock(block);
+
+    const { data, error: insertError } = await supabase
+      .from(TABLES.LEDGER_BLOCKS)
+      .insert([{
+        ...block,
+        signature: signMessage(block.block_hash),
+        signer_key: getUnlockedSigningPublicKey()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      if (insertError.code === UNIQUE_VIOLATION) return null;
+      throw insertError;
+    }
+
+    latestBlock = data;
+
+    // The registry's timestamp, not sealed_at, is what proves when the block existed
+    await recordOnChain(getUnlockedChainKey().userId, 'anchorBlock', data.block_hash, data.merkle_root);
+
+    return data;
+  } catch (error) {
+    console.error('Ledger block sealing error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Seal a block if the entry just appended makes one due
+ * @param {Object} entry - The entry just appended
+ * @returns {Promise<void>}
+ */
+const sealBlockIfDue = async (entry) => {
+  const block = latestBlock || await getLatestBlock();
+  const unsealed = entry.sequence - (block ? block.end_sequence : 0);
+  const age = entry.recorded_at - (block ? block.sealed_at : 0);
+
+  if (unsealed >= BLOCK_MAX_ENTRIES || (block && age >= BLOCK_INTERVAL_MS) || (!block && unsealed > 0)) {
+    await sealLedgerBlock();
+  }
+};
+
+/**
+ * Append an entry to the audit ledger without failing the calling action
+ * Also seals a new block when one is due. An event that can't be appended is
+ * kept in the outbox and appended later by flushAuditOutbox.
+ * @param {Object} event - The audited event (see appendLedgerEntry)
+ * @returns {Promise<Object|null>} - The inserted ledger entry, or null if it was put in the outbox
+ */
+export const logAuditEvent = async (event) => {
+  let entry;
+  try {
+    entry = await appendLedgerEntry(event);
+  } catch (error) {
+    console.error(`Error recording ${event.action} in audit ledger:`, error);
+    await addToOutbox(event);
+    return null;
+  }
+
+  try {
+    await sealBlockIfDue(entry);
+  } catch (error) {
+    // Unsealed entries are picked up by the next block
+    console.error('Error sealing ledger block:', error);
+  }
+
+  return entry;
+};
+
+// Outbox updates are chained so concurrent events don't overwrite each other
+let outboxUpdate = Promise.resolve();
+let flushing = null;
+
+/**
+ * Read and rewrite a user's audit outbox
+ * @param {string} userId - The ID of the user
+ * @param {Function} update - Gets the pending events and returns the new list
+ * @returns {Promise<void>}
+ */
+const updateOutbox = (userId, update) => {
+  outboxUpdate = outboxUpdate.catch(() => {}).then(async () => {
+    const key = `${ASYNC_STORAGE_KEYS.OUTBOX_PREFIX}${userId}`;
+    const pending = update(JSON.parse(await AsyncStorage.getItem(key) || '[]'));
+    if (pending.length > 0) {
+      await AsyncStorage.setItem(key, JSON.stringify(pending));
+    } else {
+      await AsyncStorage.removeItem(key);
+    }
+  });
+  return outboxUpdate;
+};
+
+/**
+ * Keep an event that could not be appended for a later retry
+ * @param {Object} event - The audited event (see appendLedgerEntry)
+ * @returns {Promise<void>}
+ */
+const addToOutbox = async (event) => {
+  try {
+    await updateOutbox(event.userId, (pending) => [
+      ...pending,
+      {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+        event,
+        occurredAt: Date.now()
+      }
+    ]);
+  } catch (error) {
+    console.error(`Error keeping ${event.action} event for a retry:`, error);
+  }
+};
+
+/**
+ * Get the audit events of a user that are waiting to be appended
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - id, event and occurredAt of each, oldest first
+ */
+export const getAuditOutbox = async (userId) => {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(`${ASYNC_STORAGE_KEYS.OUTBOX_PREFIX}${userId}`) || '[]');
+  } catch (error) {
+    console.error('Error reading audit outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Append the events waiting in a user's outbox to the audit ledger
+ * Entries are signed, so the user's key pair must be unlocked. Each event
+ * gets the time it happened as details.occurredAt; events that fail again
+ * stay in the outbox.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<number>} - Number of events appended
+ */
+export const flushAuditOutbox = (userId) => {
+  if (!flushing) {
+    flushing = sendOutbox(userId).finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+const sendOutbox = async (userId) => {
+  if (!isKeyPairUnlocked(userId)) return 0;
+
+  let appended = 0;
+  for (const item of await getAuditOutbox(userId)) {
+    let entry;
+    try {
+      entry = await appendLedgerEntry({
+        ...item.event,
+        details: { ...item.event.details, occurredAt: item.occurredAt }
+      });
+    } catch (error) {
+      console.error(`Error appending ${item.event.action} event from the outbox:`, error);
+      continue;
+    }
+
+    await updateOutbox(userId, (pending) => pending.filter(candidate => candidate.id !== item.id));
+    appended++;
+
+    try {
+      await sealBlockIfDue(entry);
+    } catch (error) {
+      // Unsealed entries are picked up by the next block
+      console.error('Error sealing ledger block:', error);
+    }
+  }
+
+  return appended;
+};
+
+/**
+ * Retry the user's outboxed audit events in the background while the app runs
+ * @param {string} userId - The ID of the user
+ * @returns {Function} - Stops the retries
+ */
+export const startAuditOutbox = (userId) => {
+  const run = async () => {
+    try {
+      const appended = await flushAuditOutbox(userId);
+      if (appended > 0) {
+        console.log(`Appended ${appended} outboxed audit events`);
+      }
+    } catch (error) {
+      console.error('Error flushing audit outbox:', error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, OUTBOX_FLUSH_INTERVAL);
+
+  return () => clearInterval(interval);
+};
+
+/**
+ * Build a proof that a ledger entry is included in a sealed block
+ * The proof carries what verifyInclusionProof needs besides the registry:
+ * the entry, its Merkle path and the block header.
+ * @param {string} entryId - The ID of the ledger entry (e.g. an upload or share event)
+ * @returns {Promise<Object>} - Inclusion proof
+ */
+export const getInclusionProof = async (entryId) => {
+  try {
+    const { data: entry, error } = await supabase
+      .from(TABLES.AUDIT_LOGS)
+      .select(ENTRY_COLUMNS)
+      .eq('id', entryId)
+      .single();
+
+    if (error) throw error;
+    if (!entry) throw new Error('Ledger entry not found');
+
+    const { data: blocks, error: blockError } = await supabase
+      .from(TABLES.LEDGER_BLOCKS)
+      .select('*')
+      .lte('start_sequence', entry.sequence)
+      .gte('end_sequence', entry.sequence)
+      .limit(1);
+
+    if (blockError) throw blockError;
+
+    const block = blocks?.[0];
+    if (!block) {
+      throw new Error('This event has not been sealed into a block yet');
+    }
+
+    const { data: entries, error: entriesError } = await supabase
+      .from(TABLES.AUDIT_LOGS)
+      .select('sequence, entry_hash')
+      .gte('sequence', block.start_sequence)
+      .lte('sequence', block.end_sequence)
+      .order('sequence', { ascending: true });
+
+    if (entriesError) throw entriesError;
+
+    const leafIndex = entry.sequence - block.start_sequence;
+
+    return {
+      entry: {
+        sequence: entry.sequence,
+        user_id: entry.user_id,
+        file_id: entry.file_id,
+        action: entry.action,
+        details: entry.details,
+        recorded_at: entry.recorded_at,
+        prev_hash: entry.prev_hash,
+        payload_hash: entry.payload_hash,
+        entry_hash: entry.entry_hash,
+        signature: entry.signature,
+        signer_key: entry.signer_key
+      },
+      leafIndex,
+      path: merkleProof(entries.map(leaf => leaf.entry_hash), leafIndex),
+      block: {
+        height: block.height,
+        start_sequence: block.start_sequence,
+        end_sequence: block.end_sequence,
+        entry_count: block.entry_count,
+        merkle_root: block.merkle_root,
+        prev_block_hash: block.prev_block_hash,
+        sealed_at: block.sealed_at,
+        block_hash: block.block_hash,
+        signature: block.signature,
+        signer_key: block.signer_key
+      }
+    };
+  } catch (error) {
+    console.error('Inclusion proof error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Check an inclusion proof against the registry
+ * Confirms the entry hashes to the leaf the path starts from, that the path
+ * leads to the block's Merkle root, and that the registry holds an anchor for
+ * that block with that root. The anchor's chain time is the proven time; the
+ * times in the proof come from client clocks. The entry must be signed with
+ * a signing key the acting user published (see getUserSigningKeyHistory).
+ * @param {Object} proof - Proof from getInclusionProof
+ * @returns {Promise<Object>} - { valid, reason } and, when valid, the proven
+ *   action, file CID (if recorded), the claimed recording time and the anchor
+ *   time and account
+ */
+export const verifyInclusionProof = async (proof) => {
+  const fail = (reason) => ({ valid: false, reason });
+
+  try {
+    const { entry, path, block } = proof;
+
+    if (hashPayload(entry) !== entry.payload_hash) {
+      return fail('Entry payload does not match its hash');
+    }
+    if (hashEntry(entry.sequence, entry.prev_hash, entry.payload_hash) !== entry.entry_hash) {
+      return fail('Entry hash does not match its contents');
+    }
+    if (!verifySignature(entry.entry_hash, entry.signature, entry.signer_key)) {
+      return fail('Entry signature is invalid');
+    }
+    if (entry.sequence < block.start_sequence || entry.sequence > block.end_sequence) {
+      return fail('Entry is outside the block range');
+    }
+    if (!verifyMerkleProof(entry.entry_hash, path, block.merkle_root)) {
+      return fail('Merkle path does not lead to the block root');
+    }
+    if (hashBlock(block) !== block.block_hash) {
+      return fail('Block hash does not match its header');
+    }
+    if (!verifySignature(block.block_hash, block.signature, block.signer_key)) {
+      return fail('Block signature is invalid');
+    }
+
+    if (!(await getUserSigningKeyHistory(entry.user_id)).includes(entry.signer_key)) {
+      return fail('Entry was not signed with a key the acting user published');
+    }
+
+    if (!isBlockchainEnabled()) {
+      return fail('No registry is configured to check the block against');
+    }
+    const anchor = await getBlockAnchorOnChain(block.block_hash);
+    if (!anchor) {
+      return fail('Block has not been anchored in the registry');
+    }
+    if (anchor.merkleRoot !== block.merkle_root) {
+      return fail('Block root does not match its registry anchor');
+    }
+
+    return {
+      valid: true,
+      reason: null,
+      action: entry.action,
+      userId: entry.user_id,
+      fileId: entry.file_id,
+      cid: entry.details?.ipfsCid || null,
+      recordedAt: new Date(entry.recorded_at).toISOString(),
+      anchoredAt: anchor.anchoredAt,
+      anchoredBy: anchor.anchoredBy,
+      blockHeight: block.height
+    };
+  } catch (error) {
+    return fail(`Could not check proof: ${error.message}`);
+  }
+};
+
+/**
+ * Check a single entry's hashes and signature
+ * The entry is checked against the key it was signed with, which must be one
+ * the acting user published at some point: keys change when a user sets up
+ * new keys, and earlier entries stay valid.
+ * @param {Object} entry - Ledger entry
+ * @param {Array<string>} publishedKeys - Every signing key the acting user published
+ * @returns {string|null} - What is wrong with the entry, or null if it checks out
+ */
+const checkEntry = (entry, publishedKeys) => {
+  if (hashPayload(entry) !== entry.payload_hash) {
+    return 'Payload was modified after it was recorded';
+  }
+  if (hashEntry(entry.sequence, entry.prev_hash, entry.payload_hash) !== entry.entry_hash) {
+    return 'Entry hash does not match its contents';
+  }
+  if (!verifySignature(entry.entry_hash, entry.signature, entry.signer_key)) {
+    return 'Signature is invalid';
+  }
+  if (!publishedKeys.includes(entry.signer_key)) {
+    return 'Entry was not signed with a key the acting user published';
+  }
+  return null;
+};
+
+/**
+ * Look up the signing keys of an entry's user, once per user
+ * @param {Map} cache - Keys looked up so far, by user ID
+ * @param {string} userId - The ID of the acting user
+ * @returns {Promise<Array<string>>} - Every signing key the user published
+ */
+const getSignerKeys = async (cache, userId) => {
+  if (!cache.has(userId)) {
+    cache.set(userId, await getUserSigningKeyHistory(userId).catch(() => []));
+  }
+  return cache.get(userId);
+};
+
+/**
+ * Fetch the ledger entries recorded for a file, each checked on its own
+ * This does not walk the whole chain (see verifyLedger).
+ * @param {string} fileId - The ID of the file
+ * @param {Array<string>} actions - Only return these actions (all if omitted)
+ * @returns {Promise<Array>} - Entries in ledger order, each with `valid` and `problem`
+ */
+export const fetchFileLedgerEntries = async (fileId, actions = null) => {
+  try {
+    let query = supabase
+      .from(TABLES.AUDIT_LOGS)
+      .select(ENTRY_COLUMNS)
+      .eq('file_id', fileId);
+
+    if (actions) {
+      query = query.in('action', actions);
+    }
+
+    const { data: entries, error } = await query.order('sequence', { ascending: true });
+
+    if (error) throw error;
+
+    const signerKeys = new Map();
+    const checked = [];
+    for (const entry of entries || []) {
+      const problem = checkEntry(entry, await getSignerKeys(signerKeys, entry.user_id));
+      checked.push({ ...entry, valid: !problem, problem });
+    }
+
+    return checked;
+  } catch (error) {
+    console.error('Fetch ledger entries error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Walk the audit ledger and check every link
+ * Checks that sequences are contiguous, each entry points at the previous
+ * entry's hash, payload and entry hashes match the stored data, each
+ * signature was made by a signing key the acting user published, and no
+ * sealed entry is missing from the end.
+ * @param {Object} options - Verification options
+ * @param {Function} options.onProgress - Called with the number of entries checked
+ * @returns {Promise<Object>} - { valid, checked } or, on failure,
+ *   { valid: false, checked, brokenAt, entryId, reason }
+ */
+export const verifyLedger = async ({ onProgress = () => {} } = {}) => {
+  try {
+    const signerKeys = new Map();
+    let previous = null;
+    let checked = 0;
+
+    const broken = (entry, reason) => ({
+      valid: false,
+      checked,
+      brokenAt: entry ? entry.sequence : (previous ? previous.sequence + 1 : 1),
+      entryId: entry?.id || null,
+      reason
+    });
+
+    for (let from = 0; ; from += VERIFY_PAGE_SIZE) {
+      const { data: entries, error } = await supabase
+        .from(TABLES.AUDIT_LOGS)
+        .select(ENTRY_COLUMNS)
+        .order('sequence', { ascending: true })
+        .range(from, from + VERIFY_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      for (const entry of entries || []) {
+        const expectedSequence = previous ? previous.sequence + 1 : 1;
+        if (entry.sequence !== expectedSequence) {
+          return broken(entry, `Expected entry ${expectedSequence} but found ${entry.sequence}; entries are missing`);
+        }
+
+        const expectedPrevHash = previous ? previous.entry_hash : GENESIS_HASH;
+        if (entry.prev_hash !== expectedPrevHash) {
+          return broken(entry, 'Previous hash does not match the preceding entry');
+        }
+
+        const problem = checkEntry(entry, await getSignerKeys(signerKeys, entry.user_id));
+        if (problem) {
+          return broken(entry, problem);
+        }
+
+        previous = entry;
+        checked++;
+      }
+
+      onProgress(checked);
+
+      if (!entries || entries.length < VERIFY_PAGE_SIZE) break;
+    }
+
+    // Entries removed from the end leave the chain itself intact, but not the
+    // blocks that sealed them
+    const block = await getLatestBlock();
+    if (block && (!previous || previous.sequence < block.end_sequence)) {
+      return broken(null, `Block ${block.height} sealed entries up to ${block.end_sequence}; later entries are missing`);
+    }
+
+    return { valid: true, checked };
+  } catch (error) {
+    console.error('Ledger verification error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
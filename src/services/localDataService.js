@@ -0,0 +1,80 @@
+import * as FileSystem from 'expo-file-system';
+import { clearCache } from './filecoinService';
+import { clearUploadSessions } from './uploadSessionService';
+import { clearUploadHistory } from './uploadQueueService';
+import { forgetDeviceKeys } from './keyService';
+
+// Decrypted files are only written here, and only while they are being
+// shared; anything left over is wiped on the next start
+const SCRATCH_DIRECTORY = `${FileSystem.cacheDirectory}scratch/`;
+
+/**
+ * Get a scratch location for a decrypted file
+ * Each file gets a directory of its own so it keeps its name when shared.
+ * File names come from other users, so only the last path segment is used
+ * and the file can't land outside its directory.
+ * @param {string} fileName - Name of the file
+ * @returns {Promise<string>} - URI to write the file to
+ */
+export const getScratchUri = async (fileName) => {
+  const baseName = String(fileName || '').split(/[/\\]/).pop();
+  const safeName = baseName && baseName !== '.' && baseName !== '..' ? baseName : 'file';
+
+  const directory = `${SCRATCH_DIRECTORY}${Date.now()}_${Math.random().toString(36).slice(2, 10)}/`;
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  return `${directory}${safeName}`;
+};
+
+/**
+ * Delete decrypted files from the scratch area
+ * @param {string} fileUri - A file from getScratchUri, or null for all of them
+ * @returns {Promise<void>}
+ */
+export const wipeScratch = async (fileUri = null) => {
+  try {
+    const target = fileUri ? fileUri.slice(0, fileUri.lastIndexOf('/') + 1) : SCRATCH_DIRECTORY;
+    if (!target.startsWith(SCRATCH_DIRECTORY)) {
+      throw new Error(`${fileUri} is not in the scratch area`);
+    }
+    await FileSystem.deleteAsync(target, { idempotent: true });
+  } catch (error) {
+    console.error('Error wiping scratch files:', error);
+    // Continue anyway as this is not critical
+  }
+};
+
+/**
+ * Remove everything the app keeps about the user on this device: the
+ * download cache, queued uploads and their history, decrypted scratch files,
+ * the device key and the on-device copy of the protected private key
+ * Each step runs even if an earlier one fails.
+ * @param {Object} options - Wipe options
+ * @param {boolean} options.keepQueuedUploads - Keep upload sessions, e.g. on
+ *   sign-out. They hold only encrypted content and a key wrapped for their
+ *   owner, and carry on when the same user signs in again.
+ * @returns {Promise<void>}
+ */
+export const wipeLocalData = async ({ keepQueuedUploads = false } = {}) => {
+  const steps = [
+    ['download cache', clearCache],
+    !keepQueuedUploads && ['upload sessions', clearUploadSessions],
+    ['upload history', clearUploadHistory],
+    ['scratch files', () => wipeScratch()],
+    ['device keys', forgetDeviceKeys]
+  ];
+
+  const failed = [];
+  for (const [name, step] of steps.filter(Boolean)) {
+    try {
+      await step();
+    } catch (error) {
+      console.error(`Error wiping ${name}:`, error);
+      failed.push(name);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Could not wipe ${failed.join(', ')}`);
+  }
+  console.log('Local data wiped');
+};
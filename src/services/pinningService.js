@@ -0,0 +1,303 @@
+import axios from 'axios';
+import { supabase } from './supabaseService';
+import { TABLES } from '../utils/constants';
+
+// Remote pinning services implementing the IPFS Pinning Service API
+// (https://ipfs.github.io/pinning-services-api-spec/), as a JSON list:
+// [{"name": "pinata", "endpoint": "https://api.pinata.cloud/psa", "accessToken": "..."}]
+const PINNING_SERVICES = (() => {
+  try {
+    return JSON.parse(process.env.EXPO_PUBLIC_PINNING_SERVICES || '[]');
+  } catch (error) {
+    console.error('Invalid EXPO_PUBLIC_PINNING_SERVICES:', error);
+    return [];
+  }
+})();
+
+const PIN_STATUSES = ['queued', 'pinning', 'pinned', 'failed'];
+
+// Statuses that may still change on the service
+export const PENDING_PIN_STATUSES = ['queued', 'pinning'];
+
+const REQUEST_TIMEOUT = 15000; // 15 seconds
+
+/**
+ * Check whether any pinning services are configured
+ * @returns {boolean} - True if files are pinned to remote services
+ */
+export const isPinningEnabled = () => {
+  return PINNING_SERVICES.length > 0;
+};
+
+/**
+ * Get the names of the configured pinning services
+ * @returns {Array<string>} - Service names
+ */
+export const getPinningServiceNames = () => {
+  return PINNING_SERVICES.map(service => service.name);
+};
+
+/**
+ * Send a request to a pinning service
+ * @param {Object} service - Service configuration
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the service endpoint
+ * @param {Object} options - Query parameters (params) and JSON body (data)
+ * @returns {Promise<any>} - Response body
+ */
+const pinningRequest = async (service, method, path, { params, data } = {}) => {
+  try {
+    const response = await axios.request({
+      method,
+      url: `${service.endpoint.replace(/\/$/, '')}${path}`,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${service.accessToken}` },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  } catch (error) {
+    // The spec's Failure body: { error: { reason, details } }
+    const failure = error.response?.data?.error;
+    const reason = failure ? [failure.reason, failure.details].filter(Boolean).join(': ') : error.message;
+    throw new Error(`${service.name}: ${reason}`);
+  }
+};
+
+/**
+ * Ask a service to pin a CID
+ * @param {Object} service - Service configuration
+ * @param {string} cid - CID to pin
+ * @param {string} name - Name for the pin
+ * @returns {Promise<Object>} - PinStatus (requestid, status, created, pin, delegates, info)
+ */
+export const createPin = (service, cid, name) => {
+  return pinningRequest(service, 'post', '/pins', { data: { cid, name } });
+};
+
+/**
+ * List the pin requests on a service
+ * @param {Object} service - Service configuration
+ * @param {Object} filters - Filters
+ * @param {Array<string>} filters.cids - Only pins of these CIDs
+ * @param {Array<string>} filters.statuses - Only pins with these statuses (the spec defaults to pinned)
+ * @param {number} filters.limit - Maximum number of results
+ * @returns {Promise<Array<Object>>} - PinStatus objects
+ */
+export const listPins = async (service, { cids, statuses = PIN_STATUSES, limit = 10 } = {}) => {
+  const params = { status: statuses.join(','), limit };
+  if (cids) params.cid = cids.join(',');
+
+  const data = await pinningRequest(service, 'get', '/pins', { params });
+  return data.results || [];
+};
+
+/**
+ * Get the current status of a pin request
+ * @param {Object} service - Service configuration
+ * @param {string} requestId - Request ID returned when the pin was created
+ * @returns {Promise<Object>} - PinStatus
+ */
+export const getPin = (service, requestId) => {
+  return pinningRequest(service, 'get', `/pins/${requestId}`);
+};
+
+/**
+ * Remove a pin request
+ * @param {Object} service - Service configuration
+ * @param {string} requestId - Request ID returned when the pin was created
+ * @returns {Promise<void>}
+ */
+export const deletePin = async (service, requestId) => {
+  await pinningRequest(service, 'delete', `/pins/${requestId}`);
+};
+
+/**
+ * Store the status of a CID's pin on a service
+ * @param {Object} row - Status row (file_id, cid, service, request_id, status, info)
+ * @returns {Promise<Object>} - Stored row
+ */
+const savePinStatus = async (row) => {
+  const { data, error } = await supabase
+    .from(TABLES.PIN_STATUSES)
+    .upsert({ ...row, checked_at: new Date().toISOString() }, { onConflict: 'cid,service' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Pin or re-pin a CID on one service, reusing an existing request for it
+ * @param {Object} service - Service configuration
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID to pin
+ * @returns {Promise<Object>} - Stored status row
+ */
+const pinOnService = async (service, fileId, cid) => {
+  try {
+    const [existing] = await listPins(service, { cids: [cid], limit: 1 });
+
+    // Files are named by ID only, so the service never learns file names
+    const pin = existing && existing.status !== 'failed'
+      ? existing
+      : await createPin(service, cid, fileId);
+
+    return await savePinStatus({
+      file_id: fileId,
+      cid,
+      service: service.name,
+      request_id: pin.requestid,
+      status: pin.status,
+      info: pin.info || {}
+    });
+  } catch (error) {
+    console.error(`Error pinning ${cid} on ${service.name}:`, error);
+    return savePinStatus({
+      file_id: fileId,
+      cid,
+      service: service.name,
+      request_id: null,
+      status: 'failed',
+      info: { error: error.message }
+    });
+  }
+};
+
+/**
+ * Pin a file's content on every configured service
+ * Services pin asynchronously; use refreshPinStatuses to follow progress.
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the stored (encrypted) content
+ * @returns {Promise<Array<Object>>} - Status rows, one per service
+ */
+export const pinFileContent = async (fileId, cid) => {
+  const statuses = [];
+  for (const service of PINNING_SERVICES) {
+    try {
+      statuses.push(await pinOnService(service, fileId, cid));
+    } catch (error) {
+      console.error(`Error recording pin status for ${service.name}:`, error);
+      // Continue anyway as this is not critical
+    }
+  }
+  return statuses;
+};
+
+/**
+ * Get the recorded pin statuses of a file's current content
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the file's content
+ * @returns {Promise<Array<Object>>} - Status rows
+ */
+export const getPinStatuses = async (fileId, cid) => {
+  const { data, error } = await supabase
+    .from(TABLES.PIN_STATUSES)
+    .select('*')
+    .eq('file_id', fileId)
+    .eq('cid', cid)
+    .order('service', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Poll the services for the pin status of a file's content
+ * Pins that failed, or were never recorded on a service, are requested again.
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the file's content
+ * @returns {Promise<Array<Object>>} - Updated status rows
+ */
+export const refreshPinStatuses = async (fileId, cid) => {
+  const recorded = await getPinStatuses(fileId, cid);
+
+  for (const service of PINNING_SERVICES) {
+    const row = recorded.find(status => status.service === service.name);
+
+    if (!row?.request_id || row.status === 'failed') {
+      await pinOnService(service, fileId, cid);
+      continue;
+    }
+
+    try {
+      const pin = await getPin(service, row.request_id);
+      await savePinStatus({ ...row, status: pin.status, info: pin.info || {} });
+    } catch (error) {
+      console.error(`Error checking pin ${row.request_id} on ${service.name}:`, error);
+      await savePinStatus({ ...row, info: { ...row.info, error: error.message } });
+    }
+  }
+
+  return getPinStatuses(fileId, cid);
+};
+
+/**
+ * Remove every pin of a CID from the configured services
+ * Status rows are only deleted once the service confirms; rows for pins
+ * that could not be removed are kept with the error so they can be retried.
+ * @param {string} cid - CID to unpin
+ * @returns {Promise<Array<string>>} - Names of the services that still hold a pin
+ */
+export const unpinContent = async (cid) => {
+  const { data: recorded, error } = await supabase
+    .from(TABLES.PIN_STATUSES)
+    .select('*')
+    .eq('cid', cid);
+
+  if (error) throw error;
+
+  const failed = [];
+  for (const service of PINNING_SERVICES) {
+    const row = (recorded || []).find(status => status.service === service.name);
+
+    try {
+      // The service may hold requests we have no record of
+      const requestIds = row?.request_id
+        ? [row.request_id]
+        : (await listPins(service, { cids: [cid] })).map(pin => pin.requestid);
+
+      for (const requestId of requestIds) {
+        await deletePin(service, requestId);
+      }
+
+      if (row) {
+        const { error: deleteError } = await supabase
+          .from(TABLES.PIN_STATUSES)
+          .delete()
+          .eq('id', row.id);
+
+        if (deleteError) throw deleteError;
+      }
+    } catch (unpinError) {
+      console.error(`Error unpinning ${cid} from ${service.name}:`, unpinError);
+      failed.push(service.name);
+
+      if (row) {
+        try {
+          await savePinStatus({ ...row, info: { ...row.info, error: `Unpin failed: ${unpinError.message}` } });
+        } catch (saveError) {
+          console.error('Error recording unpin failure:', saveError);
+        }
+      }
+    }
+  }
+
+  return failed;
+};
+
+/**
+ * Summarize the pin statuses of a file
+ * @param {Array<Object>} statuses - Status rows
+ * @returns {string} - 'healthy' (pinned everywhere), 'pending', 'degraded'
+ *   (pinned somewhere but failed elsewhere), 'failed' or 'none'
+ */
+export const getPinHealth = (statuses) => {
+  if (statuses.length === 0) return 'none';
+
+  const count = (status) => statuses.filter(row => row.status === status).length;
+  if (count('pinned') === statuses.length) return 'healthy';
+  if (count('failed') === 0) return 'pending';
+  return count('pinned') > 0 ? 'degraded' : 'failed';
+};
@@ -0,0 +1,221 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase, handleSupabaseError } from './supabaseService';
+import { getStorageBackends, getStorageBackend } from './storageService';
+import { checkCidStatus } from './filecoinService';
+import { getUploadSessions } from './uploadSessionService';
+import { logAuditEvent } from './ledgerService';
+import { TABLES } from '../utils/constants';
+
+// Rows read from a table per request
+const PAGE_SIZE = 500;
+
+// Tables whose rows refer to stored content by ipfs_cid
+const CONTENT_TABLES = [TABLES.FILES, TABLES.FILE_VERSIONS];
+
+// Orphans are only unpinned once they have been orphans this long, so content
+// another device pinned but has yet to record isn't taken away from it
+const ORPHAN_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Supabase app_metadata role allowed to unpin orphans; app_metadata can only
+// be set with the service key
+const STORAGE_ADMIN_ROLE = 'storage_admin';
+
+// AsyncStorage keys for reconciliation
+const ASYNC_STORAGE_KEYS = {
+  ORPHANS_SEEN: 'reconcile_orphans_seen'
+};
+
+/**
+ * Check whether the signed-in user may unpin orphaned content
+ * Regular users can only read their own files and versions, so every other
+ * user's content would look orphaned to them.
+ * @returns {Promise<boolean>} - True for storage administrators
+ */
+export const isStorageAdmin = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  return user?.app_metadata?.role === STORAGE_ADMIN_ROLE;
+};
+
+/**
+ * Remember when each current orphan was first seen, forgetting the rest
+ * @param {Array<string>} cids - CIDs of the current orphans
+ * @returns {Promise<Object>} - First-seen time (ms) by CID
+ */
+const updateOrphansSeen = async (cids) => {
+  const previous = JSON.parse(await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.ORPHANS_SEEN) || '{}');
+  const now = Date.now();
+  const seen = {};
+  for (const cid of cids) {
+    seen[cid] = previous[cid] || now;
+  }
+  await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.ORPHANS_SEEN, JSON.stringify(seen));
+  return seen;
+};
+
+/**
+ * Read every row of a table the user can see
+ * @param {string} table - The table to read
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array<Object>>} - Rows
+ */
+const fetchAllRows = async (table, columns) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+/**
+ * Check whether any file or file version refers to a CID
+ * Asked again just before unpinning, as a file may have been recorded since
+ * the pins were compared.
+ * @param {string} cid - CID of the content
+ * @returns {Promise<boolean>} - True if a row has the CID
+ */
+const isCidReferenced = async (cid) => {
+  for (const table of CONTENT_TABLES) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('ipfs_cid', cid)
+      .limit(1);
+
+    if (error) throw error;
+    if (data.length > 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Compare what the storage backends have pinned with what the files and
+ * file versions refer to
+ * Content pinned with no file or version referring to it (left behind by failed uploads
+ * or unpins that failed) is an orphan; in a real run it is unpinned. Files
+ * of the user whose content no backend can provide any more are flagged with
+ * files.missing_since, and the flag is cleared once the content is back.
+ * A dry run only reports, and is all a regular user can run: orphans are
+ * judged against the files and versions the user can read, which leaves out
+ * every other user's content. A real run needs a storage administrator, who
+ * can read all of them, and only unpins content that has been orphaned for
+ * the grace period.
+ * @param {string} userId - The ID of the user running the reconciliation
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} options.dryRun - Report without unpinning or flagging (default true)
+ * @returns {Promise<Object>} - Report: pins per backend (backends, with an error
+ *   for backends that can't list pins), orphans ({cid, backends}), unpinned and
+ *   unpinFailed ({cid, backend}), orphans still in their grace period (waiting),
+ *   missing files ({fileId, fileName, cid}) and restored files (IDs whose flag was cleared)
+ */
+export const reconcileStorage = async (userId, { dryRun = true } = {}) => {
+  try {
+    if (!dryRun && !(await isStorageAdmin())) {
+      throw new Error('Only a storage administrator can clean up storage');
+    }
+
+    const report = { dryRun, backends: [], orphans: [], unpinned: [], unpinFailed: [], waiting: [], missing: [], restored: [] };
+
+    const files = await fetchAllRows(TABLES.FILES, 'id, user_id, file_name, ipfs_cid, missing_since');
+    const versions = await fetchAllRows(TABLES.FILE_VERSIONS, 'id, ipfs_cid');
+    const referenced = new Set([...files, ...versions].map(row => row.ipfs_cid));
+
+    // Content of uploads still on their way counts as referenced
+    for (const session of await getUploadSessions(userId)) {
+      if (session.cid) referenced.add(session.cid);
+    }
+
+    // Where each CID is pinned
+    const pinnedOn = new Map();
+    for (const backend of getStorageBackends()) {
+      try {
+        const pins = await backend.listPins();
+        report.backends.push({ name: backend.name, pins: pins.length });
+        for (const cid of pins) {
+          pinnedOn.set(cid, [...(pinnedOn.get(cid) || []), backend.name]);
+        }
+      } catch (listError) {
+        console.error(`Error listing pins on ${backend.name}:`, listError);
+        report.backends.push({ name: backend.name, pins: null, error: listError.message });
+      }
+    }
+
+    for (const [cid, backends] of pinnedOn) {
+      if (!referenced.has(cid)) {
+        report.orphans.push({ cid, backends });
+      }
+    }
+
+    if (!dryRun) {
+      const seen = await updateOrphansSeen(report.orphans.map(orphan => orphan.cid));
+
+      for (const orphan of report.orphans) {
+        if (Date.now() - seen[orphan.cid] < ORPHAN_GRACE_PERIOD) {
+          report.waiting.push(orphan.cid);
+          continue;
+        }
+        if (await isCidReferenced(orphan.cid)) continue;
+
+        for (const name of orphan.backends) {
+          try {
+            await getStorageBackend(name).unpin(orphan.cid);
+            report.unpinned.push({ cid: orphan.cid, backend: name });
+          } catch (unpinError) {
+            console.error(`Error unpinning ${orphan.cid} from ${name}:`, unpinError);
+            report.unpinFailed.push({ cid: orphan.cid, backend: name });
+          }
+        }
+      }
+    }
+
+    // Files whose content isn't pinned anywhere may still be retrievable
+    // (e.g. from a gateway), so ask each backend before flagging them
+    const flagged = [];
+    for (const file of files.filter(candidate => candidate.user_id === userId)) {
+      let available = pinnedOn.has(file.ipfs_cid);
+      for (const backend of getStorageBackends()) {
+        if (available) break;
+        available = await checkCidStatus(file.ipfs_cid, true, backend.name);
+      }
+
+      if (!available) {
+        report.missing.push({ fileId: file.id, fileName: file.file_name, cid: file.ipfs_cid });
+      } else if (file.missing_since) {
+        report.restored.push(file.id);
+      }
+
+      // Only rows whose flag is wrong need updating
+      if (dryRun || available !== !!file.missing_since) continue;
+
+      const { error } = await supabase
+        .from(TABLES.FILES)
+        .update({ missing_since: available ? null : new Date().toISOString() })
+        .eq('id', file.id);
+
+      if (error) {
+        console.error(`Error flagging file ${file.id}:`, error);
+      } else if (!available) {
+        flagged.push({ fileId: file.id, cid: file.ipfs_cid });
+      }
+    }
+
+    if (report.unpinned.length > 0 || flagged.length > 0) {
+      await logAuditEvent({
+        userId,
+        action: 'reconcile_storage',
+        details: { unpinned: report.unpinned, unpinFailed: report.unpinFailed, missing: flagged }
+      });
+    }
+
+    return report;
+  } catch (error) {
+    console.error('Storage reconciliation error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
@@ -0,0 +1,282 @@
+import * as FileSystem from 'expo-file-system';
+import { supabase } from './supabaseService';
+import { getStorageBackends, getStorageBackend } from './storageService';
+import { checkCidStatus } from './filecoinService';
+import { logAuditEvent } from './ledgerService';
+import { TABLES } from '../utils/constants';
+
+export const DEFAULT_REPLICATION_FACTOR = 1;
+
+// How often the background repair checks the user's files
+const REPAIR_INTERVAL = 60 * 60 * 1000; // 1 hour
+const FIRST_REPAIR_DELAY = 60 * 1000; // 1 minute after unlocking
+
+/**
+ * Get the highest replication factor the configured backends allow
+ * @returns {number} - Number of storage backends
+ */
+export const getMaxReplicationFactor = () => {
+  return getStorageBackends().length;
+};
+
+/**
+ * Get a user's default replication factor
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<number>} - Replicas per file
+ */
+export const getDefaultReplicationFactor = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.USERS)
+      .select('replication_factor')
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+    return data?.replication_factor || DEFAULT_REPLICATION_FACTOR;
+  } catch (error) {
+    console.error('Error getting replication factor:', error);
+    return DEFAULT_REPLICATION_FACTOR;
+  }
+};
+
+/**
+ * Record that a file's content is stored on some backends
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the stored content
+ * @param {Array<string>} backends - Names of the backends holding it
+ * @returns {Promise<void>}
+ */
+export const recordReplicas = async (fileId, cid, backends) => {
+  if (backends.length === 0) return;
+
+  const checkedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from(TABLES.FILE_REPLICAS)
+    .upsert(
+      backends.map(backend => ({ file_id: fileId, cid, backend, status: 'stored', checked_at: checkedAt })),
+      { onConflict: 'file_id,backend' }
+    );
+
+  if (error) throw error;
+};
+
+/**
+ * Record that a file's content moved to a new CID
+ * @param {string} fileId - The ID of the file
+ * @param {string} cid - CID of the new content
+ * @param {Array<string>} backends - Names of the backends holding it
+ * @returns {Promise<void>}
+ */
+export const replaceReplicas = async (fileId, cid, backends) => {
+  const { error } = await supabase
+    .from(TABLES.FILE_REPLICAS)
+    .delete()
+    .eq('file_id', fileId);
+
+  if (error) throw error;
+  await recordReplicas(fileId, cid, backends);
+};
+
+/**
+ * Find the configured backends that hold some content
+ * For content whose replicas aren't recorded, e.g. an older version's.
+ * @param {string} cid - CID of the content
+ * @returns {Promise<Array<string>>} - Names of the backends that have it pinned
+ */
+export const findReplicas = async (cid) => {
+  const found = [];
+  for (const backend of getStorageBackends()) {
+    if (await checkCidStatus(cid, true, backend.name)) {
+      found.push(backend.name);
+    }
+  }
+  return found;
+};
+
+/**
+ * Get the recorded replicas of a file
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<Array<Object>>} - Replica rows (backend, cid, status, checked_at)
+ */
+export const getFileReplicas = async (fileId) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILE_REPLICAS)
+    .select('*')
+    .eq('file_id', fileId)
+    .order('backend', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Update the status of a recorded replica
+ * @param {Object} replica - Replica row
+ * @param {string} status - 'stored' or 'missing'
+ * @returns {Promise<void>}
+ */
+const setReplicaStatus = async (replica, status) => {
+  const { error } = await supabase
+    .from(TABLES.FILE_REPLICAS)
+    .update({ status, checked_at: new Date().toISOString() })
+    .eq('id', replica.id);
+
+  if (error) throw error;
+};
+
+/**
+ * Check a file's replicas and copy its content to more backends until it
+ * has as many replicas as its replication factor asks for
+ * A missing replica is first re-uploaded to the same backend, then other
+ * backends are used.
+ * @param {Object} file - File row (id, ipfs_cid, file_name, replication_factor)
+ * @returns {Promise<Object>} - Backends holding the content (stored), backends
+ *   it was copied to (repaired) and replicas found missing (missing)
+ */
+export const repairFileReplicas = async (file) => {
+  const backends = getStorageBackends();
+  const wanted = Math.min(file.replication_factor || DEFAULT_REPLICATION_FACTOR, backends.length);
+  const report = { fileId: file.id, stored: [], repaired: [], missing: [] };
+
+  const replicas = (await getFileReplicas(file.id)).filter(replica => replica.cid === file.ipfs_cid);
+  for (const replica of replicas) {
+    const configured = backends.some(backend => backend.name === replica.backend);
+    const present = configured && await checkCidStatus(file.ipfs_cid, true, replica.backend);
+
+    if (present) {
+      report.stored.push(replica.backend);
+    } else {
+      report.missing.push(replica.backend);
+    }
+    if ((present ? 'stored' : 'missing') !== replica.status) {
+      await setReplicaStatus(replica, present ? 'stored' : 'missing');
+    }
+  }
+
+  if (report.stored.length >= wanted) return report;
+
+  // Retry the backends that lost the content first, then the unused ones
+  const targets = [
+    ...report.missing.filter(name => backends.some(backend => backend.name === name)),
+    ...backends.map(backend => backend.name).filter(name => !replicas.some(replica => replica.backend === name))
+  ];
+
+  const tempUri = `${FileSystem.cacheDirectory}repair_${file.ipfs_cid}`;
+  try {
+    // Any backend holding the content will do as the source; every provider
+    // checks what it fetches against the CID
+    let source = null;
+    for (const name of [...report.stored, ...targets]) {
+      try {
+        await getStorageBackend(name).get(file.ipfs_cid, tempUri);
+        source = name;
+        break;
+      } catch (error) {
+        console.warn(`Replica source ${name} failed for ${file.ipfs_cid}:`, error.message);
+      }
+    }
+
+    if (!source) {
+      throw new Error(`No backend can provide ${file.ipfs_cid}`);
+    }
+    if (!report.stored.includes(source)) {
+      report.stored.push(source);
+      await recordReplicas(file.id, file.ipfs_cid, [source]);
+    }
+
+    for (const name of targets) {
+      if (report.stored.length >= wanted) break;
+      if (report.stored.includes(name)) continue;
+
+      try {
+        const cid = await getStorageBackend(name).put(tempUri, file.file_name || file.id);
+        if (cid !== file.ipfs_cid) {
+          throw new Error(`Stored as ${cid}`);
+        }
+
+        await recordReplicas(file.id, cid, [name]);
+        report.stored.push(name);
+        report.repaired.push(name);
+      } catch (error) {
+        console.error(`Error replicating ${file.ipfs_cid} to ${name}:`, error);
+      }
+    }
+  } finally {
+    await FileSystem.deleteAsync(tempUri, { idempotent: true });
+  }
+
+  return report;
+};
+
+/**
+ * Check and repair the replicas of every file a user owns
+ * @param {string} userId - The ID of the owner
+ * @returns {Promise<Array<Object>>} - Repair reports of the files that were
+ *   missing replicas
+ */
+export const repairReplicas = async (userId) => {
+  const { data: files, error } = await supabase
+    .from(TABLES.FILES)
+    .select('id, ipfs_cid, file_name, replication_factor')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const reports = [];
+  for (const file of files || []) {
+    try {
+      const report = await repairFileReplicas(file);
+      if (report.missing.length === 0 && report.repaired.length === 0) continue;
+
+      reports.push(report);
+      if (report.repaired.length > 0) {
+        await logAuditEvent({
+          userId,
+          fileId: file.id,
+          action: 'repair_replicas',
+          details: { ipfsCid: file.ipfs_cid, missing: report.missing, repaired: report.repaired }
+        });
+      }
+    } catch (fileError) {
+      console.error(`Error repairing replicas of file ${file.id}:`, fileError);
+      reports.push({ fileId: file.id, stored: [], repaired: [], missing: [], error: fileError.message });
+    }
+  }
+
+  return reports;
+};
+
+/**
+ * Repair the user's replicas in the background while the app runs
+ * Only useful with more than one backend, so it does nothing otherwise.
+ * @param {string} userId - The ID of the user
+ * @returns {Function} - Stops the repairs
+ */
+export const startReplicaRepair = (userId) => {
+  if (getMaxReplicationFactor() < 2) return () => {};
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const reports = await repairReplicas(userId);
+      if (reports.length > 0) {
+        console.log('Replica repair:', JSON.stringify(reports));
+      }
+    } catch (error) {
+      console.error('Error repairing replicas:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const firstRun = setTimeout(run, FIRST_REPAIR_DELAY);
+  const interval = setInterval(run, REPAIR_INTERVAL);
+
+  return () => {
+    clearTimeout(firstRun);
+    clearInterval(interval);
+  };
+};
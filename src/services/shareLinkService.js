@@ -0,0 +1,309 @@
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system';
+import { supabase, handleSupabaseError } from './supabaseService';
+import { downloadToFileFromFilecoin } from './filecoinService';
+import { encryptData, decryptData, decryptFile, arrayBufferToBase64 } from './encryptionService';
+import { getFileKey } from './keyService';
+import { logAuditEvent } from './ledgerService';
+import { TABLES, SHARE_LINK_PREFIX } from '../utils/constants';
+
+// Share link token constants
+const TOKEN_LENGTH = 32; // bytes
+
+/**
+ * Generate a random URL-safe link token
+ * @returns {Promise<string>} - The token (base64url string)
+ */
+const generateToken = async () => {
+  const bytes = await Crypto.getRandomBytesAsync(TOKEN_LENGTH);
+  return arrayBufferToBase64(bytes)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Hash a token for lookup, so the database never sees the token itself
+ * The prefix keeps the lookup hash distinct from the key derived from the token.
+ * @param {string} token - The link token
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `lookup:${token}`);
+};
+
+/**
+ * Build the secret that wraps the file key
+ * The token alone is high-entropy; a passphrase is appended so a leaked link
+ * is useless without it. This only joins the two: when there is a passphrase,
+ * createShareLink wraps the key with the pbkdf2 KDF to stretch the secret.
+ * @param {string} token - The link token
+ * @param {string} passphrase - Optional passphrase
+ * @returns {string} - The wrapping secret
+ */
+const wrappingSecret = (token, passphrase) => {
+  return passphrase ? `${token}:${passphrase}` : token;
+};
+
+/**
+ * Extract the token from a share link or a bare token
+ * @param {string} link - Share link URL or token
+ * @returns {string} - The token
+ */
+export const parseShareLink = (link) => {
+  const trimmed = (link || '').trim();
+  const marker = 'share/';
+  const index = trimmed.lastIndexOf(marker);
+  const token = index >= 0 ? trimmed.slice(index + marker.length) : trimmed;
+  return token.split(/[?#]/)[0];
+};
+
+/**
+ * Create a share link for a file
+ * @param {string} fileId - The ID of the file to share
+ * @param {Object} options - Link options
+ * @param {string} options.passphrase - Optional passphrase required to open the link
+ * @param {Date} options.expiresAt - Optional expiration date
+ * @param {number} options.maxDownloads - Optional maximum number of downloads
+ * @returns {Promise<{url: string, link: Object}>} - The share URL and the link record
+ */
+export const createShareLink = async (fileId, { passphrase = '', expiresAt = null, maxDownloads = null } = {}) => {
+  try {
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data: fileData, error: fileError } = await supabase
+      .from(TABLES.FILES)
+      .select('id, user_id, file_name, encryption_key')
+      .eq('id', fileId)
+      .single();
+
+    if (fileError) throw fileError;
+    if (!fileData) throw new Error('File not found');
+
+    if (fileData.user_id !== user.id) {
+      throw new Error('You do not have permission to share this file');
+    }
+
+    const fileKey = await getFileKey(fileData, user.id);
+    const token = await generateToken();
+
+    const { encryptedData: wrappedKey } = await encryptData(
+      fileKey,
+      wrappingSecret(token, passphrase),
+      passphrase ? { kdf: 'pbkdf2' } : {}
+    );
+
+    const { data: link, error: linkError } = await supabase
+      .from(TABLES.SHARE_LINKS)
+      .insert([{
+        file_id: fileId,
+        created_by: user.id,
+        token_hash: await hashToken(token),
+        wrapped_key: wrappedKey,
+        has_passphrase: !!passphrase,
+        expires_at: expiresAt,
+        max_downloads: maxDownloads,
+        download_count: 0
+      }])
+      .select()
+      .single();
+
+    if (linkError) throw linkError;
+
+    // Log the link creation in audit log
+    await logAuditEvent({
+      userId: user.id,
+      fileId,
+      action: 'create_share_link',
+      details: {
+        linkId: link.id,
+        hasPassphrase: !!passphrase,
+        expiresAt,
+        maxDownloads
+      }
+    });
+
+    return { url: `${SHARE_LINK_PREFIX}${token}`, link };
+  } catch (error) {
+    console.error('Share link creation error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Fetch the share links of a file
+ * @param {string} fileId - The ID of the file
+ * @returns {Promise<Array>} - List of share links
+ */
+export const fetchShareLinks = async (fileId) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.SHARE_LINKS)
+      .select('id, has_passphrase, expires_at, max_downloads, download_count, revoked_at, created_at')
+      .eq('file_id', fileId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Fetch share links error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Revoke a share link
+ * @param {string} linkId - The ID of the link
+ * @returns {Promise<boolean>} - Success status
+ */
+export const revokeShareLink = async (linkId) => {
+  try {
+    // Get current user
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data: link, error: fetchError } = await supabase
+      .from(TABLES.SHARE_LINKS)
+      .select('file_id, created_by')
+      .eq('id', linkId)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (!link) throw new Error('Share link not found');
+
+    if (link.created_by !== user.id) {
+      throw new Error('You do not have permission to revoke this link');
+    }
+
+    const { error: updateError } = await supabase
+      .from(TABLES.SHARE_LINKS)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId);
+
+    if (updateError) throw updateError;
+
+    // Log the revocation in audit log
+    await logAuditEvent({
+      userId: user.id,
+      fileId: link.file_id,
+      action: 'revoke_share_link',
+      details: { linkId }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Share link revocation error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Look up a share link without using up a download
+ * Runs through a database function so it works without an account; the
+ * function hides revoked, expired and exhausted links.
+ * @param {string} token - The link token
+ * @returns {Promise<Object>} - File name, size, type, content location and link restrictions
+ */
+export const getShareLinkInfo = async (token) => {
+  try {
+    const { data, error } = await supabase.rpc('get_share_link', {
+      p_token_hash: await hashToken(token)
+    });
+
+    if (error) throw error;
+
+    const link = Array.isArray(data) ? data[0] : data;
+    if (!link) {
+      throw new Error('This link is invalid, expired or has been revoked');
+    }
+
+    return {
+      fileName: link.file_name,
+      fileSize: link.file_size,
+      fileType: link.file_type,
+      hasPassphrase: link.has_passphrase,
+      expiresAt: link.expires_at,
+      remainingDownloads: link.max_downloads === null
+        ? null
+        : Math.max(0, link.max_downloads - link.download_count),
+      wrappedKey: link.wrapped_key,
+      ipfsCid: link.ipfs_cid,
+      encryptionIv: link.encryption_iv
+    };
+  } catch (error) {
+    console.error('Share link lookup error:', error);
+    throw new Error(handleSupabaseError(error));
+  }
+};
+
+/**
+ * Download and decrypt the file behind a share link straight to disk
+ * A download is only used up once the content has been fetched and decrypted,
+ * so a wrong passphrase or a failed fetch costs nothing. Content is streamed
+ * chunk by chunk, so this works for files that do not fit in memory.
+ * @param {string} token - The link token
+ * @param {string} destUri - URI to write the decrypted file to
+ * @param {string} passphrase - Passphrase, if the link has one
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<{fileName: string, uri: string}>} - File name and URI of the decrypted file
+ */
+export const downloadSharedFile = async (token, destUri, passphrase = '', onProgress = () => {}) => {
+  const encryptedUri = `${FileSystem.cacheDirectory}shared_${await hashToken(token)}`;
+
+  try {
+    const info = await getShareLinkInfo(token);
+    if (info.hasPassphrase && !passphrase) {
+      throw new Error('This link requires a passphrase');
+    }
+
+    let fileKey;
+    try {
+      fileKey = await decryptData(
+        info.wrappedKey,
+        null,
+        wrappingSecret(token, info.hasPassphrase ? passphrase : '')
+      );
+    } catch (keyError) {
+      throw new Error(info.hasPassphrase ? 'Incorrect passphrase' : 'This link is corrupt');
+    }
+    onProgress(10);
+
+    // Download encrypted data from IPFS/Filecoin to disk
+    await downloadToFileFromFilecoin(info.ipfsCid, encryptedUri, (progress) => {
+      // Map progress from 10% to 70%
+      onProgress(10 + Math.floor(progress * 0.6));
+    });
+    onProgress(70);
+
+    // Decrypt to the destination
+    await decryptFile(encryptedUri, destUri, fileKey, {
+      iv: info.encryptionIv,
+      // Map progress from 70% to 95%
+      onProgress: (progress) => onProgress(70 + Math.floor(progress * 0.25))
+    });
+
+    // Count the download now the content is in hand
+    const { data, error } = await supabase.rpc('redeem_share_link', {
+      p_token_hash: await hashToken(token)
+    });
+
+    const redeemed = Array.isArray(data) ? data[0] : data;
+    if (error || !redeemed) {
+      // The link ran out or was revoked in the meantime
+      await FileSystem.deleteAsync(destUri, { idempotent: true });
+      if (error) throw error;
+      throw new Error('This link is invalid, expired or has been revoked');
+    }
+    onProgress(100);
+
+    return { fileName: info.fileName, uri: destUri };
+  } catch (error) {
+    console.error('Shared file download error:', error);
+    throw new Error(`Failed to download file: ${error.message}`);
+  } finally {
+    await FileSystem.deleteAsync(encryptedUri, { idempotent: true });
+  }
+};
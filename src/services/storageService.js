@@ -0,0 +1,779 @@
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import axios from 'axios';
+import { Buffer } from 'buffer';
+import { createDagBuilder, computeCid, parseCid, CHUNK_SIZE } from '../utils/cid';
+import { isCar, unpackCar, encodeCar } from '../utils/car';
+import { rankGateways, raceGateways } from './gatewayService';
+
+// Storage backend: 'ipfs' (Kubo HTTP API + public gateways), 'local'
+// (content-addressed store on the device) or 'memory' (lost on restart).
+// The local and memory stores need no network, for tests and offline demos.
+const STORAGE_PROVIDER = process.env.EXPO_PUBLIC_STORAGE_PROVIDER || 'ipfs';
+
+// Several independent backends to replicate files to, primary first, as a
+// JSON list of provider options, e.g.
+// [{"name": "infura", "type": "ipfs"}, {"name": "home-node", "type": "ipfs", "apiUrl": "http://..."}]
+// Without it there is a single backend of type STORAGE_PROVIDER.
+const STORAGE_BACKENDS = (() => {
+  try {
+    const backends = JSON.parse(process.env.EXPO_PUBLIC_STORAGE_BACKENDS || '[]');
+    if (backends.length > 0) return backends;
+  } catch (error) {
+    console.error('Invalid EXPO_PUBLIC_STORAGE_BACKENDS:', error);
+  }
+  return [{ type: STORAGE_PROVIDER }];
+})();
+
+// IPFS configuration using public gateways and Infura (if available)
+const IPFS_API_URL = process.env.EXPO_PUBLIC_IPFS_API_URL || 'https://ipfs.infura.io:5001/api/v0';
+
+// Optional Infura project ID and secret for more reliable service
+const INFURA_PROJECT_ID = process.env.EXPO_PUBLIC_INFURA_PROJECT_ID || '';
+const INFURA_PROJECT_SECRET = process.env.EXPO_PUBLIC_INFURA_PROJECT_SECRET || '';
+
+// Where the local provider keeps content, one file per CID
+const LOCAL_STORE_DIRECTORY = `${FileSystem.documentDirectory}bfs-store/`;
+
+// Bytes read at a time when hashing or unpacking files on disk
+const READ_SIZE = 1024 * 1024;
+
+// New content is addressed like `ipfs add --cid-version=1` (raw leaves)
+const CID_OPTIONS = { cidVersion: 1 };
+
+// How Kubo words the error for removing a pin it doesn't have
+const NOT_PINNED_PATTERN = /not pinned/i;
+
+// A gateway that sends nothing for this long is given up on
+const GATEWAY_STALL_TIMEOUT = 15000; // 15 seconds
+
+// Resumable uploads send the DAG in pieces of this many file bytes (a whole
+// number of leaves), retrying each piece a few times before giving up
+const UPLOAD_CHUNK_SIZE = 4 * CHUNK_SIZE; // 1 MiB
+const UPLOAD_CHUNK_RETRIES = 3;
+const UPLOAD_RETRY_DELAY = 2000; // 2 seconds, doubled on each retry
+
+/**
+ * Storage providers all implement the same interface:
+ *   put(fileUri, fileName, onProgress, session)
+ *                                      -> Promise<string> CID of the stored content
+ *   get(cid, destUri, onProgress)      -> Promise<string> URI the content was written to
+ *   pin(cid)                           -> Promise<void>   keep the content from garbage collection
+ *   unpin(cid)                         -> Promise<void>   allow the content to be collected;
+ *                                                         content that isn't pinned is not an error
+ *   listPins()                         -> Promise<Array<string>> CIDs of all pinned content
+ *   stat(cid)                          -> Promise<{cid, size, pinned}|null> null if unavailable
+ * The size or pinned state is null where a provider cannot tell.
+ *
+ * put() may be given an upload session, {state, save(state)}: providers that
+ * upload over the network save their progress with it as they go and pick up
+ * from session.state when called again, e.g. after the app was killed.
+ */
+
+/**
+ * Get the authentication headers for the IPFS API
+ * @param {string} projectId - Infura project ID
+ * @param {string} projectSecret - Infura project secret
+ * @returns {Object} - Authorization header, if Infura credentials are available
+ */
+const getApiAuthHeaders = (projectId, projectSecret) => {
+  if (projectId && projectSecret) {
+    return {
+      Authorization: 'Basic ' + Buffer.from(projectId + ':' + projectSecret).toString('base64')
+    };
+  }
+  return {};
+};
+
+/**
+ * Compute the CID of a file on disk without reading it into memory at once
+ * @param {string} fileUri - URI of the file
+ * @param {Object} options - DAG options (see createDagBuilder)
+ * @param {Function} onProgress - Called with the fraction read
+ * @returns {string} - CID, as `ipfs add` would give it
+ */
+const computeFileCid = (fileUri, options = CID_OPTIONS, onProgress = () => {}) => {
+  const builder = createDagBuilder(options);
+  let handle = null;
+
+  try {
+    handle = new File(fileUri).open();
+    const totalSize = handle.size;
+
+    for (let offset = 0; offset < totalSize; offset += READ_SIZE) {
+      builder.update(handle.readBytes(Math.min(READ_SIZE, totalSize - offset)));
+      onProgress(Math.min((offset + READ_SIZE) / totalSize, 1));
+    }
+
+    return builder.finish();
+  } finally {
+    handle?.close();
+  }
+};
+
+/**
+ * Check whether a file on disk is the content of a CID
+ * The DAG layout is inferred from the CID, as in matchesCid.
+ * @param {string} fileUri - URI of the file
+ * @param {string} cid - Expected CID
+ * @returns {boolean} - True if the file hashes to the CID
+ */
+export const fileMatchesCid = (fileUri, cid) => {
+  let version;
+  try {
+    ({ version } = parseCid(cid));
+  } catch (error) {
+    return false;
+  }
+  return computeFileCid(fileUri, { cidVersion: version }) === cid;
+};
+
+/**
+ * Check a gateway download against the CID that was asked for and write
+ * the file content to its destination
+ * Trustless gateways answer `?format=car` with the blocks of the DAG, which
+ * are verified one by one. Other gateways send the file itself; its DAG is
+ * rebuilt with `ipfs add` defaults, so content added with other settings
+ * can only be fetched from trustless gateways.
+ * @param {string} downloadUri - URI of the gateway response
+ * @param {string} cid - Requested CID
+ * @param {string} destUri - URI to write the file to
+ * @returns {Promise<void>}
+ */
+const verifyGatewayDownload = async (downloadUri, cid, destUri) => {
+  let source = null;
+  let dest = null;
+
+  try {
+    source = new File(downloadUri).open();
+    const totalSize = source.size;
+    const read = (offset, length) => {
+      source.offset = offset;
+      return source.readBytes(Math.max(0, Math.min(length, totalSize - offset)));
+    };
+
+    if (!isCar(read(0, 1024))) {
+      source.close();
+      source = null;
+
+      const actualCid = computeFileCid(downloadUri, { cidVersion: parseCid(cid).version });
+      if (actualCid !== cid) {
+        throw new Error(`Gateway sent content for ${actualCid} instead of ${cid}`);
+      }
+      await FileSystem.moveAsync({ from: downloadUri, to: destUri });
+      return;
+    }
+
+    const destFile = new File(destUri);
+    if (destFile.exists) destFile.delete();
+    destFile.create();
+    dest = destFile.open();
+
+    unpackCar(read, totalSize, cid, (data) => dest.writeBytes(data));
+  } finally {
+    source?.close();
+    dest?.close();
+  }
+};
+
+/**
+ * Download content from one gateway and verify it against its CID
+ * The download is given up if the gateway sends nothing for
+ * GATEWAY_STALL_TIMEOUT.
+ * @param {string} gateway - Gateway URL
+ * @param {string} cid - CID of the content
+ * @param {string} outputUri - URI to write the verified content to
+ * @param {Function} onFirstByte - Called when data starts arriving
+ * @param {Function} onProgress - Progress callback function
+ * @returns {{result: Promise<string>, cancel: Function}} - result resolves to outputUri;
+ *   cancel() stops the download and removes its files
+ */
+const downloadFromGateway = (gateway, cid, outputUri, onFirstByte, onProgress) => {
+  const downloadUri = `${outputUri}.download`;
+  let cancelled = false;
+  let stallTimer = null;
+  let rejectStalled = null;
+
+  const stalled = new Promise((resolve, reject) => {
+    rejectStalled = reject;
+  });
+  const resetStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      rejectStalled(new Error(`No data for ${GATEWAY_STALL_TIMEOUT / 1000} seconds`));
+    }, GATEWAY_STALL_TIMEOUT);
+  };
+
+  const downloadResumable = FileSystem.createDownloadResumable(
+    `${gateway}/${cid}?format=car`,
+    downloadUri,
+    { headers: { Accept: 'application/vnd.ipld.car' } },
+    (downloadProgress) => {
+      onFirstByte();
+      resetStallTimer();
+      const progress = downloadProgress.totalBytesWritten / downloadProgress.totalBytesExpectedToWrite;
+      // Distribute progress from 10% to 85%
+      onProgress(Math.min(Math.round(10 + progress * 75), 85));
+    }
+  );
+  const stopDownload = () => {
+    downloadResumable.cancelAsync().catch(() => {});
+  };
+
+  const result = (async () => {
+    try {
+      resetStallTimer();
+      const download = await Promise.race([downloadResumable.downloadAsync(), stalled]);
+      if (cancelled) throw new Error('Cancelled');
+      if (!download || !download.uri || download.status >= 400) {
+        throw new Error(`Download failed with status ${download?.status}`);
+      }
+
+      // Reject content that doesn't match the CID
+      await verifyGatewayDownload(downloadUri, cid, outputUri);
+      if (cancelled) throw new Error('Cancelled');
+
+      return outputUri;
+    } catch (error) {
+      if (!cancelled) stopDownload();
+      await FileSystem.deleteAsync(outputUri, { idempotent: true });
+      throw error;
+    } finally {
+      clearTimeout(stallTimer);
+      await FileSystem.deleteAsync(downloadUri, { idempotent: true });
+    }
+  })();
+
+  const cancel = () => {
+    cancelled = true;
+    clearTimeout(stallTimer);
+    stopDownload();
+    FileSystem.deleteAsync(outputUri, { idempotent: true }).catch(() => {});
+  };
+
+  return { result, cancel };
+};
+
+/**
+ * Add a file through an IPFS HTTP API
+ * @param {string} apiUrl - Base URL of the API
+ * @param {Object} headers - Authentication headers
+ * @param {string} fileUri - URI of the file to add
+ * @param {string} fileName - Name of the file
+ * @param {string} expectedCid - CID computed on the device
+ * @param {Function} onProgress - Called with the fraction uploaded
+ * @returns {Promise<string>} - CID of the added file
+ */
+const addToIpfsApi = async (apiUrl, headers, fileUri, fileName, expectedCid, onProgress) => {
+  // The file is streamed from disk by the native networking layer
+  const formData = new FormData();
+  formData.append('file', {
+    uri: fileUri,
+    name: fileName,
+    type: 'application/octet-stream',
+  });
+
+  const response = await axios.post(
+    `${apiUrl}/add?cid-version=1`,
+    formData,
+    {
+      headers: { ...headers, 'Content-Type': 'multipart/form-data' },
+      timeout: 60000, // 60 second timeout
+      onUploadProgress: (progressEvent) => {
+        onProgress(progressEvent.loaded / progressEvent.total);
+      },
+    }
+  );
+
+  const cid = response.data.Hash || response.data.hash || response.data.cid;
+  if (!cid) {
+    throw new Error('Failed to retrieve CID from upload response');
+  }
+  if (cid !== expectedCid) {
+    throw new Error(`IPFS node returned CID ${cid}, expected ${expectedCid}`);
+  }
+  return cid;
+};
+
+/**
+ * Add a file through an IPFS HTTP API in pieces that can be resumed
+ * The DAG is built on the device and sent with dag/import one piece at a
+ * time; after each piece the leaves built so far are saved with the
+ * session, so a later call only sends what the node doesn't have yet.
+ * @param {string} apiUrl - Base URL of the API
+ * @param {Object} headers - Authentication headers
+ * @param {string} fileUri - URI of the file to add
+ * @param {string} expectedCid - CID computed on the device
+ * @param {Object} session - Upload session ({state, save})
+ * @param {Function} onProgress - Called with the fraction uploaded
+ * @returns {Promise<string>} - CID of the added file
+ */
+const importInChunks = async (apiUrl, headers, fileUri, expectedCid, session, onProgress) => {
+  // A session for other content or another node starts over
+  const saved = session.state;
+  const state = saved?.cid === expectedCid && saved?.apiUrl === apiUrl
+    ? saved
+    : { apiUrl, cid: expectedCid, offset: 0, leaves: [], done: false };
+
+  if (!state.done) {
+    const blocks = [];
+    const builder = createDagBuilder(CID_OPTIONS, (block) => blocks.push(block), state);
+    const chunkUri = `${FileSystem.cacheDirectory}upload_${expectedCid}.car`;
+    let handle = null;
+
+    try {
+      handle = new File(fileUri).open();
+      const totalSize = handle.size;
+      let offset = state.offset;
+      handle.offset = offset;
+
+      do {
+        const length = Math.min(UPLOAD_CHUNK_SIZE, totalSize - offset);
+        builder.update(handle.readBytes(length));
+        offset += length;
+
+        // The last piece carries the rest of the tree up to the root
+        const done = offset >= totalSize;
+        if (done) {
+          const rootCid = builder.finish();
+          if (rootCid !== expectedCid) {
+            throw new Error(`File changed during upload (now ${rootCid})`);
+          }
+        }
+
+        const chunkFile = new File(chunkUri);
+        if (chunkFile.exists) chunkFile.delete();
+        chunkFile.create();
+        chunkFile.write(encodeCar(blocks[0].cid, blocks));
+        blocks.length = 0;
+
+        await importCarWithRetries(apiUrl, headers, chunkUri);
+
+        await session.save({
+          ...state,
+          offset,
+          leaves: done ? [] : builder.getState().leaves,
+          done
+        });
+        onProgress(totalSize ? offset / totalSize : 1);
+      } while (offset < totalSize);
+    } finally {
+      handle?.close();
+      await FileSystem.deleteAsync(chunkUri, { idempotent: true });
+    }
+  }
+
+  // Pinning the root checks the node has the whole DAG
+  try {
+    await axios.post(`${apiUrl}/pin/add?arg=${expectedCid}`, {}, {
+      headers,
+      timeout: 60000
+    });
+  } catch (error) {
+    // The node may have garbage collected the unpinned pieces while the
+    // upload was paused; if it answered, send everything again next time
+    if (error.response) await session.save(null);
+    throw error;
+  }
+  return expectedCid;
+};
+
+/**
+ * Send a CAR archive to an IPFS HTTP API's dag/import, retrying on failure
+ * @param {string} apiUrl - Base URL of the API
+ * @param {Object} headers - Authentication headers
+ * @param {string} carUri - URI of the archive
+ * @returns {Promise<void>}
+ */
+const importCarWithRetries = async (apiUrl, headers, carUri) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const formData = new FormData();
+      formData.append('file', {
+        uri: carUri,
+        name: 'upload.car',
+        type: 'application/vnd.ipld.car',
+      });
+
+      await axios.post(`${apiUrl}/dag/import?pin-roots=false`, formData, {
+        headers: { ...headers, 'Content-Type': 'multipart/form-data' },
+        timeout: 60000
+      });
+      return;
+    } catch (error) {
+      if (attempt >= UPLOAD_CHUNK_RETRIES) throw error;
+      console.warn(`Upload piece failed, retrying: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAY * 2 ** attempt));
+    }
+  }
+};
+
+/**
+ * Create a provider backed by an IPFS (Kubo) HTTP API, reading through public gateways
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Backend name
+ * @param {string} options.apiUrl - Base URL of the IPFS HTTP API
+ * @param {string} options.projectId - Infura project ID
+ * @param {string} options.projectSecret - Infura project secret
+ * @returns {Object} - Storage provider
+ */
+export const createKuboProvider = ({
+  name = 'ipfs',
+  apiUrl = IPFS_API_URL,
+  projectId = INFURA_PROJECT_ID,
+  projectSecret = INFURA_PROJECT_SECRET
+} = {}) => {
+  const authHeaders = getApiAuthHeaders(projectId, projectSecret);
+
+  return {
+    name,
+    type: 'ipfs',
+
+    put: async (fileUri, fileName, onProgress = () => {}, session = null) => {
+      // Work out the CID ourselves rather than trusting the node's answer;
+      // a resumed upload already knows it
+      const expectedCid = session?.state?.cid || computeFileCid(fileUri);
+      onProgress(20);
+
+      try {
+        // Try uploading to primary IPFS API
+        console.log(`Attempting to upload to primary IPFS API: ${apiUrl}`);
+        const onUploadProgress = (fraction) => {
+          onProgress(20 + Math.round(fraction * 70));
+        };
+        const cid = session
+          ? await importInChunks(apiUrl, authHeaders, fileUri, expectedCid, session, onUploadProgress)
+          : await addToIpfsApi(apiUrl, authHeaders, fileUri, fileName, expectedCid, onUploadProgress);
+
+        onProgress(100);
+        console.log('File uploaded to IPFS with CID:', cid);
+        return cid;
+      } catch (uploadError) {
+        console.warn('Primary IPFS API upload failed:', uploadError.message);
+
+        // Public gateways don't allow uploads, so the only fallback is
+        // Infura's API endpoint, and only when we have credentials for it
+        if (projectId && projectSecret) {
+          try {
+            console.log('Attempting upload via Infura direct IPFS API');
+            onProgress(30);
+
+            const cid = await addToIpfsApi(
+              'https://ipfs.infura.io:5001/api/v0',
+              authHeaders,
+              fileUri,
+              fileName,
+              expectedCid,
+              (fraction) => onProgress(30 + Math.round(fraction * 60))
+            );
+
+            onProgress(100);
+            console.log('File uploaded to IPFS via Infura with CID:', cid);
+            return cid;
+          } catch (infuraError) {
+            console.error('Infura upload failed:', infuraError.message);
+            // Continue to error
+          }
+        }
+
+        throw new Error(`All IPFS upload attempts failed. Primary error: ${uploadError.message}`);
+      }
+    },
+
+    get: async (cid, destUri, onProgress = () => {}) => {
+      // Progress follows whichever gateway is furthest along
+      let reported = 0;
+      const reportProgress = (progress) => {
+        if (progress > reported) {
+          reported = progress;
+          onProgress(progress);
+        }
+      };
+
+      try {
+        const { gateway, value: verifiedUri } = await raceGateways((gateway, index, onFirstByte) =>
+          downloadFromGateway(gateway, cid, `${destUri}.${index}`, onFirstByte, reportProgress)
+        );
+
+        await FileSystem.deleteAsync(destUri, { idempotent: true });
+        await FileSystem.moveAsync({ from: verifiedUri, to: destUri });
+
+        onProgress(100);
+        console.log(`Successfully downloaded and verified ${cid} from gateway: ${gateway}`);
+
+        return destUri;
+      } catch (error) {
+        console.error('All IPFS gateways failed:', error);
+        throw new Error('Failed to download from all IPFS gateways. Please try again later.');
+      }
+    },
+
+    pin: async (cid) => {
+      await axios.post(`${apiUrl}/pin/add?arg=${cid}`, {}, {
+        headers: authHeaders,
+        timeout: 60000
+      });
+    },
+
+    unpin: async (cid) => {
+      try {
+        await axios.post(`${apiUrl}/pin/rm?arg=${cid}`, {}, {
+          headers: authHeaders,
+          timeout: 10000
+        });
+      } catch (error) {
+        // Kubo refuses to remove a pin it doesn't have
+        if (!NOT_PINNED_PATTERN.test(error.response?.data?.Message || '')) throw error;
+      }
+    },
+
+    listPins: async () => {
+      // Only recursive pins keep whole files; direct and indirect pins are
+      // single blocks and blocks of pinned files
+      const { data } = await axios.post(`${apiUrl}/pin/ls?type=recursive`, {}, {
+        headers: authHeaders,
+        timeout: 60000
+      });
+      return Object.keys(data?.Keys || {});
+    },
+
+    stat: async (cid) => {
+      // Ask the API first: it knows the size and whether the content is pinned
+      try {
+        const { data } = await axios.post(`${apiUrl}/files/stat?arg=/ipfs/${cid}`, {}, {
+          headers: authHeaders,
+          timeout: 10000
+        });
+
+        let pinned = false;
+        try {
+          await axios.post(`${apiUrl}/pin/ls?arg=${cid}`, {}, {
+            headers: authHeaders,
+            timeout: 10000
+          });
+          pinned = true;
+        } catch (pinError) {
+          // pin/ls fails for content that isn't pinned
+        }
+
+        return { cid, size: data.Size ?? null, pinned };
+      } catch (apiError) {
+        console.log('IPFS API stat failed, falling back to gateway checks:', apiError.message);
+      }
+
+      // Try each gateway until we find one that has the content
+      for (const gateway of await rankGateways()) {
+        try {
+          console.log(`Checking CID ${cid} availability on gateway: ${gateway}`);
+          const response = await axios.head(`${gateway}/${cid}`, {
+            timeout: 5000, // 5 second timeout per gateway
+          });
+
+          if (response.status === 200) {
+            const size = parseInt(response.headers['content-length'], 10);
+            return { cid, size: Number.isNaN(size) ? null : size, pinned: null };
+          }
+        } catch (gatewayError) {
+          console.warn(`CID ${cid} not available on gateway ${gateway}:`, gatewayError.message);
+        }
+      }
+
+      console.log(`CID ${cid} was not found on any IPFS gateway`);
+      return null;
+    }
+  };
+};
+
+/**
+ * Create a provider that keeps content in a directory on the device, one
+ * file per CID. All stored content counts as pinned; unpinning deletes it,
+ * as garbage collection would.
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Backend name
+ * @param {string} options.directory - Directory URI of the store
+ * @returns {Object} - Storage provider
+ */
+export const createLocalProvider = ({ name = 'local', directory = LOCAL_STORE_DIRECTORY } = {}) => {
+  const contentUri = (cid) => `${directory}${cid}`;
+
+  const ensureDirectory = async () => {
+    const info = await FileSystem.getInfoAsync(directory);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+  };
+
+  const requireContent = async (cid) => {
+    const info = await FileSystem.getInfoAsync(contentUri(cid));
+    if (!info.exists) {
+      throw new Error(`Content ${cid} is not in the local store`);
+    }
+    return info;
+  };
+
+  return {
+    name,
+    type: 'local',
+
+    put: async (fileUri, fileName, onProgress = () => {}) => {
+      onProgress(10);
+      const cid = computeFileCid(fileUri, CID_OPTIONS, (fraction) => {
+        onProgress(10 + Math.round(fraction * 70));
+      });
+
+      await ensureDirectory();
+      const info = await FileSystem.getInfoAsync(contentUri(cid));
+      if (!info.exists) {
+        await FileSystem.copyAsync({ from: fileUri, to: contentUri(cid) });
+      }
+
+      onProgress(100);
+      console.log(`Stored ${fileName} in the local store with CID:`, cid);
+      return cid;
+    },
+
+    get: async (cid, destUri, onProgress = () => {}) => {
+      await requireContent(cid);
+      await FileSystem.copyAsync({ from: contentUri(cid), to: destUri });
+      onProgress(100);
+      return destUri;
+    },
+
+    pin: async (cid) => {
+      await requireContent(cid);
+    },
+
+    unpin: async (cid) => {
+      await FileSystem.deleteAsync(contentUri(cid), { idempotent: true });
+    },
+
+    listPins: async () => {
+      const info = await FileSystem.getInfoAsync(directory);
+      return info.exists ? FileSystem.readDirectoryAsync(directory) : [];
+    },
+
+    stat: async (cid) => {
+      const info = await FileSystem.getInfoAsync(contentUri(cid));
+      return info.exists ? { cid, size: info.size ?? null, pinned: true } : null;
+    }
+  };
+};
+
+/**
+ * Create a provider that keeps content in memory for the life of the app.
+ * Unpinned content is dropped straight away.
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Backend name
+ * @returns {Object} - Storage provider
+ */
+export const createMemoryProvider = ({ name = 'memory' } = {}) => {
+  const contents = new Map();
+  const pins = new Set();
+
+  const requireContent = (cid) => {
+    const bytes = contents.get(cid);
+    if (!bytes) {
+      throw new Error(`Content ${cid} is not in the memory store`);
+    }
+    return bytes;
+  };
+
+  return {
+    name,
+    type: 'memory',
+
+    put: async (fileUri, fileName, onProgress = () => {}) => {
+      onProgress(10);
+      const bytes = new File(fileUri).bytes();
+      const cid = computeCid(bytes, CID_OPTIONS);
+
+      contents.set(cid, bytes);
+      pins.add(cid);
+
+      onProgress(100);
+      return cid;
+    },
+
+    get: async (cid, destUri, onProgress = () => {}) => {
+      const bytes = requireContent(cid);
+      const destFile = new File(destUri);
+      if (destFile.exists) destFile.delete();
+      destFile.create();
+      destFile.write(bytes);
+
+      onProgress(100);
+      return destUri;
+    },
+
+    pin: async (cid) => {
+      requireContent(cid);
+      pins.add(cid);
+    },
+
+    unpin: async (cid) => {
+      pins.delete(cid);
+      contents.delete(cid);
+    },
+
+    listPins: async () => [...pins],
+
+    stat: async (cid) => {
+      const bytes = contents.get(cid);
+      return bytes ? { cid, size: bytes.length, pinned: pins.has(cid) } : null;
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  ipfs: createKuboProvider,
+  local: createLocalProvider,
+  memory: createMemoryProvider,
+};
+
+let storageBackends = null;
+
+/**
+ * Get the configured storage backends, primary first
+ * @returns {Array<Object>} - Storage providers (see the interface above)
+ */
+export const getStorageBackends = () => {
+  if (!storageBackends) {
+    storageBackends = STORAGE_BACKENDS.map(({ type, ...options }) => {
+      const createProvider = PROVIDER_FACTORIES[type];
+      if (!createProvider) {
+        throw new Error(`Unknown storage provider: ${type}`);
+      }
+      return createProvider({ name: type, ...options });
+    });
+  }
+  return storageBackends;
+};
+
+/**
+ * Get a storage backend by name
+ * @param {string} name - Backend name
+ * @returns {Object} - Storage provider
+ */
+export const getStorageBackend = (name) => {
+  const backend = getStorageBackends().find(provider => provider.name === name);
+  if (!backend) {
+    throw new Error(`Storage backend ${name} is not configured`);
+  }
+  return backend;
+};
+
+/**
+ * Get the primary storage provider
+ * @returns {Object} - Storage provider (see the interface above)
+ */
+export const getStorageProvider = () => {
+  return getStorageBackends()[0];
+};
+
+/**
+ * Replace the storage backends, e.g. with in-memory stores in tests
+ * @param {Array<Object>} providers - Storage providers, primary first
+ */
+export const setStorageBackends = (providers) => {
+  storageBackends = providers;
+};
@@ -0,0 +1,285 @@
+import NetInfo from '@react-native-community/netinfo';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { resumeUpload } from './fileService';
+import { deleteFromFilecoin } from './filecoinService';
+import {
+  getUploadSessions,
+  getUploadSession,
+  saveUploadSession,
+  deleteUploadSession,
+  isUploadInProgress
+} from './uploadSessionService';
+
+// A failed upload is retried after RETRY_BASE_DELAY, twice as long after each
+// further failure up to MAX_RETRY_DELAY. After MAX_ATTEMPTS failures it waits
+// for the user to retry it. Failures while offline don't count.
+const RETRY_BASE_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const MAX_ATTEMPTS = 10;
+
+// How often the queue looks for uploads that are due
+const QUEUE_CHECK_INTERVAL = 30 * 1000; // 30 seconds
+
+// Completed uploads kept for the Uploads screen
+const COMPLETED_UPLOADS_KEPT = 20;
+
+// AsyncStorage keys for the upload queue
+const ASYNC_STORAGE_KEYS = {
+  COMPLETED_PREFIX: 'upload_completed_'
+};
+
+let processing = null;
+const uploadProgress = {};
+const listeners = new Set();
+
+const notifyListeners = () => {
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribe to changes in the upload queue (status and progress)
+ * @param {Function} listener - Called with no arguments on every change
+ * @returns {Function} - Unsubscribes the listener
+ */
+export const onUploadQueueChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Check whether the device can reach the network
+ * @returns {Promise<boolean>} - False when known to be offline
+ */
+const isOnline = async () => {
+  const state = await NetInfo.fetch();
+  return state.isConnected !== false && state.isInternetReachable !== false;
+};
+
+/**
+ * Get a user's uploads for display
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<{pending: Array<Object>, completed: Array<Object>}>} - Upload
+ *   sessions not yet recorded (status 'queued', 'uploading' or 'failed', with
+ *   progress while uploading), newest first, and recently completed uploads
+ */
+export const getUploadQueue = async (userId) => {
+  const sessions = await getUploadSessions(userId);
+  const pending = sessions.map((session) => {
+    let status = session.status || 'queued';
+    if (isUploadInProgress(session.id)) {
+      status = 'uploading';
+    } else if (status === 'uploading') {
+      // Left over from an upload the app was killed during
+      status = 'queued';
+    }
+    return { ...session, status, progress: uploadProgress[session.id] ?? null };
+  });
+
+  return { pending, completed: await getCompletedUploads(userId) };
+};
+
+/**
+ * Get a user's recently completed uploads, newest first
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - id, fileId, fileName, fileSize and completedAt
+ */
+const getCompletedUploads = async (userId) => {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(`${ASYNC_STORAGE_KEYS.COMPLETED_PREFIX}${userId}`) || '[]');
+  } catch (error) {
+    console.error('Error reading completed uploads:', error);
+    return [];
+  }
+};
+
+const recordCompletedUpload = async (session, file) => {
+  const completed = await getCompletedUploads(session.userId);
+  completed.unshift({
+    id: session.id,
+    fileId: file.id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    completedAt: new Date().toISOString()
+  });
+  await AsyncStorage.setItem(
+    `${ASYNC_STORAGE_KEYS.COMPLETED_PREFIX}${session.userId}`,
+    JSON.stringify(completed.slice(0, COMPLETED_UPLOADS_KEPT))
+  );
+};
+
+/**
+ * Forget the completed uploads of a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+export const clearCompletedUploads = async (userId) => {
+  await AsyncStorage.removeItem(`${ASYNC_STORAGE_KEYS.COMPLETED_PREFIX}${userId}`);
+  notifyListeners();
+};
+
+/**
+ * Forget the completed uploads of every user on the device
+ * @returns {Promise<void>}
+ */
+export const clearUploadHistory = async () => {
+  const keys = (await AsyncStorage.getAllKeys())
+    .filter(key => key.startsWith(ASYNC_STORAGE_KEYS.COMPLETED_PREFIX));
+  if (keys.length > 0) {
+    await AsyncStorage.multiRemove(keys);
+  }
+};
+
+/**
+ * Make one attempt at an upload and schedule the next one if it fails
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+const attemptUpload = async (session) => {
+  await saveUploadSession({ ...session, status: 'uploading' });
+  uploadProgress[session.id] = 30;
+  notifyListeners();
+
+  try {
+    const file = await resumeUpload(session.id, (progress) => {
+      uploadProgress[session.id] = progress;
+      notifyListeners();
+    });
+    console.log(`Queued upload of ${session.fileName} completed`);
+
+    try {
+      await recordCompletedUpload(session, file);
+    } catch (historyError) {
+      console.error('Error recording completed upload:', historyError);
+      // Continue anyway as this is not critical
+    }
+  } catch (error) {
+    // The attempt saved its progress to the session, so start from that copy
+    const latest = await getUploadSession(session.id);
+    if (latest) {
+      const online = await isOnline();
+      const attempts = (latest.attempts || 0) + (online ? 1 : 0);
+      const delay = Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+      await saveUploadSession({
+        ...latest,
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+        attempts,
+        // Offline uploads go again as soon as the device is back online
+        nextAttemptAt: online ? Date.now() + delay : null,
+        lastError: error.message
+      });
+      console.warn(`Queued upload of ${session.fileName} failed (attempt ${attempts}):`, error.message);
+    }
+  } finally {
+    delete uploadProgress[session.id];
+    notifyListeners();
+  }
+};
+
+/**
+ * Upload every queued file that is due, one at a time, while online
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+const runQueue = async (userId) => {
+  while (await isOnline()) {
+    const now = Date.now();
+    // Oldest first
+    const due = (await getUploadSessions(userId)).reverse().find(session =>
+      session.status !== 'failed' &&
+      !isUploadInProgress(session.id) &&
+      (session.nextAttemptAt || 0) <= now
+    );
+    if (!due) return;
+
+    await attemptUpload(due);
+  }
+};
+
+/**
+ * Upload the user's queued files that are due
+ * Only one pass runs at a time; calls during a pass wait for it, and uploads
+ * queued meanwhile are picked up by it.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+export const processUploadQueue = (userId) => {
+  if (!processing) {
+    processing = runQueue(userId).finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+/**
+ * Retry an upload now, including one that has used up its attempts
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+export const retryUpload = async (session) => {
+  const latest = await getUploadSession(session.id);
+  if (!latest) {
+    throw new Error('This upload can no longer be resumed');
+  }
+
+  await saveUploadSession({ ...latest, status: 'queued', attempts: 0, nextAttemptAt: null, lastError: null });
+  notifyListeners();
+  processUploadQueue(latest.userId).catch((error) => {
+    console.error('Error processing upload queue:', error);
+  });
+};
+
+/**
+ * Remove an upload from the queue and delete its encrypted file
+ * Content that was already stored is unpinned first, as no file will refer
+ * to it. If it can't be unpinned the session is kept, marked as failed so
+ * it isn't uploaded again, and discarding it can be tried again later.
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+export const cancelUpload = async (session) => {
+  if (isUploadInProgress(session.id)) {
+    throw new Error('This file is being uploaded right now');
+  }
+
+  if (session.cid && !(await deleteFromFilecoin(session.cid, session.backends))) {
+    const lastError = 'The uploaded content could not be removed from storage';
+    const latest = await getUploadSession(session.id);
+    if (latest) {
+      await saveUploadSession({ ...latest, status: 'failed', lastError });
+    }
+    notifyListeners();
+    throw new Error(`${lastError}. Please try discarding the upload again later.`);
+  }
+
+  await deleteUploadSession(session);
+  notifyListeners();
+};
+
+/**
+ * Work through the user's upload queue in the background while the app runs
+ * The queue is checked periodically for retries that are due, and straight
+ * away whenever the device comes back online.
+ * @param {string} userId - The ID of the user
+ * @returns {Function} - Stops the queue
+ */
+export const startUploadQueue = (userId) => {
+  const run = () => {
+    processUploadQueue(userId).catch((error) => {
+      console.error('Error processing upload queue:', error);
+    });
+  };
+
+  const unsubscribe = NetInfo.addEventListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      run();
+    }
+  });
+  const interval = setInterval(run, QUEUE_CHECK_INTERVAL);
+
+  return () => {
+    unsubscribe();
+    clearInterval(interval);
+  };
+};
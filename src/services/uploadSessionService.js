@@ -0,0 +1,183 @@
+import * as FileSystem from 'expo-file-system';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Uploads keep their encrypted file here until the file is recorded, so an
+// interrupted upload can carry on after the app restarts
+const UPLOAD_DIRECTORY = `${FileSystem.documentDirectory}uploads/`;
+
+// AsyncStorage keys for upload sessions
+const ASYNC_STORAGE_KEYS = {
+  SESSION_PREFIX: 'upload_session_'
+};
+
+// Encrypted files with no session are left over from an upload killed while
+// encrypting; anything this old can't belong to an upload still running
+const STRAY_FILE_AGE = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Upload sessions are stored as JSON:
+ *   id, userId, fileName, fileType, fileSize, description, isPublic,
+ *   replicationFactor  - what uploadFile was asked to do
+ *   encryptedUri       - the encrypted file being uploaded
+ *   wrappedKey         - content key, wrapped for the owner's public key
+ *   iv, contentHash, plaintextHash - from encrypting the file
+ *   backendStates      - resumable upload state by storage backend (the
+ *                        leaves uploaded so far and where to read on)
+ *   cid, backends      - set once the content is stored
+ *   stage              - 'uploading' or 'uploaded'
+ *   status             - place in the upload queue: 'queued', 'uploading' or 'failed'
+ *   attempts, nextAttemptAt, lastError - retry state for the upload queue
+ */
+
+// Sessions being uploaded right now by this app process. The saved status
+// can't tell, as the app may have been killed mid-upload.
+const activeUploads = new Set();
+
+/**
+ * Start an upload session
+ * The session isn't saved until the file has been encrypted.
+ * @param {Object} details - What is being uploaded (see above)
+ * @returns {Promise<Object>} - New session
+ */
+export const createUploadSession = async (details) => {
+  const info = await FileSystem.getInfoAsync(UPLOAD_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(UPLOAD_DIRECTORY, { intermediates: true });
+  }
+
+  const id = `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+  return {
+    ...details,
+    id,
+    encryptedUri: `${UPLOAD_DIRECTORY}${id}`,
+    backendStates: {},
+    stage: 'uploading',
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Save an upload session
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+export const saveUploadSession = async (session) => {
+  await AsyncStorage.setItem(
+    `${ASYNC_STORAGE_KEYS.SESSION_PREFIX}${session.id}`,
+    JSON.stringify({ ...session, updatedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * Get an upload session
+ * @param {string} sessionId - The ID of the session
+ * @returns {Promise<Object|null>} - Upload session, or null if there is none
+ */
+export const getUploadSession = async (sessionId) => {
+  const json = await AsyncStorage.getItem(`${ASYNC_STORAGE_KEYS.SESSION_PREFIX}${sessionId}`);
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Mark an upload session as being uploaded by this app process
+ * @param {string} sessionId - The ID of the session
+ * @returns {boolean} - False if it is already being uploaded
+ */
+export const beginUploadAttempt = (sessionId) => {
+  if (activeUploads.has(sessionId)) return false;
+  activeUploads.add(sessionId);
+  return true;
+};
+
+/**
+ * Mark an upload session as no longer being uploaded
+ * @param {string} sessionId - The ID of the session
+ */
+export const endUploadAttempt = (sessionId) => {
+  activeUploads.delete(sessionId);
+};
+
+/**
+ * Check whether an upload session is being uploaded by this app process
+ * @param {string} sessionId - The ID of the session
+ * @returns {boolean} - True while an upload attempt is running
+ */
+export const isUploadInProgress = (sessionId) => activeUploads.has(sessionId);
+
+/**
+ * Get a user's unfinished uploads, newest first
+ * Sessions whose encrypted file is gone can't be resumed and are dropped.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - Upload sessions
+ */
+export const getUploadSessions = async (userId) => {
+  try {
+    const keys = (await AsyncStorage.getAllKeys())
+      .filter(key => key.startsWith(ASYNC_STORAGE_KEYS.SESSION_PREFIX));
+    const sessions = (await AsyncStorage.multiGet(keys))
+      .map(([, json]) => JSON.parse(json))
+      .filter(Boolean);
+
+    const usable = [];
+    for (const session of sessions) {
+      const info = await FileSystem.getInfoAsync(session.encryptedUri);
+      if (!info.exists) {
+        await deleteUploadSession(session);
+      } else if (session.userId === userId) {
+        usable.push(session);
+      }
+    }
+
+    await removeStrayFiles(sessions);
+
+    return usable.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  } catch (error) {
+    console.error('Error getting upload sessions:', error);
+    return [];
+  }
+};
+
+/**
+ * Delete encrypted files that no session refers to
+ * @param {Array<Object>} sessions - Every saved session
+ * @returns {Promise<void>}
+ */
+const removeStrayFiles = async (sessions) => {
+  const info = await FileSystem.getInfoAsync(UPLOAD_DIRECTORY);
+  if (!info.exists) return;
+
+  const known = new Set(sessions.map(session => session.id));
+  for (const name of await FileSystem.readDirectoryAsync(UPLOAD_DIRECTORY)) {
+    const createdAt = parseInt(name.split('_')[0], 10);
+    if (!known.has(name) && Date.now() - createdAt > STRAY_FILE_AGE) {
+      await FileSystem.deleteAsync(`${UPLOAD_DIRECTORY}${name}`, { idempotent: true });
+    }
+  }
+};
+
+/**
+ * Delete an upload session and its encrypted file
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+export const deleteUploadSession = async (session) => {
+  await AsyncStorage.removeItem(`${ASYNC_STORAGE_KEYS.SESSION_PREFIX}${session.id}`);
+  await FileSystem.deleteAsync(session.encryptedUri, { idempotent: true });
+};
+
+/**
+ * Delete every upload session on the device, whoever started it
+ * @returns {Promise<void>}
+ */
+export const clearUploadSessions = async () => {
+  const keys = (await AsyncStorage.getAllKeys())
+    .filter(key => key.startsWith(ASYNC_STORAGE_KEYS.SESSION_PREFIX));
+  if (keys.length > 0) {
+    await AsyncStorage.multiRemove(keys);
+  }
+  await FileSystem.deleteAsync(UPLOAD_DIRECTORY, { idempotent: true });
+};
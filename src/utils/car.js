@@ -0,0 +1,124 @@
+import { varint, readVarint, parseCid, readBinaryCid, verifyBlock, decodeFileBlock } from './cid';
+
+// CAR (v1) archives, as served by trustless gateways for `?format=car`:
+// varint-prefixed dag-cbor header, then varint-prefixed sections of
+// CID + block bytes. Reads go through a callback so archives on disk
+// never have to be loaded whole.
+
+const MAX_HEADER_LENGTH = 1024; // bytes
+const MAX_VARINT_LENGTH = 10; // bytes
+
+// dag-cbor tag for CIDs
+const CBOR_CID_TAG = 42;
+
+/**
+ * Check whether a file starts with a CAR header
+ * @param {Uint8Array} head - First bytes of the file (MAX_HEADER_LENGTH is plenty)
+ * @returns {boolean} - True for a CAR archive
+ */
+export const isCar = (head) => {
+  try {
+    const [length, offset] = readVarint(head, 0);
+    if (length === 0 || length > MAX_HEADER_LENGTH || offset + length > head.length) return false;
+
+    // A dag-cbor map holding "roots" and "version"
+    const header = head.subarray(offset, offset + length);
+    const text = String.fromCharCode(...header);
+    return (header[0] & 0xe0) === 0xa0 && text.includes('roots') && text.includes('version');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find the blocks of a CAR archive, checking each one against its CID
+ * @param {Function} read - Called with (offset, length), returns the bytes there
+ * @param {number} totalSize - Size of the archive in bytes
+ * @returns {Map<string, {offset: number, length: number}>} - Block positions by CID
+ */
+export const indexCar = (read, totalSize) => {
+  const blocks = new Map();
+
+  const [headerLength, headerStart] = readVarint(read(0, MAX_VARINT_LENGTH), 0);
+  let offset = headerStart + headerLength;
+
+  while (offset < totalSize) {
+    const [sectionLength, sectionStart] = readVarint(read(offset, MAX_VARINT_LENGTH), 0);
+    const section = read(offset + sectionStart, sectionLength);
+    if (section.length < sectionLength) throw new Error('Truncated CAR archive');
+
+    const [cid, blockStart] = readBinaryCid(section, 0);
+    const block = section.subarray(blockStart);
+    if (!verifyBlock(cid, block)) {
+      throw new Error(`Block ${cid} does not match its CID`);
+    }
+
+    blocks.set(cid, { offset: offset + sectionStart + blockStart, length: block.length });
+    offset += sectionStart + sectionLength;
+  }
+
+  return blocks;
+};
+
+/**
+ * Reassemble a UnixFS file from a CAR archive
+ * Every block is verified against its CID and the file is only built from
+ * blocks reachable from the requested root, so a gateway can't substitute
+ * content without the CID changing.
+ * @param {Function} read - Called with (offset, length), returns the bytes there
+ * @param {number} totalSize - Size of the archive in bytes
+ * @param {string} rootCid - CID of the file
+ * @param {Function} write - Called with each piece of file data, in order
+ * @returns {void}
+ */
+export const unpackCar = (read, totalSize, rootCid, write) => {
+  const blocks = indexCar(read, totalSize);
+
+  // Depth-first, left to right, gives the file data in order
+  const pending = [rootCid];
+  while (pending.length > 0) {
+    const cid = pending.pop();
+    const position = blocks.get(cid);
+    if (!position) throw new Error(`Block ${cid} is missing from the archive`);
+
+    const { links, data } = decodeFileBlock(cid, read(position.offset, position.length));
+    if (data.length > 0) write(data);
+    for (let i = links.length - 1; i >= 0; i--) {
+      pending.push(links[i]);
+    }
+  }
+};
+
+/**
+ * Pack blocks into a CAR archive, e.g. for an IPFS node's dag/import
+ * @param {string} rootCid - CID named as the archive's root
+ * @param {Array<{cid: string, bytes: Uint8Array}>} blocks - Blocks to include
+ * @returns {Uint8Array} - The archive
+ */
+export const encodeCar = (rootCid, blocks) => {
+  // Header {"roots": [CID], "version": 1}; a CID is tag 42 over a byte
+  // string of the binary CID behind a zero (identity multibase) byte
+  const root = parseCid(rootCid).bytes;
+  const rootLength = root.length + 1;
+  const header = Uint8Array.of(
+    0xa2,
+    0x65, ...Array.from('roots', c => c.charCodeAt(0)),
+    0x81, 0xd8, CBOR_CID_TAG, 0x58, rootLength, 0x00, ...root,
+    0x67, ...Array.from('version', c => c.charCodeAt(0)),
+    0x01
+  );
+
+  const parts = [Uint8Array.from(varint(header.length)), header];
+  for (const block of blocks) {
+    const cid = parseCid(block.cid).bytes;
+    parts.push(Uint8Array.from(varint(cid.length + block.bytes.length)), cid, block.bytes);
+  }
+
+  const car = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    car.set(part, offset);
+    offset += part.length;
+  }
+  return car;
+};
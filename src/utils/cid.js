@@ -0,0 +1,457 @@
+import { sha256 } from '@noble/hashes/sha256';
+
+// Content identifiers as produced by `ipfs add` with default settings:
+// fixed-size 256 KiB chunks, balanced DAG with at most 174 links per node,
+// sha2-256. CIDv0 stores chunks as dag-pb UnixFS leaves; CIDv1 (as with
+// `--cid-version=1`) stores them as raw leaves.
+export const CHUNK_SIZE = 256 * 1024; // bytes
+const MAX_LINKS = 174;
+
+const CODECS = {
+  DAG_PB: 0x70,
+  RAW: 0x55,
+};
+
+const MULTIHASH_SHA2_256 = 0x12;
+const DIGEST_LENGTH = 32; // bytes
+const UNIXFS_FILE = 2;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Encode an unsigned integer as a protobuf/multiformats varint
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} - Varint bytes
+ */
+export const varint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+};
+
+/**
+ * Read a varint
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Position of the varint
+ * @returns {[number, number]} - Value and position after it
+ */
+export const readVarint = (bytes, offset) => {
+  let value = 0;
+  let factor = 1;
+  for (;;) {
+    if (offset >= bytes.length) throw new Error('Truncated varint');
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * factor;
+    if (byte < 0x80) return [value, offset];
+    factor *= 0x80;
+  }
+};
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const bytesField = (tag, bytes) => [Uint8Array.of(tag, ...varint(bytes.length)), bytes];
+
+/**
+ * Encode the UnixFS data of a file node
+ * @param {Uint8Array|null} data - Chunk data (leaf nodes only)
+ * @param {number} fileSize - Bytes of file data under this node
+ * @param {Array<number>} blockSizes - File bytes under each child
+ * @returns {Uint8Array} - UnixFS protobuf
+ */
+const encodeUnixFsFile = (data, fileSize, blockSizes = []) => {
+  const parts = [Uint8Array.of(0x08, UNIXFS_FILE)];
+  if (data && data.length) parts.push(...bytesField(0x12, data));
+  parts.push(Uint8Array.of(0x18, ...varint(fileSize)));
+  for (const size of blockSizes) parts.push(Uint8Array.of(0x20, ...varint(size)));
+  return concat(parts);
+};
+
+/**
+ * Encode a dag-pb node (links first, as the canonical form requires)
+ * @param {Array<{cid: Uint8Array, tsize: number}>} links - Child links
+ * @param {Uint8Array} data - Node data
+ * @returns {Uint8Array} - dag-pb block
+ */
+const encodeDagPb = (links, data) => {
+  const parts = [];
+  for (const link of links) {
+    const encodedLink = concat([
+      ...bytesField(0x0a, link.cid),
+      Uint8Array.of(0x12, 0x00), // empty name
+      Uint8Array.of(0x18, ...varint(link.tsize)),
+    ]);
+    parts.push(...bytesField(0x12, encodedLink));
+  }
+  parts.push(...bytesField(0x0a, data));
+  return concat(parts);
+};
+
+const multihash = (block) => concat([Uint8Array.of(MULTIHASH_SHA2_256, DIGEST_LENGTH), sha256(block)]);
+
+/**
+ * Build the binary CID of a block
+ * @param {Uint8Array} block - Block bytes
+ * @param {number} version - CID version (0 or 1)
+ * @param {number} codec - Block codec
+ * @returns {Uint8Array} - Binary CID
+ */
+const blockCid = (block, version, codec) => {
+  if (version === 0) return multihash(block);
+  return concat([Uint8Array.of(...varint(1), ...varint(codec)), multihash(block)]);
+};
+
+const base58Encode = (bytes) => {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+  let out = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) out += '1';
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58_ALPHABET[digits[i]];
+  return out;
+};
+
+const base58Decode = (text) => {
+  const bytes = [0];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) throw new Error('Invalid base58 character');
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+  return Uint8Array.from(bytes.reverse());
+};
+
+const base32Encode = (bytes) => {
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (text) => {
+  const out = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(out);
+};
+
+/**
+ * Convert a binary CID to its string form
+ * @param {Uint8Array} cid - Binary CID
+ * @returns {string} - base58btc for CIDv0, base32 ("b" prefix) for CIDv1
+ */
+export const cidToString = (cid) => {
+  return cid[0] === MULTIHASH_SHA2_256 ? base58Encode(cid) : `b${base32Encode(cid)}`;
+};
+
+/**
+ * Parse a CID string
+ * @param {string} text - CIDv0 (Qm...) or base32 CIDv1 (b...)
+ * @returns {{version: number, codec: number, digest: Uint8Array, bytes: Uint8Array}} - Parsed CID
+ */
+export const parseCid = (text) => {
+  let bytes;
+  if (text.length === 46 && text.startsWith('Qm')) {
+    bytes = base58Decode(text);
+  } else if (text.startsWith('b')) {
+    bytes = base32Decode(text.slice(1).toLowerCase());
+  } else {
+    throw new Error(`Unsupported CID encoding: ${text}`);
+  }
+
+  let version = 0;
+  let codec = CODECS.DAG_PB;
+  let offset = 0;
+  if (bytes[0] !== MULTIHASH_SHA2_256) {
+    [version, offset] = readVarint(bytes, 0);
+    [codec, offset] = readVarint(bytes, offset);
+    if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+  }
+
+  const [hashCode, lengthOffset] = readVarint(bytes, offset);
+  const [length, digestOffset] = readVarint(bytes, lengthOffset);
+  if (hashCode !== MULTIHASH_SHA2_256 || length !== DIGEST_LENGTH) {
+    throw new Error('Only sha2-256 CIDs are supported');
+  }
+
+  return { version, codec, digest: bytes.slice(digestOffset, digestOffset + length), bytes };
+};
+
+/**
+ * Read the CID at the start of a CAR section or dag-pb link
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Position of the CID
+ * @returns {[string, number]} - CID string and position after it
+ */
+export const readBinaryCid = (bytes, offset = 0) => {
+  const start = offset;
+  if (bytes[offset] === MULTIHASH_SHA2_256 && bytes[offset + 1] === DIGEST_LENGTH) {
+    offset += 2 + DIGEST_LENGTH;
+  } else {
+    [, offset] = readVarint(bytes, offset); // version
+    [, offset] = readVarint(bytes, offset); // codec
+    [, offset] = readVarint(bytes, offset); // hash function
+    let length;
+    [length, offset] = readVarint(bytes, offset);
+    offset += length;
+  }
+  if (offset > bytes.length) throw new Error('Truncated CID');
+  return [cidToString(bytes.subarray(start, offset)), offset];
+};
+
+/**
+ * Check that a block hashes to its CID
+ * @param {string} cid - Claimed CID of the block
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {boolean} - True if the block matches
+ */
+export const verifyBlock = (cid, bytes) => {
+  try {
+    const { digest } = parseCid(cid);
+    const actual = sha256(bytes);
+    return actual.every((byte, i) => byte === digest[i]);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Split a protobuf message into its fields
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {Array<{field: number, value: number|Uint8Array}>} - Fields in order
+ */
+const readProtobuf = (bytes) => {
+  const fields = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let key;
+    [key, offset] = readVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      let value;
+      [value, offset] = readVarint(bytes, offset);
+      fields.push({ field, value });
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = readVarint(bytes, offset);
+      if (offset + length > bytes.length) throw new Error('Truncated protobuf field');
+      fields.push({ field, value: bytes.subarray(offset, offset + length) });
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  return fields;
+};
+
+/**
+ * Decode a block of a UnixFS file DAG
+ * @param {string} cid - CID of the block
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {{links: Array<string>, data: Uint8Array}} - Child CIDs in file order,
+ *   and the file data held by the block itself
+ */
+export const decodeFileBlock = (cid, bytes) => {
+  if (parseCid(cid).codec === CODECS.RAW) {
+    return { links: [], data: bytes };
+  }
+
+  const links = [];
+  let unixFs = null;
+  for (const { field, value } of readProtobuf(bytes)) {
+    if (field === 2) {
+      const hash = readProtobuf(value).find(linkField => linkField.field === 1);
+      if (!hash) throw new Error('dag-pb link without a CID');
+      links.push(readBinaryCid(hash.value)[0]);
+    } else if (field === 1) {
+      unixFs = value;
+    }
+  }
+  if (!unixFs) throw new Error('Block is not a UnixFS node');
+
+  let data = new Uint8Array(0);
+  for (const { field, value } of readProtobuf(unixFs)) {
+    if (field === 1 && value !== UNIXFS_FILE && value !== 0) {
+      throw new Error('Block is not part of a file');
+    }
+    if (field === 2) data = value;
+  }
+
+  return { links, data };
+};
+
+/**
+ * Build a file's DAG incrementally, for content that is read in pieces
+ * @param {Object} options - DAG options
+ * @param {number} options.cidVersion - CID version (0 or 1)
+ * @param {boolean} options.rawLeaves - Store chunks as raw blocks (defaults to CIDv1)
+ * @param {number} options.chunkSize - Bytes per chunk
+ * @param {Function} onBlock - Called with each block ({cid, bytes}) as it is built, leaves first
+ * @param {Object} state - State from getState() of an earlier builder, to carry on
+ *   where it stopped
+ * @returns {{update: Function, finish: Function, getState: Function}} - Feed file data
+ *   to update(), then finish() returns the root CID. getState() gives the leaves built
+ *   so far and may only be called at a chunk boundary.
+ */
+export const createDagBuilder = (
+  { cidVersion = 0, rawLeaves = cidVersion === 1, chunkSize = CHUNK_SIZE } = {},
+  onBlock = () => {},
+  state = null
+) => {
+  const leaves = (state?.leaves || []).map(leaf => ({ ...leaf, cid: parseCid(leaf.cid).bytes }));
+  let pending = new Uint8Array(0);
+
+  const addBlock = (bytes, codec) => {
+    const cid = blockCid(bytes, cidVersion, codec);
+    onBlock({ cid: cidToString(cid), bytes });
+    return cid;
+  };
+
+  const addLeaf = (chunk) => {
+    if (rawLeaves) {
+      leaves.push({ cid: addBlock(chunk, CODECS.RAW), tsize: chunk.length, fileSize: chunk.length });
+    } else {
+      const block = encodeDagPb([], encodeUnixFsFile(chunk, chunk.length));
+      leaves.push({ cid: addBlock(block, CODECS.DAG_PB), tsize: block.length, fileSize: chunk.length });
+    }
+  };
+
+  return {
+    update: (data) => {
+      const buffered = pending.length ? concat([pending, data]) : data;
+      let offset = 0;
+      for (; buffered.length - offset >= chunkSize; offset += chunkSize) {
+        addLeaf(buffered.subarray(offset, offset + chunkSize));
+      }
+      pending = buffered.slice(offset);
+    },
+
+    getState: () => {
+      if (pending.length) throw new Error('DAG state is only available at a chunk boundary');
+      return { leaves: leaves.map(leaf => ({ ...leaf, cid: cidToString(leaf.cid) })) };
+    },
+
+    finish: () => {
+      // At least one leaf, even for an empty file
+      if (pending.length || leaves.length === 0) addLeaf(pending);
+      pending = new Uint8Array(0);
+
+      // Balanced tree: group nodes until a single root remains
+      let level = leaves;
+      while (level.length > 1) {
+        const parents = [];
+        for (let i = 0; i < level.length; i += MAX_LINKS) {
+          const children = level.slice(i, i + MAX_LINKS);
+          const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+          const block = encodeDagPb(
+            children,
+            encodeUnixFsFile(null, fileSize, children.map(child => child.fileSize))
+          );
+          parents.push({
+            cid: addBlock(block, CODECS.DAG_PB),
+            tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0),
+            fileSize,
+          });
+        }
+        level = parents;
+      }
+
+      return cidToString(level[0].cid);
+    },
+  };
+};
+
+/**
+ * Build the blocks of a file's DAG, from leaves up to the root
+ * @param {Uint8Array} data - File contents
+ * @param {Object} options - DAG options (see createDagBuilder)
+ * @returns {Array<{cid: string, bytes: Uint8Array}>} - Blocks; the last one is the root
+ */
+export const buildDag = (data, options = {}) => {
+  const blocks = [];
+  const builder = createDagBuilder(options, (block) => blocks.push(block));
+  builder.update(data);
+  builder.finish();
+  return blocks;
+};
+
+/**
+ * Compute the CID `ipfs add` would give a file
+ * @param {Uint8Array} data - File contents
+ * @param {Object} options - DAG options (see createDagBuilder)
+ * @returns {string} - The root CID
+ */
+export const computeCid = (data, options = {}) => {
+  const builder = createDagBuilder(options);
+  builder.update(data);
+  return builder.finish();
+};
+
+/**
+ * Check whether data is the content of a CID
+ * The DAG layout is inferred from the CID: dag-pb leaves for CIDv0, raw
+ * leaves for CIDv1.
+ * @param {Uint8Array} data - File contents
+ * @param {string} cid - Expected CID
+ * @returns {boolean} - True if the data hashes to the CID
+ */
+export const matchesCid = (data, cid) => {
+  try {
+    const { version } = parseCid(cid);
+    return computeCid(data, { cidVersion: version }) === cid;
+  } catch (error) {
+    return false;
+  }
+};
@@ -57,16 +57,29 @@ export const FILE_TYPES = {
 };
 
 // Maximum file size (in bytes)
-export const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25 MB
+// Files are encrypted and uploaded in chunks, so this is bounded by disk space
+// and upload time rather than memory
+export const MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1 GB
 
 // Database tables
 export const TABLES = {
   USERS: 'users',
   FILES: 'files',
   FILE_SHARES: 'file_shares',
+  FILE_KEYS: 'file_keys',
+  SHARE_LINKS: 'share_links',
   AUDIT_LOGS: 'audit_logs',
+  SIGNING_KEYS: 'signing_keys',
+  LEDGER_BLOCKS: 'ledger_blocks',
+  PIN_STATUSES: 'pin_statuses',
+  FILE_REPLICAS: 'file_replicas',
+  STORAGE_DEALS: 'storage_deals',
+  FILE_VERSIONS: 'file_versions',
 };
 
+// Deep link scheme for share links
+export const SHARE_LINK_PREFIX = 'securefileshare://share/';
+
 // API endpoints (not used in this implementation but kept for reference)
 export const API = {
   FILES: '/api/files',
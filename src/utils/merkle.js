@@ -0,0 +1,113 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils';
+
+// Domain separation prefixes (as in RFC 6962), so a leaf can never be passed
+// off as an inner node
+const LEAF_PREFIX = new Uint8Array([0x00]);
+const NODE_PREFIX = new Uint8Array([0x01]);
+
+/**
+ * Hash a leaf of the tree
+ * @param {string} leaf - Leaf value (hex string)
+ * @returns {string} - Leaf hash (hex string)
+ */
+export const hashLeaf = (leaf) => {
+  return bytesToHex(sha256(concatBytes(LEAF_PREFIX, hexToBytes(leaf))));
+};
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Left child hash (hex string)
+ * @param {string} right - Right child hash (hex string)
+ * @returns {string} - Parent hash (hex string)
+ */
+export const hashNode = (left, right) => {
+  return bytesToHex(sha256(concatBytes(NODE_PREFIX, hexToBytes(left), hexToBytes(right))));
+};
+
+/**
+ * Build every level of the tree, from leaf hashes up to the root
+ * An odd node at the end of a level is carried up unchanged rather than
+ * paired with itself, so no two leaf lists share a root.
+ * @param {Array<string>} leaves - Leaf values (hex strings)
+ * @returns {Array<Array<string>>} - Levels of the tree
+ */
+const buildLevels = (leaves) => {
+  if (!leaves.length) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return levels;
+};
+
+/**
+ * Compute the Merkle root of a list of leaves
+ * @param {Array<string>} leaves - Leaf values (hex strings)
+ * @returns {string} - Merkle root (hex string)
+ */
+export const merkleRoot = (leaves) => {
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+};
+
+/**
+ * Build the inclusion proof of one leaf
+ * @param {Array<string>} leaves - Leaf values (hex strings)
+ * @param {number} index - Position of the leaf to prove
+ * @returns {Array<{position: string, hash: string}>} - Sibling hashes from the leaf up, with
+ *   the side ('left' or 'right') each sibling sits on
+ */
+export const merkleProof = (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error('Leaf index out of range');
+  }
+
+  const levels = buildLevels(leaves);
+  const proof = [];
+
+  for (let level = 0; level < levels.length - 1; level++) {
+    const nodes = levels[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < nodes.length) {
+      proof.push({ position: index % 2 === 0 ? 'right' : 'left', hash: nodes[sibling] });
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+};
+
+/**
+ * Check that a leaf is included under a Merkle root
+ * @param {string} leaf - Leaf value (hex string)
+ * @param {Array<{position: string, hash: string}>} proof - Proof from merkleProof
+ * @param {string} root - Expected Merkle root (hex string)
+ * @returns {boolean} - True if the proof leads from the leaf to the root
+ */
+export const verifyMerkleProof = (leaf, proof, root) => {
+  try {
+    let hash = hashLeaf(leaf);
+    for (const step of proof) {
+      if (step.position === 'left') {
+        hash = hashNode(step.hash, hash);
+      } else if (step.position === 'right') {
+        hash = hashNode(hash, step.hash);
+      } else {
+        return false;
+      }
+    }
+    return hash === root;
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Run the steps of a saga in order
+ * Each step is { name, run, compensate }; run and compensate get the shared
+ * context, which run can add to for later steps. If a step fails, the
+ * compensations of the steps that completed run in reverse order and the
+ * step's error is rethrown. A compensation that fails is logged and the
+ * remaining ones still run; the error carries the names of those that failed
+ * as compensationFailures.
+ * @param {string} name - Name of the saga, for logging
+ * @param {Array<Object>} steps - Steps to run (falsy entries are skipped)
+ * @param {Object} context - Initial context
+ * @returns {Promise<Object>} - The context after the last step
+ */
+export const runSaga = async (name, steps, context = {}) => {
+  const completed = [];
+
+  for (const step of steps.filter(Boolean)) {
+    try {
+      await step.run(context);
+    } catch (error) {
+      console.error(`${name} failed at "${step.name}":`, error);
+      error.compensationFailures = await compensate(name, completed, context);
+      throw error;
+    }
+    completed.push(step);
+  }
+
+  return context;
+};
+
+/**
+ * Undo completed steps, last first
+ * @param {string} name - Name of the saga, for logging
+ * @param {Array<Object>} completed - Steps that completed, in the order they ran
+ * @param {Object} context - Saga context
+ * @returns {Promise<Array<string>>} - Names of the steps that could not be undone
+ */
+const compensate = async (name, completed, context) => {
+  const failures = [];
+
+  for (const step of [...completed].reverse()) {
+    if (!step.compensate) continue;
+
+    try {
+      await step.compensate(context);
+    } catch (error) {
+      console.error(`${name}: could not undo "${step.name}":`, error);
+      failures.push(step.name);
+    }
+  }
+
+  return failures;
+};
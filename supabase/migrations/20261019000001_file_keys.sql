@@ -0,0 +1,51 @@
+-- Per-user key pairs and per-user wrapped file keys (see keyService.js)
+
+alter table public.users
+  add column if not exists public_key text,
+  add column if not exists encrypted_private_key text,
+  add column if not exists key_passphrase_set boolean not null default false;
+
+-- Private files keep their content key in file_keys only
+alter table public.files
+  alter column encryption_key drop not null;
+
+-- Used by the policies of the tables that hang off a file; runs as the
+-- definer so it doesn't depend on the policies of files itself
+create or replace function public.owns_file(p_file_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.files
+    where id = p_file_id and user_id = auth.uid()
+  );
+$$;
+
+create table if not exists public.file_keys (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.files (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  -- The file's content key, sealed to the user's public key
+  wrapped_key text not null,
+  created_at timestamptz not null default now(),
+  unique (file_id, user_id)
+);
+
+alter table public.file_keys enable row level security;
+
+-- Recipients read their own key; the owner manages everyone's
+create policy "file_keys_select" on public.file_keys
+  for select using (user_id = auth.uid() or public.owns_file(file_id));
+
+create policy "file_keys_insert" on public.file_keys
+  for insert with check (public.owns_file(file_id));
+
+create policy "file_keys_update" on public.file_keys
+  for update using (public.owns_file(file_id));
+
+-- A previous owner removes their own key after a transfer
+create policy "file_keys_delete" on public.file_keys
+  for delete using (user_id = auth.uid() or public.owns_file(file_id));
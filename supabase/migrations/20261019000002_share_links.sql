@@ -0,0 +1,87 @@
+-- Share links for people without an account (see shareLinkService.js)
+-- Only a hash of each link token is stored; the file key is wrapped under
+-- the token (and passphrase), so the database can't open a link.
+
+create table if not exists public.share_links (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.files (id) on delete cascade,
+  created_by uuid not null references auth.users (id) on delete cascade,
+  token_hash text not null unique,
+  wrapped_key text not null,
+  has_passphrase boolean not null default false,
+  expires_at timestamptz,
+  max_downloads integer check (max_downloads is null or max_downloads > 0),
+  download_count integer not null default 0,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists share_links_file_id_idx on public.share_links (file_id);
+
+alter table public.share_links enable row level security;
+
+-- Links are managed by the file's owner; link holders go through the
+-- functions below
+create policy "share_links_select" on public.share_links
+  for select using (public.owns_file(file_id));
+
+create policy "share_links_insert" on public.share_links
+  for insert with check (created_by = auth.uid() and public.owns_file(file_id));
+
+create policy "share_links_update" on public.share_links
+  for update using (public.owns_file(file_id));
+
+-- Look up a usable link by its token hash, without using up a download
+create or replace function public.get_share_link(p_token_hash text)
+returns table (
+  file_name text,
+  file_size bigint,
+  file_type text,
+  has_passphrase boolean,
+  expires_at timestamptz,
+  max_downloads integer,
+  download_count integer,
+  wrapped_key text,
+  ipfs_cid text,
+  encryption_iv text
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  -- The files columns are cast, as they come from the base schema
+  select f.file_name::text, f.file_size::bigint, f.file_type::text, l.has_passphrase,
+         l.expires_at, l.max_downloads, l.download_count, l.wrapped_key,
+         f.ipfs_cid::text, f.encryption_iv::text
+  from public.share_links l
+  join public.files f on f.id = l.file_id
+  where l.token_hash = p_token_hash
+    and l.revoked_at is null
+    and (l.expires_at is null or l.expires_at > now())
+    and (l.max_downloads is null or l.download_count < l.max_downloads);
+$$;
+
+-- Use up one download of a usable link; returns no row if the link is
+-- revoked, expired or exhausted. The update is a single statement, so
+-- concurrent downloads can't go over max_downloads.
+create or replace function public.redeem_share_link(p_token_hash text)
+returns table (download_count integer)
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+  update public.share_links l
+  set download_count = l.download_count + 1
+  where l.token_hash = p_token_hash
+    and l.revoked_at is null
+    and (l.expires_at is null or l.expires_at > now())
+    and (l.max_downloads is null or l.download_count < l.max_downloads)
+  returning l.download_count;
+$$;
+
+revoke all on function public.get_share_link(text) from public;
+revoke all on function public.redeem_share_link(text) from public;
+grant execute on function public.get_share_link(text) to anon, authenticated;
+grant execute on function public.redeem_share_link(text) to anon, authenticated;
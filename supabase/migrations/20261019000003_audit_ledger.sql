@@ -0,0 +1,30 @@
+-- Signed, hash-chained audit ledger (see ledgerService.js)
+
+alter table public.users
+  add column if not exists signing_public_key text;
+
+alter table public.audit_logs
+  add column if not exists sequence bigint,
+  -- Milliseconds since the epoch, as hashed into the entry
+  add column if not exists recorded_at bigint,
+  add column if not exists prev_hash text,
+  add column if not exists payload_hash text,
+  add column if not exists entry_hash text,
+  add column if not exists signature text,
+  add column if not exists signer_key text;
+
+-- Clients append concurrently; the loser of a race for the next sequence
+-- gets a unique violation and retries on the new head
+create unique index if not exists audit_logs_sequence_key on public.audit_logs (sequence);
+
+alter table public.audit_logs enable row level security;
+
+-- Every client reads the head to append, and anyone can verify the chain
+create policy "audit_logs_select" on public.audit_logs
+  for select to authenticated using (true);
+
+create policy "audit_logs_insert" on public.audit_logs
+  for insert to authenticated with check (user_id = auth.uid());
+
+-- The ledger is append-only
+revoke update, delete on public.audit_logs from anon, authenticated;
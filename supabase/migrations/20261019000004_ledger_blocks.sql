@@ -0,0 +1,32 @@
+-- Blocks of sealed audit ledger entries (see sealLedgerBlock in ledgerService.js)
+-- Each block's hash and Merkle root are also anchored in the FileRegistry
+-- contract, which is what inclusion proofs are checked against.
+
+create table if not exists public.ledger_blocks (
+  id uuid primary key default gen_random_uuid(),
+  -- Clients seal concurrently; the first block at a height wins
+  height bigint not null unique,
+  start_sequence bigint not null,
+  end_sequence bigint not null,
+  entry_count integer not null,
+  merkle_root text not null,
+  prev_block_hash text not null,
+  -- Milliseconds since the epoch, by the sealing client's clock
+  sealed_at bigint not null,
+  block_hash text not null unique,
+  signature text not null,
+  signer_key text not null,
+  created_at timestamptz not null default now(),
+  check (end_sequence >= start_sequence)
+);
+
+alter table public.ledger_blocks enable row level security;
+
+create policy "ledger_blocks_select" on public.ledger_blocks
+  for select to authenticated using (true);
+
+create policy "ledger_blocks_insert" on public.ledger_blocks
+  for insert to authenticated with check (true);
+
+-- Blocks are never changed once sealed
+revoke update, delete on public.ledger_blocks from anon, authenticated;
@@ -0,0 +1,6 @@
+-- Chain accounts of users, for the FileRegistry contract (see blockchainService.js)
+
+alter table public.users
+  add column if not exists chain_address text;
+
+create unique index if not exists users_chain_address_key on public.users (chain_address);
@@ -0,0 +1,4 @@
+-- SHA-256 of the plaintext, checked by integrity verification (see verifyFileIntegrity)
+
+alter table public.files
+  add column if not exists plaintext_hash text;
@@ -0,0 +1,44 @@
+-- Status of each pin on each remote pinning service (see pinningService.js)
+
+create table if not exists public.pin_statuses (
+  id uuid primary key default gen_random_uuid(),
+  -- No foreign key: a pin a service refused to remove is kept, with the
+  -- error, after its file is deleted
+  file_id uuid not null,
+  cid text not null,
+  service text not null,
+  request_id text,
+  status text not null check (status in ('queued', 'pinning', 'pinned', 'failed')),
+  info jsonb not null default '{}'::jsonb,
+  created_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  checked_at timestamptz not null default now(),
+  unique (cid, service)
+);
+
+create index if not exists pin_statuses_file_id_idx on public.pin_statuses (file_id);
+
+-- Whether a file exists, including files the caller can't read
+create or replace function public.file_exists(p_file_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.files where id = p_file_id);
+$$;
+
+alter table public.pin_statuses enable row level security;
+
+-- The file's owner manages its pins; once the file is gone, whoever
+-- recorded a leftover pin does
+create policy "pin_statuses_all" on public.pin_statuses
+  for all
+  using (
+    public.owns_file(file_id)
+    or (created_by = auth.uid() and not public.file_exists(file_id))
+  )
+  with check (
+    public.owns_file(file_id)
+    or (created_by = auth.uid() and not public.file_exists(file_id))
+  );
@@ -0,0 +1,27 @@
+-- Which storage backends hold each file's content (see replicationService.js)
+
+alter table public.users
+  add column if not exists replication_factor integer not null default 1
+    check (replication_factor >= 1);
+
+alter table public.files
+  add column if not exists replication_factor integer not null default 1
+    check (replication_factor >= 1);
+
+create table if not exists public.file_replicas (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.files (id) on delete cascade,
+  cid text not null,
+  backend text not null,
+  status text not null default 'stored' check (status in ('stored', 'missing')),
+  checked_at timestamptz not null default now(),
+  -- Only the replicas of the file's current content are tracked
+  unique (file_id, backend)
+);
+
+alter table public.file_replicas enable row level security;
+
+create policy "file_replicas_all" on public.file_replicas
+  for all
+  using (public.owns_file(file_id))
+  with check (public.owns_file(file_id));
@@ -0,0 +1,31 @@
+-- Filecoin storage deals made through Lotus (see dealService.js)
+
+alter table public.files
+  add column if not exists deal_ids bigint[] not null default '{}',
+  add column if not exists deal_expiry_epoch bigint;
+
+create table if not exists public.storage_deals (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.files (id) on delete cascade,
+  cid text not null,
+  miner text not null,
+  -- Null for proposals that failed before Lotus accepted them
+  proposal_cid text unique,
+  deal_id bigint,
+  status text not null
+    check (status in ('proposed', 'published', 'active', 'expired', 'slashed', 'failed')),
+  start_epoch bigint,
+  end_epoch bigint,
+  info jsonb not null default '{}'::jsonb,
+  checked_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists storage_deals_file_id_idx on public.storage_deals (file_id);
+
+alter table public.storage_deals enable row level security;
+
+create policy "storage_deals_all" on public.storage_deals
+  for all
+  using (public.owns_file(file_id))
+  with check (public.owns_file(file_id));
@@ -0,0 +1,8 @@
+-- Upload idempotency keys (see insertFileRecord in fileService.js)
+-- A retried upload that already recorded its file hits the unique index and
+-- picks up the existing row instead of recording the file twice.
+
+alter table public.files
+  add column if not exists upload_id text;
+
+create unique index if not exists files_user_id_upload_id_key on public.files (user_id, upload_id);
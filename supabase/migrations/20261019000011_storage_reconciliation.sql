@@ -0,0 +1,19 @@
+-- Storage reconciliation (see reconciliationService.js)
+
+-- Set while no storage backend can provide the file's content
+alter table public.files
+  add column if not exists missing_since timestamptz;
+
+-- Storage administrators have role "storage_admin" in their app_metadata,
+-- which only the service key can set
+create or replace function public.is_storage_admin()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'storage_admin';
+$$;
+
+-- Orphaned pins can only be told apart with every file in view
+create policy "files_select_storage_admin" on public.files
+  for select using (public.is_storage_admin());
@@ -0,0 +1,32 @@
+-- Version history of files (see uploadFileVersion in fileService.js)
+-- The newest version is the file's current content, which the files row mirrors.
+
+create table if not exists public.file_versions (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.files (id) on delete cascade,
+  version integer not null check (version >= 1),
+  ipfs_cid text not null,
+  file_size bigint,
+  file_type text,
+  encryption_iv text,
+  plaintext_hash text,
+  -- SHA-256 of the stored (encrypted) content, as registered on-chain
+  content_hash text,
+  uploaded_by uuid references auth.users (id) on delete set null,
+  -- Version whose content this version restored, if any
+  restored_from integer,
+  created_at timestamptz not null default now(),
+  -- Two uploads racing for the next version number can't both win
+  unique (file_id, version)
+);
+
+alter table public.file_versions enable row level security;
+
+create policy "file_versions_all" on public.file_versions
+  for all
+  using (public.owns_file(file_id))
+  with check (public.owns_file(file_id));
+
+-- Reconciliation counts the content of every version as referenced
+create policy "file_versions_select_storage_admin" on public.file_versions
+  for select using (public.is_storage_admin());
@@ -0,0 +1,45 @@
+-- Every signing key each user has published (see getUserSigningKeyHistory)
+-- Ledger entries are checked against the key they were signed with, which
+-- must be in this history; users.signing_public_key only holds the current one.
+
+create table if not exists public.signing_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  signing_public_key text not null,
+  published_at timestamptz not null default now(),
+  unique (user_id, signing_public_key)
+);
+
+alter table public.signing_keys enable row level security;
+
+create policy "signing_keys_select" on public.signing_keys
+  for select to authenticated using (true);
+
+-- Only the trigger below writes the history, so it can't be edited
+revoke insert, update, delete on public.signing_keys from anon, authenticated;
+
+create or replace function public.record_signing_key()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.signing_public_key is not null then
+    insert into public.signing_keys (user_id, signing_public_key)
+    values (new.id, new.signing_public_key)
+    on conflict (user_id, signing_public_key) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger users_record_signing_key
+  after insert or update of signing_public_key on public.users
+  for each row execute function public.record_signing_key();
+
+-- Keys published before the history was kept
+insert into public.signing_keys (user_id, signing_public_key)
+select id, signing_public_key from public.users
+where signing_public_key is not null
+on conflict (user_id, signing_public_key) do nothing;